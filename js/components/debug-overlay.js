@@ -0,0 +1,131 @@
+// On-page overlay listing the loader's component instances: key, data,
+// tracked listeners, the latest load timings and any failure. global.js
+// mounts it for ?debug=components; it refreshes as components load, update
+// and go away.
+const TIMING_COLUMNS = ['load', 'render', 'inject', 'initialize', 'total'];
+
+const REFRESH_EVENTS = [
+    'component:loaded',
+    'component:updated',
+    'component:destroyed',
+    'component:error',
+    'component:inject',
+    'component:initialize',
+];
+
+class ComponentDebugOverlay {
+    constructor(loader) {
+        this.loader = loader;
+        this.element = null;
+        this.body = null;
+        this.refreshQueued = false;
+        this.refresh = this.refresh.bind(this);
+        this._queueRefresh = this._queueRefresh.bind(this);
+    }
+
+    mount(parent = document.body) {
+        if (this.element) return this;
+
+        this.element = document.createElement('aside');
+        this.element.className = 'ew-debug-overlay';
+        this.element.setAttribute('aria-label', 'Component debug overlay');
+
+        const header = document.createElement('header');
+        const title = document.createElement('strong');
+        title.textContent = 'Components';
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = 'Close';
+        close.addEventListener('click', () => this.unmount());
+        header.append(title, close);
+
+        const table = document.createElement('table');
+        const headings = document.createElement('tr');
+        ['Instance', 'Data', 'Listeners', ...TIMING_COLUMNS, 'Status'].forEach(
+            (label) => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = label;
+                headings.appendChild(th);
+            }
+        );
+        table.createTHead().appendChild(headings);
+        this.body = table.createTBody();
+
+        this.element.append(header, table);
+        parent.appendChild(this.element);
+
+        REFRESH_EVENTS.forEach((type) =>
+            document.addEventListener(type, this._queueRefresh)
+        );
+        this.refresh();
+        return this;
+    }
+
+    unmount() {
+        REFRESH_EVENTS.forEach((type) =>
+            document.removeEventListener(type, this._queueRefresh)
+        );
+        this.element?.remove();
+        this.element = null;
+        this.body = null;
+    }
+
+    refresh() {
+        this.refreshQueued = false;
+        if (!this.body) return;
+
+        this.body.replaceChildren(
+            ...this.loader.inspectInstances().map((row) => this._renderRow(row))
+        );
+    }
+
+    // Loads come in bursts; redraw once per frame
+    _queueRefresh() {
+        if (this.refreshQueued) return;
+        this.refreshQueued = true;
+        if (window.requestAnimationFrame) {
+            requestAnimationFrame(this.refresh);
+        } else {
+            setTimeout(this.refresh);
+        }
+    }
+
+    _renderRow({ instanceKey, data, listeners, timings, error }) {
+        const row = document.createElement('tr');
+        if (error) row.className = 'ew-debug-error';
+
+        const json = this._stringify(data);
+        const cells = [
+            instanceKey,
+            json.length > 80 ? `${json.slice(0, 79)}…` : json,
+            String(listeners),
+            ...TIMING_COLUMNS.map((step) =>
+                timings?.[step] === undefined
+                    ? '–'
+                    : `${timings[step].toFixed(1)} ms`
+            ),
+            error ? `${error.name}: ${error.message}` : 'ok',
+        ];
+
+        cells.forEach((text, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            if (index === 0) cell.scope = 'row';
+            cell.textContent = text;
+            if (index === 1) cell.title = json;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    // Data may hold cycles or DOM nodes
+    _stringify(data) {
+        try {
+            return JSON.stringify(data) ?? '';
+        } catch (error) {
+            return String(data);
+        }
+    }
+}
+
+export { ComponentDebugOverlay };
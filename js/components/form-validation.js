@@ -0,0 +1,377 @@
+// Declarative validation rules for forms. Rules come from HTML constraint
+// attributes (required, minlength, pattern, type="email", min/max, accept...)
+// and from an optional JS schema keyed by field name:
+//
+//   new FormValidator(form, {
+//       phone: { phone: true },
+//       confirmEmail: { match: 'email' },
+//       photo: { accept: 'image/*', maxSize: '5MB' },
+//       postcode: { validate: checkPickupArea }, // async, returns true or a message
+//   });
+//
+// config.translate(rule) may return a localized message for a rule; schema
+// messages may be functions so they are looked up when the error is shown.
+// An invalid pattern is ignored with a warning, as browsers do.
+class FormValidator {
+    constructor(form, schema = {}, config = {}) {
+        this.form = form;
+        this.schema = schema;
+        this.config = {
+            trim: config.trim !== false,
+            translate: config.translate || (() => null),
+        };
+        this._pending = new Map(); // Latest validation token per field, to drop stale async results
+        this._patterns = new Map(); // Pattern source -> RegExp, or null when invalid
+    }
+
+    // Validate every field (or the given subset); resolves with real per-field messages
+    async validate(fields = this.getFields()) {
+        const results = await Promise.all(
+            fields.map((field) => this.validateField(field))
+        );
+        const errors = results
+            .filter((result) => !result.valid)
+            .map(({ element, name, rule, message }) => ({
+                element,
+                name,
+                rule,
+                message,
+            }));
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    async validateField(field) {
+        const token = {};
+        this._pending.set(field, token);
+
+        const value = this._getValue(field);
+        const name = field.name || field.id;
+        let failure = null;
+
+        for (const [rule, param] of this.getRules(field)) {
+            const message = await this._runRule(rule, param, value, field);
+            if (message) {
+                failure = { rule, message };
+                break;
+            }
+        }
+
+        return {
+            element: field,
+            name,
+            valid: !failure,
+            rule: failure?.rule || null,
+            message: failure?.message || '',
+            // A newer validation of the same field started while this one awaited
+            stale: this._pending.get(field) !== token,
+        };
+    }
+
+    getFields() {
+        const seenGroups = new Set();
+
+        return Array.from(this.form.elements).filter((field) => {
+            if (
+                field.disabled ||
+                !(field.name || field.id) ||
+                /^(submit|button|reset|image|fieldset|output)$/.test(field.type)
+            ) {
+                return false;
+            }
+
+            // Radio buttons and same-name checkboxes validate once per group
+            if (field.type === 'radio' || this._isCheckboxGroup(field)) {
+                if (seenGroups.has(field.name)) return false;
+                seenGroups.add(field.name);
+            }
+
+            return true;
+        });
+    }
+
+    // Ordered [rule, param] pairs: HTML attributes first, then schema entries
+    getRules(field) {
+        const rules = new Map();
+
+        if (field.required || field.hasAttribute('required')) {
+            rules.set('required', true);
+        }
+        if (field.type === 'email') rules.set('email', true);
+        if (field.type === 'url') rules.set('url', true);
+        if (field.type === 'tel') rules.set('phone', true);
+        if (field.type === 'number' || field.type === 'range') {
+            rules.set('number', true);
+        }
+
+        ['minlength', 'maxlength', 'pattern', 'min', 'max', 'accept'].forEach(
+            (attribute) => {
+                if (field.hasAttribute(attribute)) {
+                    rules.set(attribute, field.getAttribute(attribute));
+                }
+            }
+        );
+
+        if (field.dataset.match) rules.set('match', field.dataset.match);
+        if (field.dataset.maxSize) rules.set('maxSize', field.dataset.maxSize);
+
+        const schema = this.schema[field.name || field.id] || {};
+        Object.entries(schema).forEach(([rule, param]) => {
+            if (rule !== 'messages') rules.set(rule, param);
+        });
+
+        if (typeof rules.get('pattern') === 'string') {
+            const pattern = this._compilePattern(rules.get('pattern'));
+            if (pattern) {
+                rules.set('pattern', pattern);
+            } else {
+                rules.delete('pattern');
+            }
+        }
+
+        return Array.from(rules).filter(([, param]) => param !== false);
+    }
+
+    // Patterns match the whole value, as the pattern attribute does
+    _compilePattern(source) {
+        if (!this._patterns.has(source)) {
+            let pattern = null;
+            try {
+                pattern = new RegExp(`^(?:${source})$`);
+            } catch (error) {
+                window.componentLoader._log(
+                    'warn',
+                    `Ignoring invalid pattern "${source}":`,
+                    error
+                );
+            }
+            this._patterns.set(source, pattern);
+        }
+        return this._patterns.get(source);
+    }
+
+    async _runRule(rule, param, value, field) {
+        const isEmpty = this._isEmpty(value);
+
+        // Only "required" applies to empty values, as with native constraint validation
+        if (rule !== 'required' && isEmpty) return '';
+
+        if (rule === 'validate') {
+            const result = await param(value, field, this.form);
+            return this._toMessage(result, rule, param, field);
+        }
+
+        const definition = FormValidator.rules[rule];
+        if (!definition) {
+            throw new Error(`Unknown validation rule "${rule}"`);
+        }
+
+        const result = await definition.test(
+            value,
+            param,
+            field,
+            this.form,
+            this
+        );
+        return this._toMessage(result, rule, param, field);
+    }
+
+    // true passes; false fails with the rule's message; a string is a custom message
+    _toMessage(result, rule, param, field) {
+        if (result === true || result === undefined || result === null) {
+            return '';
+        }
+        if (typeof result === 'string') return result;
+
+        let custom =
+            this.schema[field.name || field.id]?.messages?.[rule] ||
+            field.dataset[`msg${rule[0].toUpperCase()}${rule.slice(1)}`];
+        if (typeof custom === 'function') custom = custom(param, field);
+
+        const template =
+            custom ||
+            this.config.translate(rule) ||
+            FormValidator.messages[rule] ||
+            this.config.translate('invalid') ||
+            FormValidator.messages.invalid;
+
+        return template.replace(/\{(\w+)\}/g, (match, key) =>
+            key === 'param'
+                ? String(
+                      rule === 'maxSize'
+                          ? FormValidator.formatBytes(
+                                FormValidator.parseSize(param)
+                            )
+                          : param
+                  )
+                : match
+        );
+    }
+
+    _isCheckboxGroup(field) {
+        return field.type === 'checkbox' && this._getGroup(field).length > 1;
+    }
+
+    _getGroup(field) {
+        return Array.from(this.form.elements).filter(
+            (element) =>
+                element.type === field.type && element.name === field.name
+        );
+    }
+
+    // Checkbox groups yield the checked values, so "required" means at least one
+    _getValue(field) {
+        if (this._isCheckboxGroup(field)) {
+            return this._getGroup(field)
+                .filter((checkbox) => checkbox.checked)
+                .map((checkbox) => checkbox.value);
+        }
+        if (field.type === 'checkbox') return field.checked;
+        if (field.type === 'radio') {
+            return (
+                this._getGroup(field).find((radio) => radio.checked)?.value ||
+                ''
+            );
+        }
+        if (field.type === 'file') return Array.from(field.files || []);
+        if (field.type === 'select-multiple') {
+            return Array.from(field.selectedOptions).map(
+                (option) => option.value
+            );
+        }
+
+        return this.config.trim ? field.value.trim() : field.value;
+    }
+
+    _isEmpty(value) {
+        if (Array.isArray(value)) return value.length === 0;
+        return value === '' || value === false || value == null;
+    }
+
+    // Register or replace a rule; test(value, param, field, form, validator)
+    // returns true, false or a message
+    static addRule(name, test, message) {
+        FormValidator.rules[name] = { test };
+        if (message) FormValidator.messages[name] = message;
+    }
+
+    static parseSize(size) {
+        if (typeof size === 'number') return size;
+
+        const match = /^\s*([\d.]+)\s*(B|KB|MB|GB)?\s*$/i.exec(String(size));
+        if (!match) return NaN;
+
+        const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+        return Number(match[1]) * units[(match[2] || 'B').toUpperCase()];
+    }
+
+    static formatBytes(bytes) {
+        if (bytes >= 1024 ** 2) return `${+(bytes / 1024 ** 2).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${+(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+}
+
+FormValidator.messages = {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    url: 'Please enter a valid URL',
+    phone: 'Please enter a valid phone number',
+    number: 'Please enter a number',
+    minlength: 'Please enter at least {param} characters',
+    maxlength: 'Please enter no more than {param} characters',
+    pattern: 'Please match the requested format',
+    min: 'Please enter a value of at least {param}',
+    max: 'Please enter a value of no more than {param}',
+    match: 'This field does not match',
+    accept: 'This file type is not allowed',
+    maxSize: 'Files must be smaller than {param}',
+    invalid: 'This value is not valid',
+};
+
+FormValidator.rules = {
+    required: {
+        test: (value) => !(Array.isArray(value) ? !value.length : !value),
+    },
+    email: {
+        test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    },
+    url: {
+        test: (value) => {
+            try {
+                return Boolean(new URL(value));
+            } catch (error) {
+                return false;
+            }
+        },
+    },
+    // International or local numbers, e.g. +256 772 123456 or 0772-123-456
+    phone: {
+        test: (value) =>
+            /^\+?[\d\s\-().]+$/.test(value) &&
+            value.replace(/\D/g, '').length >= 7 &&
+            value.replace(/\D/g, '').length <= 15,
+    },
+    number: {
+        test: (value) => !Number.isNaN(Number(value)),
+    },
+    minlength: {
+        test: (value, param) => String(value).length >= Number(param),
+    },
+    maxlength: {
+        test: (value, param) => String(value).length <= Number(param),
+    },
+    // getRules compiles string patterns
+    pattern: {
+        test: (value, param) => param.test(value),
+    },
+    // Numeric fields compare as numbers; dates and times compare as ISO strings
+    min: {
+        test: (value, param, field) =>
+            field.type === 'number' ||
+            field.type === 'range' ||
+            typeof param === 'number'
+                ? Number(value) >= Number(param)
+                : String(value) >= String(param),
+    },
+    max: {
+        test: (value, param, field) =>
+            field.type === 'number' ||
+            field.type === 'range' ||
+            typeof param === 'number'
+                ? Number(value) <= Number(param)
+                : String(value) <= String(param),
+    },
+    // Compared the way both values are read, so config.trim applies to each
+    match: {
+        test: (value, param, field, form, validator) => {
+            const other = form.elements.namedItem(param);
+            return !other || value === validator._getValue(other);
+        },
+    },
+    // "image/*, application/pdf, .docx"
+    accept: {
+        test: (files, param) => {
+            const accepted = String(param)
+                .split(',')
+                .map((type) => type.trim().toLowerCase())
+                .filter(Boolean);
+
+            return files.every((file) =>
+                accepted.some((type) => {
+                    if (type.startsWith('.')) {
+                        return file.name.toLowerCase().endsWith(type);
+                    }
+                    if (type.endsWith('/*')) {
+                        return file.type.startsWith(type.slice(0, -1));
+                    }
+                    return file.type === type;
+                })
+            );
+        },
+    },
+    maxSize: {
+        test: (files, param) =>
+            files.every((file) => file.size <= FormValidator.parseSize(param)),
+    },
+};
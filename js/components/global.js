@@ -0,0 +1,21 @@
+// Page entry point for window.componentLoader. Load it as a module ahead of
+// the classic component scripts, which are deferred so they run after it:
+//
+//   <script type="module" src="js/components/global.js"></script>
+//   <script defer src="js/components/navigation.js"></script>
+//
+// ?debug=components adds an overlay listing component instances and timings.
+import { installGlobal } from './utils.js';
+
+const loader = installGlobal();
+
+const debug = new URLSearchParams(window.location.search).get('debug');
+if (debug?.split(',').includes('components')) {
+    import('./debug-overlay.js')
+        .then(({ ComponentDebugOverlay }) =>
+            new ComponentDebugOverlay(loader).mount()
+        )
+        .catch((error) =>
+            loader._log('error', 'Failed to load the debug overlay:', error)
+        );
+}
@@ -0,0 +1,448 @@
+// E-waste impact calculator: visitors list their devices and see the
+// materials recycling them could recover, the CO2e it avoids and the
+// hazardous substances it keeps out of landfill.
+//
+// Estimates come from a versioned factors table (options.factors or
+// data-factors, default /data/impact-factors.json): per device, or per kg
+// where unit is "kg", materials and hazardous substances in grams and weight
+// and CO2e in kg. The device list is kept in the query string as repeated
+// devices=<id>.<quantity> so results can be shared. "Request a pickup" hands
+// the devices to the pickup wizard: directly when one is on the page,
+// otherwise through sessionStorage for the wizard on options.pickupHref.
+const IMPACT_PARAM = 'devices';
+const IMPACT_MAX_QUANTITY = 999;
+
+class ImpactCalculator {
+    constructor(context) {
+        this.context = context;
+        this.loader = context.loader;
+        this.element = context.element;
+        this.options = context.options;
+        // An estimate that failed to render (e.g. the results template did
+        // not load) is reported in the status region
+        context.onError = () =>
+            this._setStatus(this.loader.t('impact.updateFailed'));
+        this.src = this.options.factors || '/data/impact-factors.json';
+        this.syncUrl = String(this.options.syncUrl) !== 'false';
+
+        this.form = this.element.querySelector('[data-impact-add]');
+        this.select = this.form.elements.device;
+        this.quantityInput = this.form.elements.quantity;
+        this.list = this.element.querySelector('[data-impact-devices]');
+        this.status = this.element.querySelector('[data-impact-status]');
+        this.results = this.element.querySelector('[data-impact-results]');
+        this.shareButton = this.element.querySelector('[data-impact-share]');
+        this.printButton = this.element.querySelector('[data-impact-print]');
+        this.pickupLink = this.element.querySelector('[data-impact-pickup]');
+
+        this.factors = null;
+        this.devices = new Map(); // Factors by device id
+        this.quantities = new Map(); // Device id -> quantity, in the order added
+        this.resultsHandle = null;
+    }
+
+    start() {
+        const { listen, run } = this.context;
+
+        if (this.options.pickupHref) {
+            this.pickupLink.href = this.options.pickupHref;
+        }
+
+        listen(this.form, 'submit', (e) => {
+            e.preventDefault();
+            run(this.add(this.select.value, Number(this.quantityInput.value)));
+        });
+        listen(this.list, 'input', (e) => {
+            const id = e.target.dataset.impactQuantity;
+            const quantity = Number(e.target.value);
+            // Wait for a usable number; clearing the field to retype is fine
+            if (!id || !Number.isInteger(quantity) || quantity < 1) return;
+            run(this.set(id, quantity));
+        });
+        listen(this.list, 'click', (e) => {
+            const button = e.target.closest('[data-impact-remove]');
+            if (button) run(this.remove(button.dataset.impactRemove));
+        });
+        listen(this.shareButton, 'click', () => this.share());
+        listen(this.printButton, 'click', () => this.print());
+        listen(this.pickupLink, 'click', (e) => this.requestPickup(e));
+        listen(window, 'afterprint', () =>
+            document.documentElement.classList.remove('impact-printing')
+        );
+        listen(document, 'locale:changed', () => {
+            if (!this.factors) return;
+            this._renderOptions();
+            this._renderDevices();
+            run(this.render());
+        });
+
+        return this.load();
+    }
+
+    async load() {
+        this._setStatus(this.loader.t('impact.loading'));
+
+        try {
+            const response = await fetch(this.src);
+            if (!response.ok) {
+                throw new Error(
+                    `HTTP ${response.status}: ${response.statusText}`
+                );
+            }
+            this.factors = await response.json();
+        } catch (error) {
+            this.loader._log(
+                'error',
+                `Failed to load impact factors from ${this.src}:`,
+                error
+            );
+            this._setStatus(this.loader.t('impact.loadFailed'));
+            return;
+        }
+
+        this.devices = new Map(
+            this.factors.devices.map((device) => [device.id, device])
+        );
+        this._readUrl();
+        this._renderOptions();
+        this._renderDevices();
+        await this.render();
+    }
+
+    // Adding a device that is already listed adds to its quantity
+    add(id, quantity = 1) {
+        if (!this.devices.has(id) || !(quantity >= 1)) return;
+
+        const rendered = this.set(
+            id,
+            (this.quantities.get(id) || 0) + Math.floor(quantity)
+        );
+        this._renderDevices();
+        return rendered;
+    }
+
+    set(id, quantity) {
+        this.quantities.set(id, Math.min(quantity, IMPACT_MAX_QUANTITY));
+        return this.render();
+    }
+
+    remove(id) {
+        const index = [...this.quantities.keys()].indexOf(id);
+        this.quantities.delete(id);
+        this._renderDevices();
+
+        // Keep focus in the list: on the next remove button, or the device picker
+        const buttons = this.list.querySelectorAll('[data-impact-remove]');
+        (buttons[Math.min(index, buttons.length - 1)] || this.select).focus();
+        return this.render();
+    }
+
+    // Totals for the listed devices in the factors table's units
+    estimate() {
+        const { materials, hazardous } = this.factors;
+        const totals = {
+            count: 0,
+            weightKg: 0,
+            co2eKg: 0,
+            materials: Object.fromEntries(materials.map((name) => [name, 0])),
+            hazardous: Object.fromEntries(hazardous.map((name) => [name, 0])),
+        };
+
+        this.quantities.forEach((quantity, id) => {
+            const device = this.devices.get(id);
+            totals.count += quantity;
+            totals.weightKg += device.weightKg * quantity;
+            totals.co2eKg += device.co2eKg * quantity;
+            materials.forEach((name) => {
+                totals.materials[name] +=
+                    (device.materials[name] || 0) * quantity;
+            });
+            hazardous.forEach((name) => {
+                totals.hazardous[name] +=
+                    (device.hazardous[name] || 0) * quantity;
+            });
+        });
+
+        return totals;
+    }
+
+    async render() {
+        const totals = this.estimate();
+        const data = this.quantities.size
+            ? this._present(totals)
+            : { devices: false };
+
+        if (this.resultsHandle?.element === this.results) {
+            await this.resultsHandle.update(data);
+        } else {
+            this.resultsHandle = await this.loader.injectComponent(
+                'impact-results',
+                this.results,
+                { data, preserveFocus: false }
+            );
+        }
+
+        this._setStatus(
+            this.quantities.size
+                ? this.loader.t('impact.updated', {
+                      co2e: this._formatKg(totals.co2eKg),
+                  })
+                : ''
+        );
+        [this.shareButton, this.printButton].forEach((button) => {
+            button.disabled = !this.quantities.size;
+        });
+        this.pickupLink.hidden = !this.quantities.size;
+        this._writeUrl();
+    }
+
+    // Copy a link to these results, or hand it to the share sheet where there is one
+    async share() {
+        const url = window.location.href;
+
+        try {
+            if (navigator.share) {
+                await navigator.share({
+                    title: this.loader.t('impact.title'),
+                    url,
+                });
+                return;
+            }
+            await navigator.clipboard.writeText(url);
+            this._setStatus(this.loader.t('impact.linkCopied'));
+        } catch (error) {
+            // Dismissing the share sheet is not a failure
+            if (error.name === 'AbortError') return;
+            this.loader._log('warn', 'Failed to share the results:', error);
+            this._setStatus(this.loader.t('impact.shareFailed', { url }));
+        }
+    }
+
+    // Print stylesheet rules under html.impact-printing show only the calculator
+    print() {
+        document.documentElement.classList.add('impact-printing');
+        window.print();
+    }
+
+    // The pickup wizard's items and quantities plus a note listing the devices
+    pickupRequest() {
+        const items = new Map();
+        this.quantities.forEach((quantity, id) => {
+            const category = this.devices.get(id).pickupCategory;
+            items.set(category, (items.get(category) || 0) + quantity);
+        });
+
+        return {
+            items: [...items].map(([category, quantity]) => ({
+                category,
+                quantity,
+            })),
+            notes: this.loader.t('impact.pickupNotes', {
+                devices: [...this.quantities]
+                    .map(
+                        ([id, quantity]) =>
+                            `${quantity} × ${this._deviceLabel(id)}`
+                    )
+                    .join(', '),
+            }),
+        };
+    }
+
+    // A wizard on this page takes the request by cancelling the event;
+    // otherwise the link is followed and the wizard there reads it from storage
+    requestPickup(e) {
+        const detail = this.pickupRequest();
+        const handled = !document.dispatchEvent(
+            new CustomEvent('pickup:prefill', { detail, cancelable: true })
+        );
+
+        if (handled) {
+            e.preventDefault();
+            return;
+        }
+
+        try {
+            sessionStorage.setItem(PICKUP_PREFILL_KEY, JSON.stringify(detail));
+        } catch (error) {
+            this.loader._log(
+                'error',
+                'Failed to hand over the pickup request:',
+                error
+            );
+        }
+    }
+
+    // Values for the impact-results template
+    _present(totals) {
+        const { materials, hazardous } = this.factors;
+        const hazardousTotal = Object.values(totals.hazardous).reduce(
+            (sum, grams) => sum + grams,
+            0
+        );
+
+        return {
+            devices: true,
+            summary: this.loader.t('impact.summary', {
+                count: totals.count,
+                weight: this._formatKg(totals.weightKg),
+            }),
+            co2e: this._formatKg(totals.co2eKg),
+            hazardousTotal: this._formatGrams(hazardousTotal),
+            materials: materials.map((name) => ({
+                label: this._label('impact.materials', name),
+                amount: this._formatGrams(totals.materials[name]),
+            })),
+            hazardous: hazardous.map((name) => ({
+                label: this._label('impact.substances', name),
+                amount: this._formatGrams(totals.hazardous[name]),
+            })),
+            note: this.loader.t('impact.note', {
+                version: this.factors.version,
+                updated: this.factors.updated,
+            }),
+        };
+    }
+
+    // Grams shown as mg, g or kg, whichever reads best
+    _formatGrams(grams) {
+        if (grams >= 1000) return this._formatKg(grams / 1000);
+        if (grams > 0 && grams < 1) {
+            return this.loader.t('impact.units.mg', {
+                value: this.loader.formatNumber(grams * 1000, {
+                    maximumFractionDigits: 0,
+                }),
+            });
+        }
+        return this.loader.t('impact.units.g', {
+            value: this.loader.formatNumber(grams, {
+                maximumFractionDigits: grams < 10 ? 1 : 0,
+            }),
+        });
+    }
+
+    _formatKg(kg) {
+        return this.loader.t('impact.units.kg', {
+            value: this.loader.formatNumber(kg, {
+                maximumFractionDigits: kg < 10 ? 1 : 0,
+            }),
+        });
+    }
+
+    _label(prefix, name) {
+        const key = `${prefix}.${name}`;
+        return this.loader.hasTranslation(key) ? this.loader.t(key) : name;
+    }
+
+    _deviceLabel(id) {
+        const label = this._label('impact.devices', id);
+        return this.devices.get(id)?.unit === 'kg'
+            ? this.loader.t('impact.perKg', { device: label })
+            : label;
+    }
+
+    _renderOptions() {
+        const selected = this.select.value;
+        this.select.replaceChildren(
+            ...this.factors.devices.map(({ id }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = this._deviceLabel(id);
+                return option;
+            })
+        );
+        if (selected) this.select.value = selected;
+    }
+
+    // One row per listed device with its own quantity field and remove button
+    _renderDevices() {
+        this.list.replaceChildren(
+            ...[...this.quantities].map(([id, quantity]) => {
+                const label = this._deviceLabel(id);
+                const item = document.createElement('li');
+
+                const name = document.createElement('label');
+                name.htmlFor = `impact-quantity-${id}`;
+                name.textContent = label;
+
+                const input = document.createElement('input');
+                Object.assign(input, {
+                    type: 'number',
+                    id: `impact-quantity-${id}`,
+                    min: '1',
+                    max: String(IMPACT_MAX_QUANTITY),
+                    step: '1',
+                    value: String(quantity),
+                });
+                input.dataset.impactQuantity = id;
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.dataset.impactRemove = id;
+                remove.textContent = this.loader.t('impact.remove');
+                remove.setAttribute(
+                    'aria-label',
+                    this.loader.t('impact.removeDevice', { device: label })
+                );
+
+                item.append(name, input, remove);
+                return item;
+            })
+        );
+    }
+
+    // Unknown devices and unusable quantities in a shared link are skipped
+    _readUrl() {
+        if (!this.syncUrl) return;
+
+        new URLSearchParams(window.location.search)
+            .getAll(IMPACT_PARAM)
+            .forEach((entry) => {
+                const [id, count] = entry.split('.');
+                const quantity = Number(count);
+                if (
+                    this.devices.has(id) &&
+                    Number.isInteger(quantity) &&
+                    quantity >= 1
+                ) {
+                    this.quantities.set(
+                        id,
+                        Math.min(
+                            (this.quantities.get(id) || 0) + quantity,
+                            IMPACT_MAX_QUANTITY
+                        )
+                    );
+                }
+            });
+    }
+
+    // replaceState keeps the router's history entry and adds none of its own
+    _writeUrl() {
+        if (!this.syncUrl) return;
+
+        const params = new URLSearchParams(window.location.search);
+        params.delete(IMPACT_PARAM);
+        this.quantities.forEach((quantity, id) =>
+            params.append(IMPACT_PARAM, `${id}.${quantity}`)
+        );
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (
+            url !==
+            `${window.location.pathname}${window.location.search}${window.location.hash}`
+        ) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    _setStatus(message) {
+        this.status.textContent = message;
+    }
+}
+
+window.componentLoader.register('impact-calculator', {
+    setup(context) {
+        context.state.calculator = new ImpactCalculator(context);
+        return context.state.calculator.start();
+    },
+});
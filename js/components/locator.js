@@ -0,0 +1,548 @@
+// Drop-off locator: finds e-waste collection points in a local GeoJSON
+// dataset, filtered by the item types they accept and sorted by distance from
+// a typed place, "latitude, longitude" or the browser's location.
+//
+// The dataset (options.src or data-src, default /data/drop-off-sites.geojson)
+// is a FeatureCollection of Point features with { name, address, accepts,
+// hours, phone } properties; its "places" member lists { name, coordinates }
+// for place names typed into the search. options.geocode(query) may resolve
+// other names to { lat, lng }. The map is SVG drawn from the coordinates, so
+// it needs no tile server and works offline; options.map = false (or
+// data-map="false") leaves it out. A second locator on the same page numbers
+// its element ids ("locator-2-map") so labels and controls stay paired.
+const EARTH_RADIUS_KM = 6371;
+const MAP_WIDTH = 400;
+const MAP_HEIGHT = 300;
+const MAP_PADDING = 24;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Attributes of the locator template that refer to its element ids
+const LOCATOR_ID_REFERENCES = [
+    'for',
+    'list',
+    'aria-controls',
+    'aria-labelledby',
+];
+
+class DropOffLocator {
+    constructor(context) {
+        this.context = context;
+        this.loader = context.loader;
+        this.element = context.element;
+        this.options = context.options;
+        // Sites that failed to render (e.g. the results template did not
+        // load) are reported in the status region
+        context.onError = () =>
+            this._setStatus(this.loader.t('locator.updateFailed'));
+        this.src = this.options.src || '/data/drop-off-sites.geojson';
+        this.mapEnabled = String(this.options.map) !== 'false';
+        this.idPrefix = this._assignIds();
+
+        this.form = this.element.querySelector('.locator-search');
+        this.input = this.form.elements.location;
+        this.filters = this.element.querySelector('[data-locator-filters]');
+        this.placeList = this.element.querySelector('[data-locator-places]');
+        this.geolocateButton = this.element.querySelector(
+            '[data-locator-geolocate]'
+        );
+        this.status = this.element.querySelector('[data-locator-status]');
+        this.mapToggle = this.element.querySelector(
+            '[data-locator-map-toggle]'
+        );
+        this.map = this.element.querySelector('[data-locator-map]');
+        this.results = this.element.querySelector('[data-locator-results]');
+
+        this.sites = []; // { id, name, address, accepts, hours, phone, lat, lng }
+        this.places = []; // { label, lat, lng }
+        this.itemTypes = [];
+        this.visible = []; // Sites currently listed, in order
+        this.origin = null; // { lat, lng, label }; no label means the visitor's location
+        this.mapVisible = false;
+        this.resultsHandle = null;
+        this.loaded = false;
+    }
+
+    start() {
+        const { listen, run } = this.context;
+
+        listen(this.form, 'submit', (e) => {
+            e.preventDefault();
+            run(this.search(this.input.value));
+        });
+        listen(this.filters, 'change', () => run(this.render()));
+        listen(this.geolocateButton, 'click', () => run(this.locate()));
+        listen(this.mapToggle, 'click', () => this.toggleMap());
+        listen(this.map, 'click', (e) => this._handleMapClick(e));
+        listen(document, 'locale:changed', () => {
+            this._syncMapToggle();
+            if (!this.loaded) return;
+            this._renderFilters();
+            run(this.render());
+        });
+
+        this.geolocateButton.hidden = !navigator.geolocation;
+        this.mapToggle.hidden = !this.mapEnabled;
+        this._syncMapToggle();
+
+        return this.load();
+    }
+
+    // The first locator on the page keeps the template's "locator-" ids; later
+    // ones take the first free "locator-<n>-" prefix
+    _assignIds() {
+        const taken = (prefix) => {
+            const element = document.getElementById(`${prefix}-title`);
+            return element && !this.element.contains(element);
+        };
+        let prefix = 'locator';
+        for (let n = 2; taken(prefix); n++) prefix = `locator-${n}`;
+        if (prefix === 'locator') return prefix;
+
+        const rename = (value) => value.replace(/^locator-/, `${prefix}-`);
+        this.element.querySelectorAll('[id^="locator-"]').forEach((element) => {
+            element.id = rename(element.id);
+        });
+        LOCATOR_ID_REFERENCES.forEach((attribute) =>
+            this.element
+                .querySelectorAll(`[${attribute}^="locator-"]`)
+                .forEach((element) =>
+                    element.setAttribute(
+                        attribute,
+                        rename(element.getAttribute(attribute))
+                    )
+                )
+        );
+        return prefix;
+    }
+
+    async load() {
+        this._setStatus(this.loader.t('locator.loading'));
+
+        try {
+            const response = await fetch(this.src);
+            if (!response.ok) {
+                throw new Error(
+                    `HTTP ${response.status}: ${response.statusText}`
+                );
+            }
+            this._readDataset(await response.json());
+        } catch (error) {
+            this.loader._log(
+                'error',
+                `Failed to load drop-off sites from ${this.src}:`,
+                error
+            );
+            this._setStatus(this.loader.t('locator.loadFailed'));
+            return;
+        }
+
+        this.loaded = true;
+        this._renderFilters();
+        this._renderPlaceList();
+        await this.render();
+    }
+
+    _readDataset(collection) {
+        this.sites = (collection.features || [])
+            .filter((feature) => feature.geometry?.type === 'Point')
+            .map((feature, index) => {
+                const [lng, lat] = feature.geometry.coordinates;
+                const properties = feature.properties || {};
+                return {
+                    id: String(feature.id ?? properties.id ?? index),
+                    name: properties.name || '',
+                    address: properties.address || '',
+                    accepts: properties.accepts || [],
+                    hours: properties.hours || '',
+                    phone: properties.phone || '',
+                    lat,
+                    lng,
+                };
+            });
+        this.itemTypes = [
+            ...new Set(this.sites.flatMap((site) => site.accepts)),
+        ];
+        this.places = (collection.places || []).map((place) => ({
+            label: place.name,
+            lat: place.coordinates[1],
+            lng: place.coordinates[0],
+        }));
+    }
+
+    selectedTypes() {
+        return Array.from(
+            this.filters.querySelectorAll('input[name="accepts"]:checked'),
+            (input) => input.value
+        );
+    }
+
+    // Sort by distance from a place name or "latitude, longitude"; an empty
+    // query goes back to alphabetical order
+    async search(query) {
+        query = query.trim();
+        if (!query) {
+            this.origin = null;
+            return this.render();
+        }
+
+        const origin =
+            this._parseCoordinates(query) ||
+            this._findPlace(query) ||
+            (await this._geocode(query));
+        if (!origin) {
+            this._setStatus(this.loader.t('locator.placeNotFound', { query }));
+            return;
+        }
+
+        this.origin = origin;
+        return this.render();
+    }
+
+    // Sort by distance from the visitor, through the Geolocation API
+    locate() {
+        if (!navigator.geolocation) return Promise.resolve();
+
+        this._setStatus(this.loader.t('locator.locating'));
+        return new Promise((resolve) => {
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    const { latitude, longitude } = position.coords;
+                    this.origin = {
+                        lat: latitude,
+                        lng: longitude,
+                        label: null,
+                    };
+                    this.input.value = '';
+                    resolve(this.render());
+                },
+                (error) => {
+                    this._setStatus(
+                        this.loader.t(
+                            error.code === 1 // PERMISSION_DENIED
+                                ? 'locator.locationDenied'
+                                : 'locator.locationUnavailable'
+                        )
+                    );
+                    resolve();
+                },
+                { timeout: 10000, maximumAge: 300000 }
+            );
+        });
+    }
+
+    // Filter and sort the sites, then list them through the locator-results template
+    async render() {
+        const types = this.selectedTypes();
+        const sites = this.sites
+            .filter((site) =>
+                types.every((type) => site.accepts.includes(type))
+            )
+            .map((site) => ({
+                ...site,
+                distance: this.origin
+                    ? this._distance(this.origin, site)
+                    : null,
+            }));
+
+        if (this.origin) {
+            sites.sort((a, b) => a.distance - b.distance);
+        } else {
+            sites.sort((a, b) =>
+                a.name.localeCompare(b.name, this.loader.locale)
+            );
+        }
+        this.visible = sites;
+
+        const data = { sites: sites.map((site) => this._present(site)) };
+        if (this.resultsHandle?.element === this.results) {
+            await this.resultsHandle.update(data);
+        } else {
+            this.resultsHandle = await this.loader.injectComponent(
+                'locator-results',
+                this.results,
+                { data, preserveFocus: false }
+            );
+        }
+
+        const count = sites.length;
+        this._setStatus(
+            this.origin
+                ? this.loader.t('locator.resultsNear', {
+                      count,
+                      place:
+                          this.origin.label ||
+                          this.loader.t('locator.yourLocation'),
+                  })
+                : this.loader.t('locator.results', { count })
+        );
+        if (this.mapVisible) this._renderMap();
+    }
+
+    toggleMap() {
+        this.mapVisible = !this.mapVisible;
+        this.map.hidden = !this.mapVisible;
+        this._syncMapToggle();
+
+        if (this.mapVisible) {
+            this._renderMap();
+        } else {
+            this.map.replaceChildren();
+        }
+    }
+
+    // Values for one entry of the locator-results template
+    _present(site) {
+        return {
+            id: this._siteElementId(site),
+            name: site.name,
+            address: site.address,
+            hours: site.hours,
+            phone: site.phone,
+            accepts: site.accepts
+                .map((type) => this._itemLabel(type))
+                .join(', '),
+            distance:
+                site.distance === null
+                    ? ''
+                    : this.loader.t('locator.distance', {
+                          distance: this.loader.formatNumber(site.distance, {
+                              maximumFractionDigits: site.distance < 10 ? 1 : 0,
+                          }),
+                      }),
+            directions: `https://www.openstreetmap.org/?mlat=${site.lat}&mlon=${site.lng}#map=17/${site.lat}/${site.lng}`,
+        };
+    }
+
+    _siteElementId(site) {
+        return `${this.idPrefix}-site-${site.id}`;
+    }
+
+    _itemLabel(type) {
+        const key = `locator.items.${type}`;
+        return this.loader.hasTranslation(key) ? this.loader.t(key) : type;
+    }
+
+    // One checkbox per item type in the dataset; checked ones are kept
+    _renderFilters() {
+        const checked = new Set(this.selectedTypes());
+
+        this.filters.replaceChildren(
+            ...this.itemTypes.map((type) => {
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.name = 'accepts';
+                input.value = type;
+                input.checked = checked.has(type);
+                label.append(input, ` ${this._itemLabel(type)}`);
+                return label;
+            })
+        );
+    }
+
+    // Suggestions for the search box: known places and the sites themselves
+    _renderPlaceList() {
+        this.placeList.replaceChildren(
+            ...[
+                ...this.places,
+                ...this.sites.map((site) => ({ label: site.name })),
+            ].map(({ label }) => {
+                const option = document.createElement('option');
+                option.value = label;
+                return option;
+            })
+        );
+    }
+
+    _parseCoordinates(query) {
+        const match = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/.exec(query);
+        if (!match) return null;
+
+        const lat = Number(match[1]);
+        const lng = Number(match[2]);
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+        return { lat, lng, label: query };
+    }
+
+    // Exact names first, then the first name that starts with the query
+    _findPlace(query) {
+        const needle = query.toLocaleLowerCase();
+        const candidates = [
+            ...this.places,
+            ...this.sites.map(({ name, lat, lng }) => ({
+                label: name,
+                lat,
+                lng,
+            })),
+        ];
+        const name = (candidate) => candidate.label.toLocaleLowerCase();
+
+        return (
+            candidates.find((candidate) => name(candidate) === needle) ||
+            candidates.find((candidate) =>
+                name(candidate).startsWith(needle)
+            ) ||
+            null
+        );
+    }
+
+    async _geocode(query) {
+        if (!this.options.geocode) return null;
+
+        try {
+            const result = await this.options.geocode(query);
+            return result ? { label: query, ...result } : null;
+        } catch (error) {
+            this.loader._log('error', `Failed to geocode "${query}":`, error);
+            return null;
+        }
+    }
+
+    // Great-circle distance in km (haversine)
+    _distance(from, to) {
+        const rad = (degrees) => (degrees * Math.PI) / 180;
+        const dLat = rad(to.lat - from.lat);
+        const dLng = rad(to.lng - from.lng);
+        const a =
+            Math.sin(dLat / 2) ** 2 +
+            Math.cos(rad(from.lat)) *
+                Math.cos(rad(to.lat)) *
+                Math.sin(dLng / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    _setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    _syncMapToggle() {
+        this.mapToggle.setAttribute('aria-expanded', String(this.mapVisible));
+        this.mapToggle.textContent = this.loader.t(
+            this.mapVisible ? 'locator.hideMap' : 'locator.showMap'
+        );
+    }
+
+    // The listed sites (and the origin) projected into the SVG's viewBox;
+    // numbered markers match the list and link to their entries
+    _renderMap() {
+        const svg = this._svg('svg', {
+            viewBox: `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`,
+            role: 'group',
+            'aria-label': this.loader.t('locator.mapLabel'),
+        });
+        svg.appendChild(
+            this._svg('rect', {
+                class: 'locator-map-background',
+                width: MAP_WIDTH,
+                height: MAP_HEIGHT,
+            })
+        );
+
+        const points = this.origin
+            ? [...this.visible, this.origin]
+            : this.visible;
+        if (points.length) {
+            const project = this._projection(points);
+
+            if (this.origin) {
+                const [x, y] = project(this.origin);
+                const marker = this._svg('circle', {
+                    class: 'locator-map-origin',
+                    cx: x,
+                    cy: y,
+                    r: 6,
+                });
+                const title = this._svg('title');
+                title.textContent =
+                    this.origin.label || this.loader.t('locator.yourLocation');
+                marker.appendChild(title);
+                svg.appendChild(marker);
+            }
+
+            this.visible.forEach((site, index) => {
+                const [x, y] = project(site);
+                const link = this._svg('a', {
+                    class: 'locator-map-site',
+                    href: `#${this._siteElementId(site)}`,
+                });
+                const title = this._svg('title');
+                title.textContent = `${index + 1}. ${site.name}`;
+                const label = this._svg('text', {
+                    x,
+                    y,
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'central',
+                    'aria-hidden': 'true',
+                });
+                label.textContent = String(index + 1);
+
+                link.append(
+                    title,
+                    this._svg('circle', { cx: x, cy: y, r: 10 }),
+                    label
+                );
+                svg.appendChild(link);
+            });
+        }
+
+        this.map.replaceChildren(svg);
+    }
+
+    // Equirectangular projection fitted to the points; longitude is scaled by
+    // the cosine of the mean latitude so distances look right near the equator
+    // and away from it
+    _projection(points) {
+        const lats = points.map((point) => point.lat);
+        const lngs = points.map((point) => point.lng);
+        const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+        const midLng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+        const xScale = Math.cos((midLat * Math.PI) / 180);
+        const spanX = Math.max(
+            (Math.max(...lngs) - Math.min(...lngs)) * xScale,
+            0.01
+        );
+        const spanY = Math.max(Math.max(...lats) - Math.min(...lats), 0.01);
+        const scale = Math.min(
+            (MAP_WIDTH - 2 * MAP_PADDING) / spanX,
+            (MAP_HEIGHT - 2 * MAP_PADDING) / spanY
+        );
+
+        return ({ lat, lng }) => [
+            +(MAP_WIDTH / 2 + (lng - midLng) * xScale * scale).toFixed(1),
+            +(MAP_HEIGHT / 2 - (lat - midLat) * scale).toFixed(1),
+        ];
+    }
+
+    // Markers move focus to their list entry rather than jumping the page
+    _handleMapClick(e) {
+        const link = e.target.closest('a');
+        if (!link) return;
+
+        const entry = document.getElementById(
+            link.getAttribute('href').slice(1)
+        );
+        if (!entry) return;
+
+        e.preventDefault();
+        entry.scrollIntoView?.({
+            behavior: this.loader._prefersReducedMotion() ? 'auto' : 'smooth',
+            block: 'nearest',
+        });
+        this.loader._focusSection(entry);
+    }
+
+    _svg(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([attribute, value]) =>
+            element.setAttribute(attribute, String(value))
+        );
+        return element;
+    }
+}
+
+window.componentLoader.register('locator', {
+    setup(context) {
+        context.state.locator = new DropOffLocator(context);
+        return context.state.locator.start();
+    },
+});
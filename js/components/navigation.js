@@ -0,0 +1,334 @@
+// Site navigation: a disclosure menu on small screens and a row of links on
+// wide ones. Follows the disclosure navigation pattern rather than ARIA
+// menubar, so links stay links, with arrow keys moving between them (roving
+// tabindex). While the small-screen menu is open, Tab is trapped in the toggle
+// and the menu; Escape, an outside click or widening the window closes it.
+//
+// Links to sections of the page are highlighted by a scroll-spy as the
+// sections pass under the (sticky) header. Only following a link changes the
+// URL hash; scrolling past sections leaves it alone.
+//
+// Markup: a toggle ([data-mobile-toggle] or #menu-toggle) and the menu it
+// controls (aria-controls, [data-mobile-menu] or .nav-links-container).
+// options.scrollOffset overrides the measured sticky header height.
+const SCROLL_SPY_RESIZE_DEBOUNCE = 150;
+
+class NavigationMenu {
+    constructor(context) {
+        this.context = context;
+        this.loader = context.loader;
+        this.element = context.element;
+        this.options = context.options;
+        this.toggle = this.element.querySelector(
+            '[data-mobile-toggle], #menu-toggle'
+        );
+        this.menu =
+            (this.toggle?.hasAttribute('aria-controls') &&
+                document.getElementById(
+                    this.toggle.getAttribute('aria-controls')
+                )) ||
+            this.element.querySelector(
+                '[data-mobile-menu], .nav-links-container'
+            );
+        if (!this.menu) this.toggle = null; // Nothing to collapse
+        this.list = this.menu || this.element; // Where the links are
+        this.open = false;
+        this.sections = []; // { link, target } for links to sections of this page
+        this.visibleSections = new Set();
+        this.spy = null;
+        this.scrollTarget = null; // Section being scrolled to after a click
+        this.resizeTimer = null;
+        // The page's own scroll-padding-top, put back on destroy
+        this.scrollPadding = document.documentElement.style.scrollPaddingTop;
+    }
+
+    start() {
+        const { listen } = this.context;
+
+        listen(this.element, 'keydown', (e) => this._handleKeydown(e));
+        listen(this.list, 'click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (!link) return;
+
+            // Following a link (including same-page anchors) closes the menu
+            if (this.open) this.close();
+
+            // Mark the destination now; sections passed on the way are ignored
+            const section = this.sections.find((s) => s.link === link);
+            if (section) {
+                this.scrollTarget = section.target;
+                this._setActiveSection(section);
+            }
+        });
+        listen(this.list, 'focusin', (e) => {
+            if (this.items().includes(e.target)) this._setCurrentItem(e.target);
+        });
+
+        if (this.toggle) {
+            this._prepareToggle();
+            listen(this.toggle, 'click', () =>
+                this.open ? this.close({ focusToggle: true }) : this.show()
+            );
+            listen(document, 'click', (e) => {
+                if (this.open && !this.element.contains(e.target)) {
+                    this.close();
+                }
+            });
+            listen(window, 'resize', () => this._syncLayout());
+            this._syncLayout();
+        }
+
+        // The header height and the page's sections can change
+        listen(window, 'resize', () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(
+                () => this._startScrollSpy(),
+                SCROLL_SPY_RESIZE_DEBOUNCE
+            );
+        });
+        listen(document, 'route:changed', () => this._startScrollSpy());
+        // Sections can render after the navigation (e.g. the page's own
+        // component, or includes inside it)
+        listen(document, 'component:loaded', (e) => {
+            if (!this.element.contains(e.target)) this._startScrollSpy();
+        });
+        listen(window, 'scrollend', () => {
+            this.scrollTarget = null;
+        });
+        this._startScrollSpy();
+
+        this._setCurrentItem(
+            this.items().find((item) => item.hasAttribute('aria-current')) ||
+                this.items()[0]
+        );
+
+        this.loader._setActiveNavigation(this.element);
+        this.loader._initializeSmoothScroll(this.element, listen);
+    }
+
+    destroy() {
+        clearTimeout(this.resizeTimer);
+        this.spy?.disconnect();
+        this.spy = null;
+        document.documentElement.style.scrollPaddingTop = this.scrollPadding;
+    }
+
+    items() {
+        return Array.from(this.list.querySelectorAll('a[href], button')).filter(
+            (item) => item !== this.toggle && !item.disabled
+        );
+    }
+
+    show() {
+        if (!this.toggle) return;
+
+        this.open = true;
+        this.menu.classList.remove('hidden');
+        this.toggle.setAttribute('aria-expanded', 'true');
+        this._currentItem()?.focus();
+    }
+
+    close({ focusToggle = false } = {}) {
+        if (!this.toggle) return;
+
+        this.open = false;
+        this.toggle.setAttribute('aria-expanded', 'false');
+        if (this._isCollapsible()) this.menu.classList.add('hidden');
+        if (focusToggle) this.toggle.focus();
+    }
+
+    // The toggle is only displayed on small screens
+    _isCollapsible() {
+        return getComputedStyle(this.toggle).display !== 'none';
+    }
+
+    // Wide layouts always show the links; small ones start with the menu closed
+    _syncLayout() {
+        if (!this._isCollapsible()) {
+            this.open = false;
+            this.toggle.setAttribute('aria-expanded', 'false');
+            this.menu.classList.remove('hidden');
+        } else if (!this.open) {
+            this.menu.classList.add('hidden');
+        }
+    }
+
+    // Give a toggle that is not a <button> (e.g. a <div id="menu-toggle">)
+    // button semantics, and name it and tie it to the menu if the markup does not
+    _prepareToggle() {
+        const { toggle, menu } = this;
+
+        if (toggle.localName !== 'button') {
+            toggle.setAttribute('role', 'button');
+            if (!toggle.hasAttribute('tabindex')) {
+                toggle.setAttribute('tabindex', '0');
+            }
+        }
+        if (!toggle.textContent.trim() && !toggle.hasAttribute('aria-label')) {
+            toggle.setAttribute('aria-label', this.loader.t('navigation.menu'));
+        }
+        if (!menu.id) menu.id = `${this.context.instanceKey}-menu`;
+        toggle.setAttribute('aria-controls', menu.id);
+        toggle.setAttribute('aria-expanded', String(this.open));
+    }
+
+    _handleKeydown(e) {
+        if (e.key === 'Escape' && this.open) {
+            e.preventDefault();
+            this.close({ focusToggle: true });
+            return;
+        }
+
+        if (
+            (e.key === 'Enter' || e.key === ' ') &&
+            e.target === this.toggle &&
+            this.toggle.localName !== 'button'
+        ) {
+            e.preventDefault();
+            this.toggle.click();
+            return;
+        }
+
+        if (e.key === 'Tab' && this.open) {
+            this._trapFocus(e);
+            return;
+        }
+
+        const items = this.items();
+        const index = items.indexOf(e.target);
+        if (index === -1) return;
+
+        const moves = {
+            ArrowRight: index + 1,
+            ArrowDown: index + 1,
+            ArrowLeft: index - 1,
+            ArrowUp: index - 1,
+            Home: 0,
+            End: items.length - 1,
+        };
+        if (!(e.key in moves)) return;
+
+        e.preventDefault();
+        const next = items[(moves[e.key] + items.length) % items.length];
+        this._setCurrentItem(next);
+        next.focus();
+    }
+
+    // Tab cycles through the toggle and every menu item in document order
+    _trapFocus(e) {
+        const items = this.items();
+        const focusable = Array.from(
+            this.element.querySelectorAll('a[href], button')
+        ).filter((item) => item === this.toggle || items.includes(item));
+        const index = focusable.indexOf(document.activeElement);
+        const next = index + (e.shiftKey ? -1 : 1);
+
+        e.preventDefault();
+        focusable[(next + focusable.length) % focusable.length].focus();
+    }
+
+    // Watch a band just below the sticky header: the first section in it is current
+    _startScrollSpy() {
+        this.spy?.disconnect();
+        this.spy = null;
+        this.visibleSections.clear();
+
+        const offset = this._scrollOffset();
+        // Anchor jumps and scrollIntoView stop below the header too
+        document.documentElement.style.scrollPaddingTop = offset
+            ? `${offset}px`
+            : this.scrollPadding;
+
+        this.sections = this.items()
+            .map((link) => ({
+                link,
+                target: this.loader._getAnchorTarget(link),
+            }))
+            .filter((section) => section.target);
+        if (
+            !this.sections.length ||
+            typeof IntersectionObserver === 'undefined'
+        ) {
+            return;
+        }
+
+        this.spy = new IntersectionObserver(
+            (entries) => this._handleIntersections(entries),
+            { rootMargin: `-${offset}px 0px -60% 0px` }
+        );
+        this.sections.forEach(({ target }) => this.spy.observe(target));
+    }
+
+    _handleIntersections(entries) {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                this.visibleSections.add(entry.target);
+            } else {
+                this.visibleSections.delete(entry.target);
+            }
+        });
+
+        if (this.scrollTarget) {
+            if (!this.visibleSections.has(this.scrollTarget)) return;
+            this.scrollTarget = null;
+        }
+
+        const current = this.sections.find((section) =>
+            this.visibleSections.has(section.target)
+        );
+        if (current) this._setActiveSection(current);
+    }
+
+    _setActiveSection(current) {
+        this.sections.forEach(({ link }) => {
+            if (link === current.link) {
+                link.setAttribute('aria-current', 'location');
+                link.classList.add('active');
+            } else {
+                link.removeAttribute('aria-current');
+                link.classList.remove('active');
+            }
+        });
+
+        // Tabbing into the navigation lands on the current section's link
+        if (!this.element.contains(document.activeElement)) {
+            this._setCurrentItem(current.link);
+        }
+    }
+
+    // Height of the header when it stays on screen (position sticky or fixed)
+    _scrollOffset() {
+        if (this.options.scrollOffset !== undefined) {
+            return this.options.scrollOffset;
+        }
+
+        const header = this.element.closest('header') || this.element;
+        const { position } = getComputedStyle(header);
+        return position === 'sticky' || position === 'fixed'
+            ? Math.round(header.getBoundingClientRect().height)
+            : 0;
+    }
+
+    // Only one item is in the tab order; arrow keys move between the rest
+    _setCurrentItem(current) {
+        this.items().forEach((item) => {
+            item.setAttribute('tabindex', item === current ? '0' : '-1');
+        });
+    }
+
+    _currentItem() {
+        return this.items().find(
+            (item) => item.getAttribute('tabindex') === '0'
+        );
+    }
+}
+
+window.componentLoader.register('navigation', {
+    setup(context) {
+        context.state.menu = new NavigationMenu(context);
+        context.state.menu.start();
+    },
+    destroy(context) {
+        context.state.menu?.destroy();
+    },
+});
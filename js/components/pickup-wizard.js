@@ -0,0 +1,359 @@
+// Multi-step e-waste pickup request. Reuses the contact form machinery:
+// FormValidator per step, the shared live region and _submitWithFeedback.
+
+class PickupWizard {
+    constructor(context) {
+        this.context = context;
+        this.loader = context.loader;
+        this.element = context.element;
+        this.options = context.options;
+        // A step that failed (e.g. the review did not render) is announced
+        context.onError = () => {
+            this.liveRegion.textContent = this.loader.t('pickup.stepFailed');
+        };
+        this.form = this.element.querySelector('form');
+        this.steps = Array.from(this.form.querySelectorAll('[data-step]'));
+        this.indicators = Array.from(
+            this.element.querySelectorAll('[data-step-indicator]')
+        );
+        this.liveRegion = this.loader._ensureLiveRegion(this.form);
+        this.validator = new FormValidator(
+            this.form,
+            {
+                items: {
+                    messages: {
+                        required: () => this.loader.t('pickup.itemsRequired'),
+                    },
+                },
+                wipeConsent: {
+                    messages: {
+                        required: () => this.loader.t('pickup.consentRequired'),
+                    },
+                },
+                date: { min: this._today() },
+                ...(this.options.validation || {}),
+            },
+            { translate: (rule) => this.loader._translateValidation(rule) }
+        );
+        this.storageKey = this.options.storageKey || 'ewaste:pickup-wizard';
+        this.current = 0;
+        this.submitting = false;
+    }
+
+    start() {
+        const { listen, run } = this.context;
+
+        listen(this.form, 'click', (e) => {
+            if (e.target.closest('[data-wizard-next]')) run(this.next());
+            if (e.target.closest('[data-wizard-back]')) run(this.back());
+        });
+        listen(this.form, 'submit', (e) => {
+            e.preventDefault();
+            // Enter in an early step advances instead of submitting
+            if (this.current < this.steps.length - 1) {
+                run(this.next());
+            } else {
+                run(this.submit());
+            }
+        });
+        listen(this.form, 'input', () => this.save());
+        listen(this.form, 'change', () => this.save());
+
+        this.form
+            .querySelectorAll('input, textarea, select')
+            .forEach((input) => {
+                listen(input, 'blur', () =>
+                    this.loader._validateInput(input, this.validator)
+                );
+            });
+
+        // Requests from an impact calculator on this page; ones from another
+        // page are handed over through sessionStorage
+        listen(document, 'pickup:prefill', (e) => {
+            e.preventDefault();
+            this.prefill(e.detail);
+            run(this.goTo(0));
+            this.element.scrollIntoView?.({
+                behavior: this.loader._prefersReducedMotion()
+                    ? 'auto'
+                    : 'smooth',
+            });
+        });
+
+        const saved = this.restore();
+        const request = this._takePrefill();
+        if (request) {
+            this.prefill(request);
+            run(this.goTo(0, { focus: false }));
+        } else {
+            run(this.goTo(saved ? saved.step : 0, { focus: false }));
+        }
+    }
+
+    // Check the requested item categories with their quantities; notes are
+    // added to any the visitor already wrote
+    prefill({ items = [], notes = '' }) {
+        items.forEach(({ category, quantity }) => {
+            const checkbox = Array.from(this.form.elements).find(
+                (element) =>
+                    element.name === 'items' && element.value === category
+            );
+            const input = this.form.elements.namedItem(`quantity-${category}`);
+            if (!checkbox) return;
+
+            checkbox.checked = true;
+            // Larger loads stay listed in full in the notes
+            if (input && quantity) {
+                input.value = String(
+                    Math.min(quantity, Number(input.max) || quantity)
+                );
+            }
+        });
+
+        const notesField = this.form.elements.namedItem('notes');
+        if (notesField && notes && !notesField.value.includes(notes)) {
+            notesField.value = notesField.value
+                ? `${notesField.value}\n${notes}`
+                : notes;
+        }
+        this.save();
+    }
+
+    _takePrefill() {
+        try {
+            const request = JSON.parse(
+                sessionStorage.getItem(PICKUP_PREFILL_KEY)
+            );
+            sessionStorage.removeItem(PICKUP_PREFILL_KEY);
+            return request;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async next() {
+        if (!(await this.validateStep())) return;
+        await this.goTo(this.current + 1);
+    }
+
+    back() {
+        return this.goTo(this.current - 1);
+    }
+
+    async validateStep() {
+        const step = this.steps[this.current];
+        const fields = this.validator
+            .getFields()
+            .filter((field) => step.contains(field));
+        const result = await this.loader._validateForm(
+            this.form,
+            this.validator,
+            fields
+        );
+
+        if (!result.valid) {
+            this.liveRegion.textContent = this.loader.t('pickup.stepErrors', {
+                count: result.errors.length,
+            });
+            result.errors[0].element.focus();
+        }
+        return result.valid;
+    }
+
+    async goTo(index, { focus = true } = {}) {
+        this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+        const isLast = this.current === this.steps.length - 1;
+
+        if (isLast) {
+            await this.renderReview();
+        }
+
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== this.current;
+        });
+        this.indicators.forEach((indicator, i) => {
+            if (i === this.current) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+            indicator.classList.toggle('complete', i < this.current);
+        });
+
+        this.form.querySelector('[data-wizard-back]').hidden =
+            this.current === 0;
+        this.form.querySelector('[data-wizard-next]').hidden = isLast;
+        this.form.querySelector('[data-wizard-submit]').hidden = !isLast;
+
+        const legend = this.steps[this.current].querySelector('legend');
+        this.liveRegion.textContent = this.loader.t('pickup.stepStatus', {
+            step: this.current + 1,
+            total: this.steps.length,
+            title: legend?.textContent.trim() || '',
+        });
+        if (focus) legend?.focus();
+
+        this.save();
+    }
+
+    // The review step renders the collected values through the template engine
+    async renderReview() {
+        const target = this.form.querySelector('[data-wizard-review]');
+        const summary = this.summarize();
+
+        if (this.reviewHandle?.element === target) {
+            await this.reviewHandle.update(summary);
+        } else {
+            this.reviewHandle = await this.loader.injectComponent(
+                'pickup-summary',
+                target,
+                { data: summary, preserveFocus: false }
+            );
+        }
+    }
+
+    // Values as submitted; selected items carry their quantities
+    collect() {
+        const formData = new FormData(this.form);
+        const data = Object.fromEntries(formData);
+
+        data.items = formData.getAll('items').map((category) => ({
+            category,
+            quantity: Number(formData.get(`quantity-${category}`)) || 1,
+        }));
+        Object.keys(data)
+            .filter((key) => key.startsWith('quantity-'))
+            .forEach((key) => delete data[key]);
+        data.wipeConsent = formData.get('wipeConsent') === 'yes';
+
+        return data;
+    }
+
+    // Human-readable labels for the review step
+    summarize() {
+        const data = this.collect();
+        const labelFor = (name, value) => {
+            const input = Array.from(this.form.elements).find(
+                (element) => element.name === name && element.value === value
+            );
+            if (input?.tagName === 'SELECT') {
+                return input.selectedOptions[0]?.textContent.trim() || value;
+            }
+            return input?.closest('label')?.textContent.trim() || value;
+        };
+
+        return {
+            ...data,
+            items: data.items.map((item) => ({
+                ...item,
+                label: labelFor('items', item.category),
+            })),
+            condition: labelFor('condition', data.condition),
+            timeSlot: labelFor('timeSlot', data.timeSlot),
+        };
+    }
+
+    async submit() {
+        if (this.submitting) return;
+        this.submitting = true;
+
+        try {
+            // Re-check every step in case saved progress skipped one
+            const result = await this.loader._validateForm(
+                this.form,
+                this.validator
+            );
+            if (!result.valid) {
+                const step = this.steps.findIndex((s) =>
+                    s.contains(result.errors[0].element)
+                );
+                await this.goTo(step);
+                await this.validateStep();
+                return;
+            }
+
+            const status = await this.loader._submitWithFeedback(
+                this.element,
+                this.form,
+                this.liveRegion,
+                this.collect(),
+                this.options
+            );
+
+            if (status !== 'failed') {
+                await this.goTo(0, { focus: false });
+                sessionStorage.removeItem(this.storageKey);
+            }
+        } finally {
+            this.submitting = false;
+        }
+    }
+
+    // Progress is kept in sessionStorage so a reload does not lose it
+    save() {
+        const values = {};
+        Array.from(this.form.elements).forEach((element) => {
+            if (!element.name || element.type === 'file') return;
+
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                if (!element.checked) return;
+                values[element.name] = [
+                    ...(values[element.name] || []),
+                    element.value,
+                ];
+            } else {
+                values[element.name] = element.value;
+            }
+        });
+
+        try {
+            sessionStorage.setItem(
+                this.storageKey,
+                JSON.stringify({ step: this.current, values })
+            );
+        } catch (error) {
+            this.loader._log(
+                'error',
+                'Failed to save pickup request progress:',
+                error
+            );
+        }
+    }
+
+    restore() {
+        let saved;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+        if (!saved?.values) return null;
+
+        Array.from(this.form.elements).forEach((element) => {
+            if (!element.name || element.type === 'file') return;
+            const value = saved.values[element.name];
+
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                element.checked =
+                    Array.isArray(value) && value.includes(element.value);
+            } else if (value !== undefined) {
+                element.value = value;
+            }
+        });
+
+        return saved;
+    }
+
+    _today() {
+        const now = new Date();
+        now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+        return now.toISOString().slice(0, 10);
+    }
+}
+
+window.componentLoader.register('pickup-wizard', {
+    setup(context) {
+        context.state.wizard = new PickupWizard(context);
+        context.state.wizard.start();
+    },
+});
@@ -0,0 +1,310 @@
+class Router {
+    constructor(loader, config = {}) {
+        this.loader = loader;
+        this.routes = [];
+        this.config = {
+            outlet: config.outlet || '[data-router-outlet]',
+            notFound: config.notFound || 'not-found',
+            transition:
+                config.transition !== undefined ? config.transition : 'fade',
+            focusSelector: config.focusSelector || 'h1, [data-route-heading]',
+        };
+        this.current = null;
+        this.scrollPositions = new Map(); // Scroll offsets by history entry key
+        this.started = false;
+        this._navigationId = 0;
+        this._handleClick = this._handleClick.bind(this);
+        this._handlePopState = this._handlePopState.bind(this);
+    }
+
+    // Register a route; ":name" segments become route params
+    addRoute(path, component, options = {}) {
+        const paramNames = [];
+        const pattern = this.loader
+            ._normalizePath(path)
+            .split('/')
+            .map((segment) => {
+                if (segment.startsWith(':')) {
+                    paramNames.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        this.routes.push({
+            path,
+            component,
+            title: options.title || null,
+            data: options.data || {},
+            regex: new RegExp(`^${pattern}$`),
+            paramNames,
+        });
+        return this;
+    }
+
+    match(pathname) {
+        const path = this.loader._normalizePath(pathname);
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(path);
+            if (match) {
+                const params = {};
+                route.paramNames.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+                return { route, params, path };
+            }
+        }
+
+        return null;
+    }
+
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        const key = history.state?.key || this._createKey();
+        history.replaceState({ ...history.state, key }, '');
+
+        document.addEventListener('click', this._handleClick);
+        window.addEventListener('popstate', this._handlePopState);
+
+        await this._render(window.location, { focus: false, adopt: true });
+    }
+
+    stop() {
+        document.removeEventListener('click', this._handleClick);
+        window.removeEventListener('popstate', this._handlePopState);
+        this.started = false;
+    }
+
+    async navigate(href, { replace = false } = {}) {
+        const url = new URL(href, window.location.href);
+        this._saveScrollPosition();
+
+        const state = { key: replace ? history.state?.key : this._createKey() };
+        if (replace) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+
+        await this._render(url, { focus: true });
+    }
+
+    _handleClick(event) {
+        if (
+            event.defaultPrevented ||
+            event.button !== 0 ||
+            event.metaKey ||
+            event.ctrlKey ||
+            event.shiftKey ||
+            event.altKey
+        ) {
+            return;
+        }
+
+        const link = event.target.closest?.('a[href]');
+        if (
+            !link ||
+            link.target ||
+            link.hasAttribute('download') ||
+            link.hasAttribute('data-router-ignore')
+        ) {
+            return;
+        }
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return;
+
+        // Same-page anchors are left to the browser and smooth scrolling
+        const samePage =
+            this.loader._normalizePath(url.pathname) ===
+            this.loader._normalizePath(window.location.pathname);
+        if (samePage && url.hash) return;
+
+        if (!this.match(url.pathname)) return;
+
+        event.preventDefault();
+        this.navigate(url.href).catch((error) => this.reportError(error));
+    }
+
+    _handlePopState(event) {
+        this._saveScrollPosition(this.current?.key);
+        this._render(window.location, {
+            focus: true,
+            scroll: this.scrollPositions.get(event.state?.key),
+        }).catch((error) => this.reportError(error));
+    }
+
+    // Log a failed navigation through the loader's logger
+    reportError(error) {
+        this.loader._log('error', 'Navigation failed:', error);
+    }
+
+    async _render(
+        location,
+        { focus = true, scroll = null, adopt = false } = {}
+    ) {
+        const navigationId = ++this._navigationId;
+        const matched = this.match(location.pathname);
+        let component = matched
+            ? matched.route.component
+            : this.config.notFound;
+
+        const data = {
+            ...(matched?.route.data || {}),
+            params: matched?.params || {},
+            query: Object.fromEntries(new URLSearchParams(location.search)),
+            path: location.pathname,
+        };
+
+        const outlet = this.loader._resolveTarget(this.config.outlet);
+        const inject = async () => {
+            await this.loader.injectComponent(component, this.config.outlet, {
+                data,
+                transition: this.config.transition,
+                preserveFocus: false,
+            });
+            // An outlet that is also an include host names the page it holds
+            if (outlet?.hasAttribute('data-component')) {
+                outlet.setAttribute('data-component', component);
+            }
+        };
+
+        try {
+            try {
+                // The page's own outlet include (<main data-component="...">)
+                // is loaded or hydrated by the loader, not rendered twice
+                if (
+                    adopt &&
+                    outlet?.getAttribute('data-component') === component
+                ) {
+                    await this._whenIncludeSettled(outlet);
+                } else {
+                    await inject();
+                }
+            } catch (error) {
+                // A page that fails to render (load and template failures show
+                // the error boundary instead) is replaced by the not-found page
+                if (
+                    error instanceof InjectionCancelledError ||
+                    component === this.config.notFound
+                ) {
+                    throw error;
+                }
+                this.reportError(error);
+                component = this.config.notFound;
+                await inject();
+            }
+        } catch (error) {
+            // Superseded by the injection of a newer navigation
+            if (error instanceof InjectionCancelledError) return;
+            throw error;
+        }
+
+        // A newer navigation started while this one was rendering
+        if (navigationId !== this._navigationId) return;
+
+        this.current = {
+            key: history.state?.key,
+            component,
+            params: data.params,
+            route: matched?.route || null,
+        };
+
+        if (matched?.route.title) {
+            document.title = matched.route.title;
+        }
+
+        this.loader.updateActiveNavigation();
+        this._restoreScroll(location, scroll);
+
+        if (focus) {
+            this._focusHeading();
+        }
+
+        document.dispatchEvent(
+            new CustomEvent('route:changed', {
+                detail: {
+                    path: location.pathname,
+                    component,
+                    params: data.params,
+                    notFound: component === this.config.notFound,
+                },
+            })
+        );
+    }
+
+    // Resolves once the loader has loaded, hydrated or failed an include host
+    _whenIncludeSettled(host) {
+        const settled = () =>
+            ['loaded', 'hydrated', 'error'].includes(
+                host.getAttribute('data-component-state')
+            );
+        if (settled()) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const observer = new MutationObserver(() => {
+                if (!settled()) return;
+                observer.disconnect();
+                resolve();
+            });
+            observer.observe(host, {
+                attributes: true,
+                attributeFilter: ['data-component-state'],
+            });
+        });
+    }
+
+    _saveScrollPosition(key = history.state?.key) {
+        if (key) {
+            this.scrollPositions.set(key, {
+                x: window.scrollX,
+                y: window.scrollY,
+            });
+        }
+    }
+
+    _restoreScroll(location, scroll) {
+        if (scroll) {
+            window.scrollTo(scroll.x, scroll.y);
+            return;
+        }
+
+        const anchor =
+            location.hash && document.getElementById(location.hash.slice(1));
+        if (anchor) {
+            anchor.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+
+    // Move focus to the new page heading so screen readers announce the change
+    _focusHeading() {
+        const outlet = this.loader._resolveTarget(this.config.outlet);
+        const heading = outlet?.querySelector(this.config.focusSelector);
+        if (!heading) return;
+
+        // Headings are focusable only while they hold the focus
+        if (!heading.hasAttribute('tabindex')) {
+            heading.setAttribute('tabindex', '-1');
+            heading.addEventListener(
+                'blur',
+                () => heading.removeAttribute('tabindex'),
+                { once: true }
+            );
+        }
+        heading.focus({ preventScroll: true });
+    }
+
+    _createKey() {
+        return Math.random().toString(36).slice(2, 10);
+    }
+}
@@ -1,6 +1,220 @@
+// ComponentLoader fetches, renders and hydrates the site's HTML components.
+// This is an ES module without side effects; pages load global.js, which
+// installs the shared window.componentLoader.
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+// Attributes on an include element that configure it rather than becoming data
+const INCLUDE_RESERVED_ATTRIBUTES = new Set([
+    'name',
+    'id',
+    'class',
+    'style',
+    'data-component',
+    'data-props',
+    'data-component-state',
+]);
+
+const INCLUDE_SELECTOR = 'ewaste-include[name], [data-component]';
+
+const LOCALE_STORAGE_KEY = 'ewaste:locale';
+
+// sessionStorage key of a pickup request the impact calculator hands over to
+// the pickup wizard on another page
+const PICKUP_PREFILL_KEY = 'ewaste:pickup-prefill';
+
+// Light DOM hosts carry this attribute; their component CSS is prefixed with it
+const STYLE_SCOPE_ATTRIBUTE = 'data-ew-scope';
+// A selector's trailing pseudo-elements, which must stay last when it is scoped
+const PSEUDO_ELEMENT_PATTERN =
+    /^(.*?)((?:::[\w-]+(?:\([^)]*\))?|:(?:before|after|first-line|first-letter))*)$/;
+
+// Elements sanitizeHtml drops along with their content
+const SANITIZER_BLOCKED_ELEMENTS = new Set([
+    'script',
+    'iframe',
+    'frame',
+    'frameset',
+    'object',
+    'embed',
+    'base',
+    'meta',
+    'link',
+    'style',
+    'template',
+]);
+
+// Attributes holding URLs, checked for script and document URLs
+const SANITIZER_URL_ATTRIBUTES = new Set([
+    'href',
+    'src',
+    'action',
+    'formaction',
+    'xlink:href',
+    'poster',
+    'data',
+    'background',
+]);
+
+// English fallbacks for strings produced in JS, used when no bundle has the key
+const I18N_DEFAULTS = {
+    component: {
+        loadFailed: "We couldn't load this section.",
+        retry: 'Try again',
+    },
+    navigation: {
+        menu: 'Menu',
+    },
+    form: {
+        submitted: 'Form submitted successfully!',
+        submittedStatus: 'Form submitted successfully',
+        failed: 'Submission failed. Please try again.',
+        queued: "We couldn't reach the server. Your submission was saved and will be sent when the connection returns.",
+        queuedStatus: 'Submission saved and will be sent when you reconnect',
+        errors: {
+            one: 'Form has {count} error. Please correct it.',
+            other: 'Form has {count} errors. Please correct them.',
+        },
+    },
+};
+
+// Raised by _submitForm; retryable failures (network, timeout, 5xx) may be queued
+class SubmissionError extends Error {
+    constructor(
+        message,
+        { status = null, retryable = false, fieldErrors = {}, cause } = {}
+    ) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.retryable = retryable;
+        this.fieldErrors = fieldErrors;
+        this.cause = cause;
+    }
+}
+
+// A component's markup could not be fetched (network, timeout or HTTP status)
+class ComponentLoadError extends Error {
+    constructor(
+        componentName,
+        message,
+        { url = null, status = null, retryable = false, cause } = {}
+    ) {
+        super(message);
+        this.name = 'ComponentLoadError';
+        this.componentName = componentName;
+        this.url = url;
+        this.status = status;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+// A component's template failed to compile or render
+class TemplateError extends Error {
+    constructor(componentName, message, { cause } = {}) {
+        super(message);
+        this.name = 'TemplateError';
+        this.componentName = componentName;
+        this.cause = cause;
+    }
+}
+
+// A pending injection was superseded by a newer one to the same target, or aborted
+class InjectionCancelledError extends Error {
+    constructor(componentName, message = 'Injection was cancelled') {
+        super(message);
+        this.name = 'InjectionCancelledError';
+        this.componentName = componentName;
+    }
+}
+
+// Trusted Types policies by loader, kept here rather than on the loader so no
+// other script can use them to mint trusted values
+const trustedTypesPolicies = new WeakMap();
+
+// The value a loader is passing through its own policy unchanged; set only for
+// that synchronous call. Anything else given to the policy is sanitized (HTML)
+// or refused (scripts).
+let trustedPassthrough = null;
+
+// Component markup comes from this site and data is escaped (or sanitized, in
+// strict mode), so the loader's own HTML passes through; script URLs are held
+// to the origin allowlist
+function trustedTypesPolicy(loader) {
+    if (trustedTypesPolicies.has(loader)) {
+        return trustedTypesPolicies.get(loader);
+    }
+    if (typeof window.trustedTypes?.createPolicy !== 'function') {
+        trustedTypesPolicies.set(loader, null);
+        return null;
+    }
+
+    let policy = null;
+    try {
+        policy = window.trustedTypes.createPolicy(
+            loader.config.trustedTypesPolicy,
+            {
+                createHTML: (html) =>
+                    html === trustedPassthrough
+                        ? html
+                        : loader.sanitizeHtml(html),
+                createScript: (script) => {
+                    if (script !== trustedPassthrough) {
+                        throw new TypeError(
+                            'Scripts can only be created by the component loader'
+                        );
+                    }
+                    return script;
+                },
+                createScriptURL: (url) => {
+                    if (!loader._isAllowedScriptUrl(url)) {
+                        throw new TypeError(
+                            `Script URL is not allowed: ${url}`
+                        );
+                    }
+                    return url;
+                },
+            }
+        );
+    } catch (error) {
+        // The page's trusted-types CSP directive does not allow this policy name
+        loader._reportViolation('trusted-types', {
+            source: loader.config.trustedTypesPolicy,
+            error,
+        });
+        // Strict mode fails closed instead of writing plain strings to the sinks
+        if (loader.config.strict) throw error;
+    }
+
+    trustedTypesPolicies.set(loader, policy);
+    return policy;
+}
+
+// value as the loader's own TrustedHTML or TrustedScript (method createHTML or
+// createScript), or unchanged where Trusted Types are unavailable
+function trustedValue(loader, value, method) {
+    const policy = trustedTypesPolicy(loader);
+    if (!policy) return value;
+
+    const previous = trustedPassthrough;
+    trustedPassthrough = value;
+    try {
+        return policy[method](value);
+    } finally {
+        trustedPassthrough = previous;
+    }
+}
+
 class ComponentLoader {
     constructor(config = {}) {
         this.components = new Map();
+        this.styles = new Map(); // Component stylesheets by name; null when there is none
         this.initialized = false;
         this.config = {
             basePath: config.basePath || '/components',
@@ -8,50 +222,326 @@ class ComponentLoader {
             cacheEnabled: config.cacheEnabled !== false,
             enableShadowDOM: config.enableShadowDOM || false,
             executeScripts: config.executeScripts !== false,
+            devMode: config.devMode || false,
+            submitTimeout: config.submitTimeout || 10000,
+            submitRetries:
+                config.submitRetries !== undefined ? config.submitRetries : 3,
+            submitRetryDelay: config.submitRetryDelay || 500,
+            outboxKey: config.outboxKey || 'ewaste:form-outbox',
+            localePath: config.localePath || '/locales',
+            fallbackLocale: config.fallbackLocale || 'en',
+            stylePath: config.stylePath || '/css/components',
+            styles: config.styles || false, // Load <stylePath>/<component>.css with the markup
+            // Persistent Cache API store for component markup (stale-while-revalidate)
+            persistentCache: config.persistentCache || false,
+            cacheName: config.cacheName || 'ewaste-components',
+            cacheVersion: config.cacheVersion || '1',
+            manifestUrl: config.manifestUrl || null, // { version, components: { name: hash } }
+            fetchTimeout: config.fetchTimeout || 8000,
+            fetchRetries:
+                config.fetchRetries !== undefined ? config.fetchRetries : 2,
+            fetchRetryDelay: config.fetchRetryDelay || 300,
+            // Show a "couldn't load this section" placeholder when a component fails
+            errorBoundary: config.errorBoundary || false,
+            lazyRootMargin: config.lazyRootMargin || '200px', // How near lazy sections load
+            viewTransitions: config.viewTransitions !== false, // Prefer the View Transitions API
+            // Strict mode sanitizes {{{ raw }}} output, only runs component
+            // scripts from scriptOrigins (default: this origin), refuses inline
+            // scripts not marked data-trusted and fails closed when the Trusted
+            // Types policy cannot be created
+            strict: config.strict || false,
+            scriptOrigins: config.scriptOrigins || null,
+            sanitizer: config.sanitizer || null, // Replaces sanitizeHtml's own cleaning
+            trustedTypesPolicy:
+                config.trustedTypesPolicy || 'ewaste-components',
+            // Called with every structured loader event (see _emit), e.g. to
+            // forward load timings to analytics
+            reporter: config.reporter || null,
         };
+        // Receives the loader's diagnostics: { debug, info, warn, error }
+        this.logger = config.logger || console;
+        // CSP nonce for executed scripts and injected styles; defaults to the
+        // nonce the page's scripts carry
+        this.nonce =
+            config.nonce ||
+            document.querySelector?.('script[nonce]')?.nonce ||
+            null;
         this.loadingStates = new Map();
         this.eventHandlers = new Map();
-        this.injectionLocks = new Map(); // Prevent concurrent injections to same target
+        this.injectionLocks = new Map(); // Per-target mutex: queue tail by element
+        this.pendingInjections = new WeakMap(); // Latest injection token by target element
+        this.activeTransitions = new WeakMap(); // AbortController of the running transition by target
+        this.instances = new Map(); // Live bindings of injected components, by instance key
+        this.metrics = new Map(); // Load timings (ms) of the latest render, by instance key
+        this.errors = new Map(); // Latest failure, by instance key
+        this.timingId = 0; // Keeps performance marks of concurrent steps apart
+        this.includeObserver = null;
+        this.visibilityObservers = new Set(); // Pending lazy: 'visible' loads
+        this.registry = new Map(); // Lifecycle definitions by component name
+        this.lifecycles = new Map(); // Active lifecycle contexts by instance key
+        this.manifest = null; // Pending or loaded version manifest
+        this.locale = config.locale || document.documentElement.lang || 'en';
+        this.localeBundles = new Map();
+        this.helpers = new Map(); // Template helpers: {{name arg key=value}}
+
+        this.registerHelper('t', ([key], hash) => this.t(key, hash));
+        this.registerHelper('number', ([value], hash) =>
+            this.formatNumber(value, hash)
+        );
+        this.registerHelper('date', ([value, style], hash) =>
+            this.formatDate(
+                value,
+                Object.keys(hash).length
+                    ? hash
+                    : { dateStyle: style || 'medium' }
+            )
+        );
+
+        // Built-in plugins (navigation registers itself from navigation.js)
+        this.register('contact-form', {
+            setup: (context) => this.initializeContactForm(context),
+        });
+    }
+
+    // Register lifecycle hooks for a component: { setup, mounted, updated, destroy }.
+    // Registering an existing name replaces its definition, built-ins included.
+    register(componentName, definition = {}) {
+        ['setup', 'mounted', 'updated', 'destroy'].forEach((hook) => {
+            if (
+                definition[hook] !== undefined &&
+                typeof definition[hook] !== 'function'
+            ) {
+                throw new TypeError(
+                    `Lifecycle hook "${hook}" for "${componentName}" must be a function`
+                );
+            }
+        });
+
+        this.registry.set(componentName, definition);
+        return this;
+    }
+
+    // Register a template helper, called as fn(args, hash) for {{name arg key=value}}
+    registerHelper(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError(`Template helper "${name}" must be a function`);
+        }
+        this.helpers.set(name, fn);
+        return this;
+    }
+
+    // Locale bundles are JSON files loaded like components: <localePath>/<locale>.json
+    async loadLocale(locale) {
+        if (this.localeBundles.has(locale)) {
+            return this.localeBundles.get(locale);
+        }
+
+        const loadingKey = `locale:${locale}`;
+        if (this.loadingStates.has(loadingKey)) {
+            return this.loadingStates.get(loadingKey);
+        }
+
+        const loadPromise = (async () => {
+            const url = `${this.config.localePath}/${locale}.json`;
+            let bundle = {};
+
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(
+                        `HTTP ${response.status}: ${response.statusText}`
+                    );
+                }
+                bundle = await response.json();
+            } catch (error) {
+                // Missing keys fall back to the default locale
+                this._log('error', `Failed to load locale "${locale}":`, error);
+            }
+
+            this.localeBundles.set(locale, bundle);
+            return bundle;
+        })();
+
+        this.loadingStates.set(loadingKey, loadPromise);
+
+        try {
+            return await loadPromise;
+        } finally {
+            this.loadingStates.delete(loadingKey);
+        }
+    }
+
+    _ensureLocale(locale = this.locale) {
+        return Promise.all(
+            [...new Set([locale, this.config.fallbackLocale])].map((code) =>
+                this.loadLocale(code)
+            )
+        );
+    }
+
+    // Switch language: mounted components re-render their localized bindings in place
+    async setLocale(locale, { persist = true } = {}) {
+        await this._ensureLocale(locale);
+
+        const previousLocale = this.locale;
+        this.locale = locale;
+        document.documentElement.lang = locale;
+
+        try {
+            if (persist) localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        } catch (error) {
+            // Storage may be unavailable (private mode); the switch still applies
+        }
+
+        if (locale !== previousLocale) {
+            await Promise.all(
+                Array.from(this.instances.values()).map(async (instance) => {
+                    const release = await this._acquireLock(instance.element);
+                    try {
+                        if (!instance.mounted) return;
+                        await this._patchInstance(instance, ['@locale']);
+                    } finally {
+                        release();
+                    }
+                    await this._notifyUpdated(instance, ['@locale']);
+                })
+            );
+        }
+
+        document.dispatchEvent(
+            new CustomEvent('locale:changed', {
+                detail: { locale, previousLocale },
+            })
+        );
+    }
+
+    // Translate a dotted key. Plural entries are objects keyed by Intl.PluralRules
+    // category ({ one, other }) and selected by params.count; {name} is replaced by params.name.
+    t(key, params = {}) {
+        let message = [this.locale, this.config.fallbackLocale]
+            .map((locale) =>
+                this._getNestedValue(this.localeBundles.get(locale) || {}, key)
+            )
+            .find((value) => value !== undefined);
+
+        if (message === undefined) {
+            message = this._getNestedValue(I18N_DEFAULTS, key);
+        }
+        if (message === undefined) {
+            this._reportUnresolved(key);
+            return key;
+        }
+
+        if (typeof message === 'object' && message !== null) {
+            const category = new Intl.PluralRules(this.locale).select(
+                Number(params.count) || 0
+            );
+            message = message[category] ?? message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number'
+                ? this.formatNumber(value)
+                : String(value);
+        });
+    }
+
+    // True when the active or fallback locale bundle defines key
+    hasTranslation(key) {
+        return [this.locale, this.config.fallbackLocale].some(
+            (locale) =>
+                this._getNestedValue(
+                    this.localeBundles.get(locale) || {},
+                    key
+                ) !== undefined
+        );
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    // Date-only strings ("2026-03-14") are read as local dates, not UTC midnight
+    formatDate(value, options = { dateStyle: 'medium' }) {
+        const date =
+            typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+                ? new Date(`${value}T00:00`)
+                : new Date(value);
+
+        if (Number.isNaN(date.getTime())) return value ?? '';
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+
+    // Validation messages from the locale bundles: validation.<rule>
+    _translateValidation(rule) {
+        const key = `validation.${rule}`;
+        return this.hasTranslation(key) ? this.t(key) : null;
     }
 
     // Load and cache components with duplicate request prevention
     async loadComponent(componentName) {
+        const template = await this._loadTemplate(componentName);
+        return template.html;
+    }
+
+    // Load a component and compile it once; the cache entry keeps both the
+    // raw HTML and its render function
+    async _loadTemplate(componentName) {
         if (this.config.cacheEnabled && this.components.has(componentName)) {
+            this._emit('cache-hit', { componentName, source: 'memory' });
             return this.components.get(componentName);
         }
 
+        // Requests already under way are shared
         if (this.loadingStates.has(componentName)) {
+            this._emit('cache-hit', { componentName, source: 'in-flight' });
             return this.loadingStates.get(componentName);
         }
 
-        const loadPromise = this._fetchComponent(componentName);
+        this._emit('cache-miss', { componentName, source: 'memory' });
+
+        const loadPromise = this._fetchComponent(componentName).then((html) => {
+            try {
+                return { html, ...this._compileTemplate(html) };
+            } catch (error) {
+                throw new TemplateError(componentName, error.message, {
+                    cause: error,
+                });
+            }
+        });
         this.loadingStates.set(componentName, loadPromise);
 
         try {
-            const html = await loadPromise;
+            const template = await loadPromise;
             if (this.config.cacheEnabled) {
-                this.components.set(componentName, html);
+                this.components.set(componentName, template);
             }
-            return html;
+            return template;
         } finally {
             this.loadingStates.delete(componentName);
         }
     }
 
     async _fetchComponent(componentName) {
-        const url = `${this.config.basePath}/${componentName}${this.config.defaultExtension}`;
+        const url = this._getComponentUrl(componentName);
 
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(
-                    `HTTP ${response.status}: ${response.statusText}`
+            const cache = await this._openPersistentCache();
+            if (cache) {
+                return await this._fetchStaleWhileRevalidate(
+                    cache,
+                    componentName,
+                    url
                 );
             }
 
+            const response = await this._requestComponent(url, componentName);
             return await response.text();
         } catch (error) {
-            console.error(
+            this._log(
+                'error',
                 `Failed to load component "${componentName}" from ${url}:`,
                 error
             );
@@ -59,194 +549,1891 @@ class ComponentLoader {
         }
     }
 
-    // Enhanced template engine with nested object support and XSS protection
-    _processTemplate(html, data = {}) {
-        if (!data || Object.keys(data).length === 0) return html;
+    _getComponentUrl(componentName) {
+        return `${this.config.basePath}/${componentName}${this.config.defaultExtension}`;
+    }
+
+    // Fetch with a timeout per attempt; network errors, timeouts and 5xx responses
+    // are retried with exponential backoff
+    async _requestComponent(url, componentName) {
+        const { fetchRetries, fetchRetryDelay } = this.config;
+        const end = this._startTiming(`fetch:${componentName}`);
+        this._emit('fetch-start', { componentName, url });
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this._fetchWithTimeout(
+                    url,
+                    componentName
+                );
+                this._emit('fetch-end', {
+                    componentName,
+                    url,
+                    status: response.status,
+                    attempts: attempt + 1,
+                    duration: end(),
+                });
+                return response;
+            } catch (error) {
+                if (!error.retryable || attempt >= fetchRetries) {
+                    this._emit('fetch-end', {
+                        componentName,
+                        url,
+                        status: error.status,
+                        attempts: attempt + 1,
+                        error,
+                        duration: end(),
+                    });
+                    throw error;
+                }
+
+                await new Promise((resolve) =>
+                    setTimeout(resolve, fetchRetryDelay * 2 ** attempt)
+                );
+            }
+        }
+    }
+
+    async _fetchWithTimeout(url, componentName) {
+        const timeout = this.config.fetchTimeout;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        let response;
+
+        try {
+            response = await fetch(url, { signal: controller.signal });
+        } catch (error) {
+            throw new ComponentLoadError(
+                componentName,
+                error.name === 'AbortError'
+                    ? `Loading ${url} timed out after ${timeout}ms`
+                    : `Network error while loading ${url}`,
+                { url, retryable: true, cause: error }
+            );
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw new ComponentLoadError(
+                componentName,
+                `HTTP ${response.status}: ${response.statusText}`,
+                {
+                    url,
+                    status: response.status,
+                    retryable:
+                        response.status >= 500 ||
+                        response.status === 408 ||
+                        response.status === 429,
+                }
+            );
+        }
+
+        return response;
+    }
+
+    // Null when persistence is off or the Cache API is unavailable (e.g. insecure origins)
+    async _openPersistentCache() {
+        if (!this.config.persistentCache || typeof caches === 'undefined') {
+            return null;
+        }
 
-        return html.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-            const trimmedKey = key.trim();
-            const value = this._getNestedValue(data, trimmedKey);
+        try {
+            return await caches.open(this.config.cacheName);
+        } catch (error) {
+            return null;
+        }
+    }
 
-            // XSS protection: escape HTML by default
-            return value !== undefined
-                ? this._escapeHtml(String(value))
-                : match;
+    // Serve the cached copy and refresh it in the background; the network is
+    // only awaited when nothing is cached for the current version
+    async _fetchStaleWhileRevalidate(cache, componentName, url) {
+        const key = await this._getCacheKey(componentName, url);
+        const cached = await cache.match(key);
+        this._emit(cached ? 'cache-hit' : 'cache-miss', {
+            componentName,
+            source: 'persistent',
         });
+
+        const revalidate = this._requestComponent(url, componentName).then(
+            async (response) => {
+                const html = await response.clone().text();
+                // A full or evicted cache must not fail a load that succeeded
+                try {
+                    await cache.put(key, response);
+                    await this._deleteCacheEntries(cache, url, key);
+                } catch (error) {
+                    this._log(
+                        'warn',
+                        `Failed to cache component "${componentName}":`,
+                        error
+                    );
+                }
+                return html;
+            }
+        );
+
+        if (!cached) return revalidate;
+
+        const stale = await cached.text();
+        revalidate
+            .then((html) => {
+                // Later loads compile the fresh markup
+                if (html !== stale) this.components.delete(componentName);
+            })
+            .catch(() => {
+                // Offline or failing: keep serving the cached copy
+            });
+
+        return stale;
     }
 
-    _getNestedValue(obj, path) {
-        return path.split('.').reduce((current, prop) => current?.[prop], obj);
+    // Cache keys carry the component's content hash from the manifest, so a
+    // deploy that changes a component misses the old entry
+    async _getCacheKey(componentName, url) {
+        const manifest = await this._loadManifest();
+        const version =
+            manifest?.components?.[componentName] ||
+            manifest?.version ||
+            this.config.cacheVersion;
+
+        return `${url}?v=${encodeURIComponent(version)}`;
     }
 
-    _escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Network first so new deploys are picked up; the cached manifest keeps offline loads working
+    _loadManifest() {
+        if (!this.config.manifestUrl) return Promise.resolve(null);
+
+        if (!this.manifest) {
+            const url = this.config.manifestUrl;
+            this.manifest = (async () => {
+                const cache = await this._openPersistentCache();
+
+                try {
+                    const response = await fetch(url, { cache: 'no-cache' });
+                    // Without a manifest, keys fall back to config.cacheVersion
+                    if (response.status === 404) return null;
+                    if (!response.ok) {
+                        throw new Error(
+                            `HTTP ${response.status}: ${response.statusText}`
+                        );
+                    }
+                    await cache?.put(url, response.clone());
+                    return await response.json();
+                } catch (error) {
+                    const cached = await cache?.match(url);
+                    if (cached) return cached.json();
+
+                    this._log(
+                        'error',
+                        'Failed to load component manifest:',
+                        error
+                    );
+                    return null;
+                }
+            })();
+        }
+
+        return this.manifest;
     }
 
-    // Resolve target to DOM element - accepts element, selector, or ID string
-    _resolveTarget(target) {
-        if (target instanceof Element) {
-            return target;
+    // Delete every cached version of url except keepKey
+    async _deleteCacheEntries(cache, url, keepKey = null) {
+        const { pathname } = new URL(url, window.location.href);
+        const keep = keepKey && new URL(keepKey, window.location.href).href;
+        const requests = await cache.keys();
+
+        await Promise.all(
+            requests
+                .filter(
+                    (request) =>
+                        new URL(request.url).pathname === pathname &&
+                        request.url !== keep
+                )
+                .map((request) => cache.delete(request))
+        );
+    }
+
+    // Stylesheet for a component, fetched once and shared by every instance.
+    // Resolves to null when the component has no stylesheet.
+    async _loadStyles(styleName) {
+        if (this.config.cacheEnabled && this.styles.has(styleName)) {
+            return this.styles.get(styleName);
         }
 
-        if (typeof target === 'string') {
-            let element = document.querySelector(target);
+        const loadingKey = `style:${styleName}`;
+        if (this.loadingStates.has(loadingKey)) {
+            return this.loadingStates.get(loadingKey);
+        }
+
+        const loadPromise = this._fetchStyles(styleName).then((css) =>
+            css === null
+                ? null
+                : {
+                      name: styleName,
+                      css,
+                      scope: styleName.replace(/[^\w-]/g, '-'),
+                      sheet: null, // Constructable stylesheet, created on first shadow use
+                  }
+        );
+        this.loadingStates.set(loadingKey, loadPromise);
+
+        try {
+            const styles = await loadPromise;
+            if (this.config.cacheEnabled) {
+                this.styles.set(styleName, styles);
+            }
+            return styles;
+        } finally {
+            this.loadingStates.delete(loadingKey);
+        }
+    }
+
+    async _fetchStyles(styleName) {
+        const url = `${this.config.stylePath}/${styleName}.css`;
+
+        try {
+            const response = await fetch(url);
+            // Stylesheets are optional, so a missing file is not an error
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(
+                    `HTTP ${response.status}: ${response.statusText}`
+                );
+            }
+
+            return await response.text();
+        } catch (error) {
+            this._log(
+                'error',
+                `Failed to load styles "${styleName}" from ${url}:`,
+                error
+            );
+            return null;
+        }
+    }
+
+    // Shadow roots adopt a shared constructable stylesheet (or get a <style> where
+    // unsupported); light DOM hosts get a scope attribute matching one shared <style>.
+    // Hosts without a stylesheet get an empty one, so outer rules still stop there.
+    _applyStyles(element, styles, shadow) {
+        if (shadow) {
+            const root = element.shadowRoot;
+            if (!styles) return;
 
             if (
-                !element &&
-                !target.includes(' ') &&
-                !target.startsWith('.') &&
-                !target.startsWith('[')
+                'adoptedStyleSheets' in root &&
+                typeof CSSStyleSheet !== 'undefined' &&
+                'replaceSync' in CSSStyleSheet.prototype
             ) {
-                element = document.getElementById(target);
+                if (!styles.sheet) {
+                    styles.sheet = new CSSStyleSheet();
+                    styles.sheet.replaceSync(styles.css);
+                }
+                if (!root.adoptedStyleSheets.includes(styles.sheet)) {
+                    root.adoptedStyleSheets = [
+                        ...root.adoptedStyleSheets,
+                        styles.sheet,
+                    ];
+                }
+            } else {
+                const style = document.createElement('style');
+                style.setAttribute('data-component-style', styles.name);
+                if (this.nonce) style.nonce = this.nonce;
+                style.textContent = styles.css;
+                root.prepend(style);
             }
+            return;
+        }
 
-            return element;
+        if (!styles) {
+            element.setAttribute(STYLE_SCOPE_ATTRIBUTE, '');
+            return;
         }
 
-        return null;
+        element.setAttribute(STYLE_SCOPE_ATTRIBUTE, styles.scope);
+
+        const existing = Array.from(
+            document.head.querySelectorAll('style[data-component-style]')
+        ).find((style) => style.dataset.componentStyle === styles.name);
+        const scopedCss = this._scopeCss(
+            styles.css,
+            `[${STYLE_SCOPE_ATTRIBUTE}="${styles.scope}"]`
+        );
+
+        if (existing) {
+            // Refreshed after clearCache; otherwise already current
+            if (existing.textContent !== scopedCss) {
+                existing.textContent = scopedCss;
+            }
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.setAttribute('data-component-style', styles.name);
+        if (this.nonce) style.nonce = this.nonce;
+        style.textContent = scopedCss;
+        document.head.appendChild(style);
     }
 
-    // Generate unique key for tracking component instances
-    _getInstanceKey(componentName, targetElement) {
-        // Use element reference if available, fallback to ID
-        const targetId =
-            targetElement.id ||
-            `_anonymous_${this._getElementPath(targetElement)}`;
-        return `${componentName}:${targetId}`;
+    // Prefix every selector with the host's scope; ":host" refers to the host itself.
+    // Rules stop at nested component hosts, which style their own content.
+    _scopeCss(css, scope) {
+        // Parse through a stylesheet that never applies, then read its rules
+        const style = document.createElement('style');
+        style.media = 'not all';
+        style.textContent = css;
+        document.head.appendChild(style);
+
+        try {
+            return this._scopeRules(style.sheet.cssRules, scope);
+        } finally {
+            style.remove();
+        }
     }
 
-    _getElementPath(element) {
-        const path = [];
-        let current = element;
-        while (current && current !== document.body) {
-            const index = Array.from(
-                current.parentNode?.children || []
-            ).indexOf(current);
-            path.unshift(index);
-            current = current.parentNode;
+    _scopeRules(rules, scope) {
+        return Array.from(rules)
+            .map((rule) => {
+                if (rule.selectorText !== undefined) {
+                    const selectors = this._splitSelectors(rule.selectorText)
+                        .map((selector) => this._scopeSelector(selector, scope))
+                        .join(', ');
+                    return `${selectors} { ${rule.style.cssText} }`;
+                }
+
+                // @media and @supports wrap rules that need scoping too
+                if (
+                    rule.cssRules &&
+                    !/^@(-\w+-)?keyframes/.test(rule.cssText)
+                ) {
+                    const prelude = rule.cssText.slice(
+                        0,
+                        rule.cssText.indexOf('{')
+                    );
+                    return `${prelude.trim()} { ${this._scopeRules(
+                        rule.cssRules,
+                        scope
+                    )} }`;
+                }
+
+                return rule.cssText;
+            })
+            .join('\n');
+    }
+
+    // Elements inside another component's host are excluded; :where() keeps that
+    // from adding specificity. (A component nested in itself through another
+    // component is excluded too.)
+    _scopeSelector(selector, scope) {
+        const scoped = selector.includes(':host')
+            ? selector.replace(
+                  /:host(?:\(([^)]*)\))?/g,
+                  (match, inner) => `${scope}${inner || ''}`
+              )
+            : `${scope} ${selector}`;
+        const [, subject, pseudo] = scoped.match(PSEUDO_ELEMENT_PATTERN);
+
+        return `${subject}:where(:not(${scope} [${STYLE_SCOPE_ATTRIBUTE}]:not(${scope}) *))${pseudo}`;
+    }
+
+    // Split a selector list on top-level commas, keeping :is(a, b) intact
+    _splitSelectors(selectorText) {
+        const selectors = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of selectorText) {
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+
+            if (char === ',' && depth === 0) {
+                selectors.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        selectors.push(current.trim());
+
+        return selectors.filter(Boolean);
+    }
+
+    // Template engine: {{ key }}, {{{ raw }}}, {{#if}}/{{else}}, {{#each list as item}},
+    // {{> partial }} and helpers such as {{t 'nav.home'}} or {{number total}}.
+    // Output is HTML-escaped unless the triple-brace form is used.
+    // Accepts a compiled template from _loadTemplate or a raw HTML string.
+    async _processTemplate(template, data = {}) {
+        const compiled =
+            typeof template === 'string'
+                ? this._compileTemplate(template)
+                : template;
+
+        const partials = await this._prepareRender(compiled);
+
+        return compiled.render(
+            [{ data: data || {}, locals: {} }],
+            partials,
+            []
+        );
+    }
+
+    // Load partials, and the locale bundles when any helper is used
+    async _prepareRender(template) {
+        const partials = new Map();
+        await this._loadPartials(template.partials, partials);
+
+        if (
+            template.helpers.length ||
+            Array.from(partials.values()).some(
+                (partial) => partial.helpers.length
+            )
+        ) {
+            await this._ensureLocale();
+        }
+
+        return partials;
+    }
+
+    // Compile template source into a render function over a scope chain
+    _compileTemplate(html) {
+        if (!html.includes('{{')) {
+            return {
+                render: () => html,
+                partials: [],
+                helpers: [],
+                parts: [{ type: 'static', value: html }],
+            };
+        }
+
+        // Values inside <script> or <style> would be written out as code, where
+        // no escaping makes them safe
+        const rawText = /<(script|style)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+        let match;
+        while ((match = rawText.exec(html))) {
+            if (match[2].includes('{{')) {
+                throw new Error(
+                    `Template tags are not allowed inside <${match[1].toLowerCase()}>`
+                );
+            }
+        }
+
+        const nodes = this._parseTemplate(html);
+        const partials = new Set();
+        const helpers = new Set();
+        this._collectReferences(nodes, partials, helpers);
+
+        const renderers = nodes.map((node) => this._compileNode(node));
+
+        return {
+            render: this._combineRenderers(renderers),
+            partials: [...partials],
+            helpers: [...helpers],
+            parts: this._compileBindingParts(nodes, renderers),
+        };
+    }
+
+    // Top-level template parts used to bind rendered DOM back to data keys
+    _compileBindingParts(nodes, renderers) {
+        const parts = nodes.map((node, index) => {
+            if (node.type === 'text') {
+                return { type: 'static', value: node.value };
+            }
+
+            const deps = new Set();
+            this._collectDependencies(node, deps);
+
+            if (node.type === 'var') {
+                const getValue = this._compileValue(node);
+
+                return {
+                    type: 'value',
+                    deps,
+                    value: (scopes) => {
+                        const value = getValue(scopes);
+                        return value === undefined || value === null
+                            ? ''
+                            : String(value);
+                    },
+                };
+            }
+
+            // Raw output, blocks and partials produce markup and re-render as a region
+            return { type: 'region', deps, render: renderers[index] };
+        });
+
+        return this._groupTagParts(parts);
+    }
+
+    // A region between attributes, as in <input {{#if on}}checked{{/if}}>,
+    // cannot hold comment markers: its whole start tag becomes one 'tag' part,
+    // rendered as a string and re-applied as attributes on update
+    _groupTagParts(parts) {
+        const grouped = [];
+        let state = 'text'; // text, tag, quoted, comment or raw
+        let quote = '';
+        let rawEnd = ''; // Closing tag that ends a raw-text element's content
+        let tag = null; // Parts of the start tag being read
+        let buffer = '';
+
+        const flush = () => {
+            if (!buffer) return;
+            (tag ? tag.parts : grouped).push({
+                type: 'static',
+                value: buffer,
+            });
+            buffer = '';
+        };
+        const closeTag = () => {
+            flush();
+            const { parts: tagParts, hasRegion, name } = tag;
+            tag = null;
+
+            if (/^(script|style|textarea|title)$/i.test(name)) {
+                state = 'raw';
+                rawEnd = `</${name.toLowerCase()}`;
+            }
+            if (!hasRegion) {
+                grouped.push(...tagParts);
+                return;
+            }
+
+            const deps = new Set();
+            tagParts.forEach((part) =>
+                part.deps?.forEach((dep) => deps.add(dep))
+            );
+            grouped.push({
+                type: 'tag',
+                deps,
+                render: (scopes, partials) =>
+                    tagParts
+                        .map((part) => {
+                            if (part.type === 'static') return part.value;
+                            return part.type === 'value'
+                                ? this._escapeHtml(part.value(scopes))
+                                : part.render(scopes, partials, []);
+                        })
+                        .join(''),
+            });
+        };
+
+        parts.forEach((part) => {
+            if (part.type !== 'static') {
+                flush();
+                if (!tag) {
+                    grouped.push(part);
+                    return;
+                }
+                if (part.type === 'region' && state === 'tag') {
+                    tag.hasRegion = true;
+                }
+                tag.parts.push(part);
+                return;
+            }
+
+            const text = part.value;
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (state === 'text') {
+                    if (text.startsWith('<!--', i)) {
+                        state = 'comment';
+                    } else if (char === '<' && /[a-z]/i.test(text[i + 1])) {
+                        flush();
+                        const name = /^[^\s/>]+/.exec(text.slice(i + 1))[0];
+                        tag = { parts: [], hasRegion: false, name };
+                        state = 'tag';
+                    }
+                } else if (state === 'tag') {
+                    if (char === '"' || char === "'") {
+                        state = 'quoted';
+                        quote = char;
+                    } else if (char === '>') {
+                        buffer += char;
+                        state = 'text';
+                        closeTag();
+                        continue;
+                    }
+                } else if (state === 'quoted') {
+                    if (char === quote) state = 'tag';
+                } else if (state === 'comment') {
+                    if (text.startsWith('-->', i)) state = 'text';
+                } else if (
+                    text.slice(i, i + rawEnd.length).toLowerCase() === rawEnd
+                ) {
+                    state = 'text';
+                    i--; // Read the closing tag's "<" again as text
+                    continue;
+                }
+
+                buffer += char;
+            }
+            flush();
+        });
+
+        // Unfinished start tag at the end of the template
+        if (tag) grouped.push(...tag.parts);
+        return grouped;
+    }
+
+    _collectDependencies(node, deps) {
+        if (node.type === 'partial') {
+            deps.add('*');
+        } else if (node.helper) {
+            // Helper output follows the active locale as well as its arguments
+            deps.add('@locale');
+            [...node.args, ...Object.values(node.hash)].forEach((arg) => {
+                if (arg.path) deps.add(arg.path.split('.')[0]);
+            });
+        } else if (node.path) {
+            deps.add(node.path.split('.')[0]);
+        }
+
+        if (node.children) {
+            node.children.forEach((child) =>
+                this._collectDependencies(child, deps)
+            );
+            node.alternate.forEach((child) =>
+                this._collectDependencies(child, deps)
+            );
+        }
+    }
+
+    // Parse template source into a tree of text, variable, block and partial nodes
+    _parseTemplate(html) {
+        const tagPattern =
+            /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+        const root = { type: 'root', children: [] };
+        const stack = [{ node: root, branch: root.children }];
+        let cursor = 0;
+        let match;
+
+        const append = (node) => stack[stack.length - 1].branch.push(node);
+
+        while ((match = tagPattern.exec(html))) {
+            if (match.index > cursor) {
+                append({
+                    type: 'text',
+                    value: html.slice(cursor, match.index),
+                });
+            }
+            cursor = tagPattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                append({ type: 'raw', ...this._parseExpression(match[1]) });
+                continue;
+            }
+
+            const tag = match[2];
+
+            if (tag.startsWith('#')) {
+                const block = this._createBlockNode(tag.slice(1).trim());
+                append(block);
+                stack.push({ node: block, branch: block.children });
+            } else if (tag.startsWith('/')) {
+                const keyword = tag.slice(1).trim();
+                const frame = stack.pop();
+
+                if (stack.length === 0 || frame.node.type !== keyword) {
+                    throw new Error(`Unexpected {{/${keyword}}} in template`);
+                }
+            } else if (tag === 'else') {
+                const frame = stack[stack.length - 1];
+
+                if (
+                    frame.node === root ||
+                    frame.branch === frame.node.alternate
+                ) {
+                    throw new Error('Unexpected {{else}} in template');
+                }
+                frame.branch = frame.node.alternate;
+            } else if (tag.startsWith('>')) {
+                append({ type: 'partial', name: tag.slice(1).trim() });
+            } else {
+                append({ type: 'var', ...this._parseExpression(tag) });
+            }
+        }
+
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1].node;
+            throw new Error(`Unclosed {{#${open.type}}} block in template`);
+        }
+
+        if (cursor < html.length) {
+            append({ type: 'text', value: html.slice(cursor) });
+        }
+
+        return root.children;
+    }
+
+    // "user.name" is a path; "t 'key' count=items.length" is a helper call
+    _parseExpression(expression) {
+        const tokens = expression.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g);
+
+        if (!tokens || tokens.length === 1) return { path: expression.trim() };
+
+        const [helper, ...rest] = tokens;
+        const args = [];
+        const hash = {};
+
+        rest.forEach((token) => {
+            const named = /^([\w-]+)=([\s\S]+)$/.exec(token);
+            if (named) {
+                hash[named[1]] = this._parseArgument(named[2]);
+            } else {
+                args.push(this._parseArgument(token));
+            }
+        });
+
+        return { helper, args, hash };
+    }
+
+    _parseArgument(token) {
+        if (/^(["']).*\1$/.test(token)) return { value: token.slice(1, -1) };
+        if (/^-?\d+(\.\d+)?$/.test(token)) return { value: Number(token) };
+        if (token === 'true' || token === 'false') {
+            return { value: token === 'true' };
+        }
+        return { path: token };
+    }
+
+    _createBlockNode(expression) {
+        const [keyword, ...args] = expression.split(/\s+/);
+
+        if (keyword === 'if') {
+            if (args.length !== 1) {
+                throw new Error(`Invalid {{#if}} expression: "${expression}"`);
+            }
+            return { type: 'if', path: args[0], children: [], alternate: [] };
+        }
+
+        if (keyword === 'each') {
+            // {{#each items}} or {{#each items as item}}
+            if (!(
+                args.length === 1 ||
+                (args.length === 3 && args[1] === 'as')
+            )) {
+                throw new Error(
+                    `Invalid {{#each}} expression: "${expression}"`
+                );
+            }
+            return {
+                type: 'each',
+                path: args[0],
+                alias: args[2] || null,
+                children: [],
+                alternate: [],
+            };
+        }
+
+        throw new Error(`Unknown block helper: {{#${keyword}}}`);
+    }
+
+    // Load the compiled template of every partial reachable from a template
+    async _loadPartials(names, partials) {
+        for (const name of names) {
+            if (partials.has(name)) continue;
+
+            const partial = await this._loadTemplate(name);
+            partials.set(name, partial);
+            await this._loadPartials(partial.partials, partials);
+        }
+    }
+
+    _collectReferences(nodes, partials, helpers) {
+        nodes.forEach((node) => {
+            if (node.type === 'partial') {
+                partials.add(node.name);
+            } else if (node.helper) {
+                helpers.add(node.helper);
+            } else if (node.children) {
+                this._collectReferences(node.children, partials, helpers);
+                this._collectReferences(node.alternate, partials, helpers);
+            }
+        });
+    }
+
+    _compileNodes(nodes) {
+        return this._combineRenderers(
+            nodes.map((node) => this._compileNode(node))
+        );
+    }
+
+    _combineRenderers(renderers) {
+        if (renderers.length === 1) return renderers[0];
+
+        return (scopes, partials, partialStack) => {
+            let output = '';
+            for (const render of renderers) {
+                output += render(scopes, partials, partialStack);
+            }
+            return output;
+        };
+    }
+
+    _compileNode(node) {
+        switch (node.type) {
+            case 'text': {
+                const { value } = node;
+                return () => value;
+            }
+            case 'var':
+            case 'raw': {
+                const getValue = this._compileValue(node);
+                const escape = node.type === 'var';
+
+                return (scopes) => {
+                    const value = getValue(scopes);
+
+                    if (value === undefined || value === null) return '';
+
+                    // XSS protection: escape HTML unless {{{ raw }}} was requested
+                    if (escape) return this._escapeHtml(String(value));
+                    return this.config.strict
+                        ? this.sanitizeHtml(String(value))
+                        : String(value);
+                };
+            }
+            case 'if': {
+                const lookup = this._compilePath(node.path);
+                const consequent = this._compileNodes(node.children);
+                const alternate = this._compileNodes(node.alternate);
+
+                return (scopes, partials, partialStack) =>
+                    (this._isTruthy(lookup(scopes)) ? consequent : alternate)(
+                        scopes,
+                        partials,
+                        partialStack
+                    );
+            }
+            case 'each':
+                return this._compileEach(node);
+            case 'partial': {
+                const { name } = node;
+
+                return (scopes, partials, partialStack) => {
+                    if (partialStack.includes(name)) {
+                        throw new Error(
+                            `Circular partial reference: ${[
+                                ...partialStack,
+                                name,
+                            ].join(' -> ')}`
+                        );
+                    }
+                    return partials
+                        .get(name)
+                        .render(scopes, partials, [...partialStack, name]);
+                };
+            }
+        }
+    }
+
+    _compileEach(node) {
+        const { path, alias } = node;
+        const lookup = this._compilePath(path);
+        const body = this._compileNodes(node.children);
+        const alternate = this._compileNodes(node.alternate);
+
+        return (scopes, partials, partialStack) => {
+            const list = lookup(scopes);
+            const items =
+                list &&
+                typeof list !== 'string' &&
+                typeof list[Symbol.iterator] === 'function'
+                    ? Array.from(list)
+                    : [];
+
+            if (list === undefined) {
+                this._reportUnresolved(path);
+            }
+
+            if (items.length === 0) {
+                return alternate(scopes, partials, partialStack);
+            }
+
+            let output = '';
+            items.forEach((item, index) => {
+                const locals = {
+                    '@index': index,
+                    '@first': index === 0,
+                    '@last': index === items.length - 1,
+                };
+                if (alias) locals[alias] = item;
+
+                // Without an alias the item itself becomes the lookup context
+                const data = alias ? scopes[scopes.length - 1].data : item;
+
+                output += body(
+                    [...scopes, { data, locals }],
+                    partials,
+                    partialStack
+                );
+            });
+            return output;
+        };
+    }
+
+    // Value of a {{ path }} or {{ helper args }} expression, before escaping
+    _compileValue(node) {
+        if (!node.helper) {
+            const { path } = node;
+            const lookup = this._compilePath(path);
+
+            return (scopes) => {
+                const value = lookup(scopes);
+                if (value === undefined) this._reportUnresolved(path);
+                return value;
+            };
+        }
+
+        const { helper } = node;
+        const compileArgument = (arg) =>
+            arg.path ? this._compilePath(arg.path) : () => arg.value;
+        const args = node.args.map(compileArgument);
+        const hash = Object.entries(node.hash).map(([key, arg]) => [
+            key,
+            compileArgument(arg),
+        ]);
+
+        return (scopes) => {
+            const fn = this.helpers.get(helper);
+            if (!fn) throw new Error(`Unknown template helper "${helper}"`);
+
+            return fn(
+                args.map((arg) => arg(scopes)),
+                Object.fromEntries(hash.map(([key, arg]) => [key, arg(scopes)]))
+            );
+        };
+    }
+
+    // Build a lookup for a dotted path against the scope chain, innermost scope first
+    _compilePath(path) {
+        const [head, ...rest] = path.split('.');
+        const restPath = rest.join('.');
+
+        return (scopes) => {
+            for (let i = scopes.length - 1; i >= 0; i--) {
+                const { data, locals } = scopes[i];
+                let base;
+
+                if (head === 'this') {
+                    base = data;
+                } else if (Object.prototype.hasOwnProperty.call(locals, head)) {
+                    base = locals[head];
+                } else if (
+                    data !== null &&
+                    typeof data === 'object' &&
+                    Object.prototype.hasOwnProperty.call(data, head)
+                ) {
+                    base = data[head];
+                } else {
+                    continue;
+                }
+
+                return restPath ? this._getNestedValue(base, restPath) : base;
+            }
+
+            return undefined;
+        };
+    }
+
+    _isTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }
+
+    _reportUnresolved(path) {
+        if (this.config.devMode) {
+            this._log('warn', `Template key "${path}" could not be resolved`);
+        }
+    }
+
+    // Own properties only, so {{ constructor }} or {{ a.__proto__ }} resolve to nothing
+    _getNestedValue(obj, path) {
+        return path
+            .split('.')
+            .reduce(
+                (current, prop) =>
+                    current !== null &&
+                    current !== undefined &&
+                    Object.prototype.hasOwnProperty.call(current, prop)
+                        ? current[prop]
+                        : undefined,
+                obj
+            );
+    }
+
+    _escapeHtml(text) {
+        return text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+    }
+
+    // Resolve target to DOM element - accepts element, selector, or ID string
+    _resolveTarget(target) {
+        if (target instanceof Element) {
+            return target;
+        }
+
+        if (typeof target === 'string') {
+            let element = document.querySelector(target);
+
+            if (
+                !element &&
+                !target.includes(' ') &&
+                !target.startsWith('.') &&
+                !target.startsWith('[')
+            ) {
+                element = document.getElementById(target);
+            }
+
+            return element;
+        }
+
+        return null;
+    }
+
+    // Generate unique key for tracking component instances
+    _getInstanceKey(componentName, targetElement) {
+        // Use element reference if available, fallback to ID
+        const targetId =
+            targetElement.id ||
+            `_anonymous_${this._getElementPath(targetElement)}`;
+        return `${componentName}:${targetId}`;
+    }
+
+    _getElementPath(element) {
+        const path = [];
+        let current = element;
+        while (current && current !== document.body) {
+            const index = Array.from(
+                current.parentNode?.children || []
+            ).indexOf(current);
+            path.unshift(index);
+            current = current.parentNode;
+        }
+        return path.join('-');
+    }
+
+    // Inject component with concurrency control and improved options
+    async injectComponent(componentName, target, options = {}) {
+        const {
+            data = {},
+            append = false,
+            shadow = false,
+            transition = null,
+            preserveFocus = true,
+            executeScripts = this.config.executeScripts,
+            styles = this.config.styles, // true, false or a stylesheet name
+            signal = null, // AbortSignal that cancels the injection while pending
+        } = options;
+
+        const targetElement = this._resolveTarget(target);
+
+        if (!targetElement) {
+            throw new Error(`Target element not found: ${target}`);
+        }
+
+        // Last write wins: a newer replacing injection to this target cancels this one
+        // at its next checkpoint. Appends never supersede each other.
+        const token = {};
+        if (!append) {
+            this.pendingInjections.set(targetElement, token);
+            // The current content is on its way out; skip to the end of its transition
+            this._cancelTransition(targetElement);
+        }
+        const throwIfCancelled = () => {
+            if (signal?.aborted) {
+                throw new InjectionCancelledError(
+                    componentName,
+                    `Injection of "${componentName}" was aborted`
+                );
+            }
+            if (
+                !append &&
+                this.pendingInjections.get(targetElement) !== token
+            ) {
+                throw new InjectionCancelledError(
+                    componentName,
+                    `Injection of "${componentName}" was superseded by a newer one`
+                );
+            }
+        };
+
+        const lockKey = this._getInstanceKey(componentName, targetElement);
+        const started = performance.now();
+        // One writer per target element at a time
+        const release = await this._acquireLock(targetElement);
+        const step = { componentName, instanceKey: lockKey };
+        const timings = {}; // Durations of this injection's steps, in ms
+
+        try {
+            throwIfCancelled();
+
+            // Save focus state
+            const focusedElement = preserveFocus
+                ? document.activeElement
+                : null;
+            const focusWasInTarget =
+                preserveFocus && targetElement.contains(focusedElement);
+
+            const styleName = styles === true ? componentName : styles;
+            const endLoad = this._startTiming(`load:${lockKey}`);
+            let template;
+            let componentStyles;
+            try {
+                [template, componentStyles] = await Promise.all([
+                    this._loadTemplate(componentName),
+                    styleName ? this._loadStyles(styleName) : null,
+                ]);
+            } finally {
+                timings.load = endLoad();
+            }
+
+            const endRender = this._startTiming(`render:${lockKey}`);
+            let view;
+            try {
+                view = await this._renderView(template, data);
+            } catch (error) {
+                throw error instanceof ComponentLoadError ||
+                    error instanceof TemplateError
+                    ? error
+                    : new TemplateError(componentName, error.message, {
+                          cause: error,
+                      });
+            } finally {
+                timings.render = endRender();
+            }
+            this._emit('render', { ...step, duration: timings.render });
+
+            // Last checkpoint: from here on the injection commits to the DOM
+            throwIfCancelled();
+
+            const endInject = this._startTiming(`inject:${lockKey}`);
+            try {
+                // Tear down previous instances (hooks and listeners) if replacing content
+                if (!append) {
+                    await this._teardownTarget(targetElement, lockKey);
+                }
+
+                const useShadow = shadow && this.config.enableShadowDOM;
+                const swap = async () => {
+                    if (useShadow) {
+                        await this._injectWithShadowDOM(
+                            targetElement,
+                            view.fragment,
+                            executeScripts,
+                            componentStyles
+                        );
+                        return;
+                    }
+
+                    if (!append || componentStyles) {
+                        this._applyStyles(
+                            targetElement,
+                            componentStyles,
+                            false
+                        );
+                    }
+                    await this._injectWithDOM(
+                        targetElement,
+                        view.fragment,
+                        append,
+                        executeScripts
+                    );
+                };
+
+                await this._runTransition(
+                    targetElement,
+                    append ? null : transition,
+                    swap
+                );
+            } finally {
+                timings.inject = endInject();
+            }
+            this._emit('inject', { ...step, append, duration: timings.inject });
+
+            const instance = {
+                componentName,
+                instanceKey: lockKey,
+                element: targetElement,
+                data: { ...data },
+                bindings: view.bindings,
+                partials: view.partials,
+                mounted: true,
+            };
+
+            // Appended content keeps its own handle; the key tracks the replacing render
+            if (!append) {
+                this.instances.set(lockKey, instance);
+            }
+
+            // Restore or manage focus
+            if (preserveFocus && focusWasInTarget) {
+                this._restoreFocus(targetElement, focusedElement);
+            }
+
+            // The DOM is committed. Hooks run with the target released, so
+            // setup and mounted may update or re-inject their own element.
+            release();
+
+            const endInitialize = this._startTiming(`initialize:${lockKey}`);
+            try {
+                await this.initializeComponent(
+                    componentName,
+                    targetElement,
+                    options
+                );
+            } finally {
+                timings.initialize = endInitialize();
+            }
+            this._emit('initialize', {
+                ...step,
+                duration: timings.initialize,
+            });
+
+            // A newer injection may have replaced this instance during setup
+            if (this.instances.get(lockKey) === instance || append) {
+                await this._runLifecycleHook(lockKey, 'mounted');
+            }
+
+            timings.total = performance.now() - started;
+            if (!append) {
+                this.metrics.set(lockKey, { componentName, timings });
+                this.errors.delete(lockKey);
+            }
+
+            return this._createHandle(instance);
+        } catch (error) {
+            if (error instanceof InjectionCancelledError) throw error;
+
+            this._log(
+                'error',
+                `Failed to inject component "${componentName}":`,
+                error
+            );
+            this.errors.set(lockKey, { componentName, error });
+
+            // Load and template failures can show a fallback unless a newer
+            // injection owns the target; resolves with its handle (fallback
+            // component) or null (fallback HTML or placeholder)
+            const isCurrent = () =>
+                append || this.pendingInjections.get(targetElement) === token;
+            const recovered =
+                (error instanceof ComponentLoadError ||
+                    error instanceof TemplateError) &&
+                isCurrent()
+                    ? await this._renderFallback(
+                          componentName,
+                          targetElement,
+                          options,
+                          { release, isCurrent }
+                      )
+                    : null;
+
+            targetElement.dispatchEvent(
+                new CustomEvent('component:error', {
+                    detail: {
+                        componentName,
+                        instanceKey: lockKey,
+                        error,
+                        recovered: recovered ? recovered.type : null,
+                    },
+                    bubbles: true,
+                    composed: true,
+                })
+            );
+
+            if (recovered) return recovered.handle;
+            throw error;
+        } finally {
+            release();
+            if (this.pendingInjections.get(targetElement) === token) {
+                this.pendingInjections.delete(targetElement);
+            }
+        }
+    }
+
+    // options.fallbackComponent, then options.fallback HTML, then the error-boundary
+    // placeholder. Resolves with { type, handle } or null when nothing was rendered.
+    // Called holding the target's lock: release() frees it for a fallback
+    // component, and isCurrent() tells whether a newer injection took over.
+    async _renderFallback(
+        componentName,
+        targetElement,
+        options,
+        { release, isCurrent }
+    ) {
+        const {
+            fallback = null,
+            fallbackComponent = null,
+            errorBoundary = this.config.errorBoundary,
+            append = false,
+        } = options;
+
+        if (fallbackComponent && fallbackComponent !== componentName) {
+            // The fallback component injects into this target, so free it. Its
+            // injection claims the target before anything else can run.
+            release();
+            try {
+                const handle = await this.injectComponent(
+                    fallbackComponent,
+                    targetElement,
+                    { ...options, fallbackComponent: null }
+                );
+                // The fallback component may itself have fallen back to HTML
+                if (handle) return { type: 'component', handle };
+                return { type: 'fallback', handle: null };
+            } catch (error) {
+                return null;
+            }
+        }
+
+        let fragment;
+        let type;
+
+        if (typeof fallback === 'string') {
+            fragment = this._parseFragment(fallback);
+            type = 'fallback';
+        } else if (errorBoundary) {
+            fragment = this._createErrorPlaceholder(
+                componentName,
+                targetElement,
+                options
+            );
+            type = 'placeholder';
+        } else {
+            return null;
+        }
+
+        if (!append) {
+            await this._teardownTarget(
+                targetElement,
+                this._getInstanceKey(componentName, targetElement)
+            );
+        }
+        // Teardown hooks may have given a newer injection the chance to take over
+        if (!isCurrent()) return null;
+        await this._injectWithDOM(targetElement, fragment, append, false);
+
+        return { type, handle: null };
+    }
+
+    // Accessible "couldn't load this section" notice with a retry button
+    _createErrorPlaceholder(componentName, targetElement, options) {
+        const fragment = document.createDocumentFragment();
+        const container = document.createElement('div');
+        container.className = 'component-error';
+        container.setAttribute('role', 'status');
+        container.setAttribute('data-component-error', componentName);
+
+        const message = document.createElement('p');
+        message.textContent = this.t('component.loadFailed');
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'btn btn-secondary';
+        retry.textContent = this.t('component.retry');
+        retry.addEventListener(
+            'click',
+            () => {
+                retry.disabled = true;
+                // Focus moves into the new content, as the button is replaced
+                this.injectComponent(componentName, targetElement, {
+                    ...options,
+                    preserveFocus: true,
+                })
+                    .then((handle) => {
+                        if (
+                            handle &&
+                            targetElement.getAttribute(
+                                'data-component-state'
+                            ) === 'error'
+                        ) {
+                            targetElement.setAttribute(
+                                'data-component-state',
+                                'loaded'
+                            );
+                        }
+                    })
+                    .catch(() => {
+                        // A fresh placeholder (or fallback) replaced this one
+                    });
+            },
+            { once: true }
+        );
+
+        container.append(message, retry);
+        fragment.appendChild(container);
+        return fragment;
+    }
+
+    // Attach behaviour to server-rendered markup (see scripts/prerender.js)
+    // without re-rendering it. The returned handle works like injectComponent's.
+    async hydrateComponent(componentName, target, options = {}) {
+        const { data = {}, styles = this.config.styles } = options;
+        const targetElement = this._resolveTarget(target);
+
+        if (!targetElement) {
+            throw new Error(`Target element not found: ${target}`);
+        }
+
+        const lockKey = this._getInstanceKey(componentName, targetElement);
+        const started = performance.now();
+        const release = await this._acquireLock(targetElement);
+
+        try {
+            // The markup is already in place; its stylesheet is not
+            const styleName = styles === true ? componentName : styles;
+            const componentStyles = styleName
+                ? await this._loadStyles(styleName)
+                : null;
+
+            await this._teardownInstance(lockKey);
+            this._applyStyles(targetElement, componentStyles, false);
+
+            // Prerendered markup has no binding markers; bindings are created on first update
+            const instance = {
+                componentName,
+                instanceKey: lockKey,
+                element: targetElement,
+                data: { ...data },
+                options,
+                bindings: null,
+                partials: null,
+                mounted: true,
+            };
+            this.instances.set(lockKey, instance);
+
+            // Hooks run with the target released, as in injectComponent
+            release();
+
+            const endInitialize = this._startTiming(`initialize:${lockKey}`);
+            let initialize;
+            try {
+                await this.initializeComponent(
+                    componentName,
+                    targetElement,
+                    options
+                );
+            } finally {
+                initialize = endInitialize();
+            }
+            this._emit('initialize', {
+                componentName,
+                instanceKey: lockKey,
+                duration: initialize,
+            });
+            if (this.instances.get(lockKey) === instance) {
+                await this._runLifecycleHook(lockKey, 'mounted');
+            }
+
+            this.metrics.set(lockKey, {
+                componentName,
+                timings: { initialize, total: performance.now() - started },
+            });
+            this.errors.delete(lockKey);
+
+            return this._createHandle(instance);
+        } catch (error) {
+            this._log(
+                'error',
+                `Failed to hydrate component "${componentName}":`,
+                error
+            );
+            this.errors.set(lockKey, { componentName, error });
+            throw error;
+        } finally {
+            release();
+        }
+    }
+
+    // Replace hydrated markup with a bound render so it can be patched from now on.
+    // Setup runs again, in _notifyUpdated, because the elements it attached
+    // listeners to are replaced.
+    async _renderHydratedInstance(instance) {
+        const { componentName, instanceKey, element } = instance;
+        const template = await this._loadTemplate(componentName);
+        const view = await this._renderView(template, instance.data);
+
+        await this._runLifecycleHook(instanceKey, 'destroy');
+        this._cleanupEventListeners(instanceKey);
+        this.lifecycles.delete(instanceKey);
+
+        await this._injectWithDOM(element, view.fragment, false, false);
+        instance.bindings = view.bindings;
+        instance.partials = view.partials;
+        instance.needsSetup = true;
+    }
+
+    // Handle returned by injectComponent for patching the rendered instance in place
+    _createHandle(instance) {
+        return {
+            componentName: instance.componentName,
+            instanceKey: instance.instanceKey,
+            element: instance.element,
+            get data() {
+                return instance.data;
+            },
+            update: (newData) => this._updateInstance(instance, newData),
+        };
+    }
+
+    // Render a template into a fragment whose bound nodes are tracked for updates
+    async _renderView(template, data = {}) {
+        const partials = await this._prepareRender(template);
+
+        const scopes = [{ data: data || {}, locals: {} }];
+        const defs = [];
+        let html = '';
+
+        template.parts.forEach((part) => {
+            if (part.type === 'static') {
+                html += part.value;
+                return;
+            }
+
+            const id = defs.push(part) - 1;
+            if (part.type === 'value') {
+                html += `\uE000${id}\uE001`;
+            } else if (part.type === 'tag') {
+                html += part
+                    .render(scopes, partials)
+                    .replace(
+                        /^<[^\s/>]+/,
+                        (name) => `${name} data-ew-tag="${id}"`
+                    );
+            } else {
+                html += `<!--ew:${id}-->${part.render(scopes, partials, [])}<!--/ew:${id}-->`;
+            }
+        });
+
+        const fragment = this._parseFragment(html);
+        const bindings = defs.length
+            ? this._attachBindings(fragment, defs, scopes, partials)
+            : [];
+
+        return { fragment, bindings, partials };
+    }
+
+    _parseFragment(html) {
+        const template = document.createElement('template');
+        template.innerHTML = trustedValue(this, html, 'createHTML');
+        return template.content;
+    }
+
+    // Replace binding markers with live text nodes, attribute setters and regions
+    _attachBindings(fragment, defs, scopes, partials) {
+        const bindings = [];
+        const walker = document.createTreeWalker(
+            fragment,
+            NodeFilter.SHOW_ELEMENT |
+                NodeFilter.SHOW_TEXT |
+                NodeFilter.SHOW_COMMENT
+        );
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach((node) => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.hasAttribute('data-ew-tag')) {
+                    const part = defs[node.getAttribute('data-ew-tag')];
+                    node.removeAttribute('data-ew-tag');
+                    bindings.push(this._createTagBinding(node, part));
+                    return;
+                }
+
+                Array.from(node.attributes).forEach((attr) => {
+                    if (!this._hasBindingMarker(attr.value)) return;
+
+                    const { name } = attr;
+                    bindings.push(
+                        this._createStringBinding(attr.value, defs, (value) =>
+                            node.setAttribute(name, value)
+                        )
+                    );
+                });
+            } else if (node.nodeType === Node.TEXT_NODE) {
+                if (!this._hasBindingMarker(node.data)) return;
+
+                // <textarea> and <title> cannot hold child nodes, so bind their text
+                // as a string (tags inside <script> and <style> fail to compile)
+                if (/^(TEXTAREA|TITLE)$/.test(node.parentNode?.nodeName)) {
+                    bindings.push(
+                        this._createStringBinding(node.data, defs, (value) => {
+                            node.data = value;
+                        })
+                    );
+                } else {
+                    bindings.push(...this._splitTextBindings(node, defs));
+                }
+            } else {
+                const match = /^ew:(\d+)$/.exec(node.data);
+                if (match) {
+                    bindings.push(
+                        this._createRegionBinding(
+                            node,
+                            defs[match[1]],
+                            match[1]
+                        )
+                    );
+                }
+            }
+        });
+
+        bindings.forEach((binding) => binding.initial?.(scopes, partials));
+        return bindings;
+    }
+
+    _hasBindingMarker(text) {
+        return text.includes('\uE000') || text.includes('<!--ew:');
+    }
+
+    // Bind an attribute value or raw text that mixes static text with template parts
+    _createStringBinding(source, defs, apply) {
+        const pattern =
+            /\uE000(\d+)\uE001|<!--ew:(\d+)-->[\s\S]*?<!--\/ew:\2-->/g;
+        const segments = [];
+        const deps = new Set();
+        let cursor = 0;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            if (match.index > cursor) {
+                segments.push(source.slice(cursor, match.index));
+            }
+            const part = defs[match[1] ?? match[2]];
+            part.deps.forEach((dep) => deps.add(dep));
+            segments.push(part);
+            cursor = pattern.lastIndex;
         }
-        return path.join('-');
+        if (cursor < source.length) segments.push(source.slice(cursor));
+
+        const refresh = (scopes, partials) =>
+            apply(
+                segments
+                    .map((segment) => {
+                        if (typeof segment === 'string') return segment;
+                        return segment.type === 'value'
+                            ? segment.value(scopes)
+                            : this._htmlToText(
+                                  segment.render(scopes, partials, [])
+                              );
+                    })
+                    .join('')
+            );
+
+        return { deps, refresh, initial: refresh };
     }
 
-    // Inject component with concurrency control and improved options
-    async injectComponent(componentName, target, options = {}) {
-        const {
-            data = {},
-            append = false,
-            shadow = false,
-            transition = null,
-            preserveFocus = true,
-            executeScripts = this.config.executeScripts,
-        } = options;
+    // Re-render a start tag holding a block and apply its attributes to element
+    _createTagBinding(element, part) {
+        const refresh = (scopes, partials) => {
+            const source = this._parseFragment(
+                part.render(scopes, partials)
+            ).firstElementChild;
+            const attributes = source ? Array.from(source.attributes) : [];
 
-        const targetElement = this._resolveTarget(target);
+            Array.from(element.attributes).forEach(({ name }) => {
+                if (!source?.hasAttribute(name)) element.removeAttribute(name);
+            });
+            attributes.forEach(({ name, value }) =>
+                element.setAttribute(name, value)
+            );
+        };
 
-        if (!targetElement) {
-            throw new Error(`Target element not found: ${target}`);
+        return { deps: part.deps, refresh };
+    }
+
+    // Give each bound value inside a text node its own Text node
+    _splitTextBindings(textNode, defs) {
+        const pattern = /\uE000(\d+)\uE001/g;
+        const fragment = document.createDocumentFragment();
+        const bindings = [];
+        const text = textNode.data;
+        let cursor = 0;
+        let match;
+
+        while ((match = pattern.exec(text))) {
+            if (match.index > cursor) {
+                fragment.appendChild(
+                    document.createTextNode(text.slice(cursor, match.index))
+                );
+            }
+
+            const part = defs[match[1]];
+            const node = document.createTextNode('');
+            const refresh = (scopes) => {
+                node.data = part.value(scopes);
+            };
+
+            fragment.appendChild(node);
+            bindings.push({ deps: part.deps, refresh, initial: refresh });
+            cursor = pattern.lastIndex;
         }
 
-        // Acquire lock for this target to prevent concurrent modifications
-        const lockKey = this._getInstanceKey(componentName, targetElement);
-        await this._acquireLock(lockKey);
+        if (cursor < text.length) {
+            fragment.appendChild(document.createTextNode(text.slice(cursor)));
+        }
 
-        try {
-            // Save focus state
-            const focusedElement = preserveFocus
-                ? document.activeElement
-                : null;
-            const focusWasInTarget =
-                preserveFocus && targetElement.contains(focusedElement);
+        textNode.parentNode.replaceChild(fragment, textNode);
+        return bindings;
+    }
+
+    // Markup between <!--ew:id--> and <!--/ew:id--> is re-rendered as a unit
+    _createRegionBinding(start, part, id) {
+        let end = start.nextSibling;
+        while (
+            end &&
+            !(end.nodeType === Node.COMMENT_NODE && end.data === `/ew:${id}`)
+        ) {
+            end = end.nextSibling;
+        }
 
-            const html = await this.loadComponent(componentName);
+        const refresh = (scopes, partials) => {
+            if (!end) return;
 
-            // Clean up existing event listeners if replacing content
-            if (!append) {
-                this._cleanupEventListeners(lockKey);
+            while (start.nextSibling && start.nextSibling !== end) {
+                start.nextSibling.remove();
             }
+            end.parentNode.insertBefore(
+                this._parseFragment(part.render(scopes, partials, [])),
+                end
+            );
+        };
 
-            const processedHtml = this._processTemplate(html, data);
+        return { deps: part.deps, refresh };
+    }
 
-            // Apply transition if specified
-            if (transition && !append) {
-                await this._applyTransition(targetElement, transition, 'out');
-            }
+    _htmlToText(html) {
+        if (!/[<&]/.test(html)) return html;
 
-            if (shadow && this.config.enableShadowDOM) {
-                await this._injectWithShadowDOM(
-                    targetElement,
-                    processedHtml,
-                    executeScripts
-                );
-            } else {
-                await this._injectWithDOM(
-                    targetElement,
-                    processedHtml,
-                    append,
-                    executeScripts
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = trustedValue(this, html, 'createHTML');
+        return textarea.value;
+    }
+
+    // Patch only the bindings that depend on keys changed by newData
+    async _updateInstance(instance, newData = {}) {
+        const assertMounted = () => {
+            if (!instance.mounted) {
+                throw new Error(
+                    `Component instance "${instance.instanceKey}" is no longer mounted`
                 );
             }
+        };
 
-            // Apply enter transition
-            if (transition && !append) {
-                await this._applyTransition(targetElement, transition, 'in');
-            }
+        assertMounted();
+        const release = await this._acquireLock(instance.element);
+        let changedKeys;
 
-            // Initialize component after injection
-            await this.initializeComponent(
-                componentName,
-                targetElement,
-                options
-            );
+        try {
+            // An injection holding the lock may have replaced this instance
+            assertMounted();
+
+            // Objects may have been mutated in place, so they always count as changed
+            changedKeys = Object.keys(newData).filter((key) => {
+                const value = newData[key];
+                return (
+                    (typeof value === 'object' && value !== null) ||
+                    !Object.is(value, instance.data[key])
+                );
+            });
 
-            // Restore or manage focus
-            if (preserveFocus && focusWasInTarget) {
-                this._restoreFocus(targetElement, focusedElement);
-            }
+            if (changedKeys.length === 0) return;
 
-            return targetElement;
-        } catch (error) {
-            console.error(
-                `Failed to inject component "${componentName}":`,
-                error
-            );
-            throw error;
+            instance.data = { ...instance.data, ...newData };
+            await this._patchInstance(instance, changedKeys);
         } finally {
-            this._releaseLock(lockKey);
+            release();
         }
+
+        await this._notifyUpdated(instance, changedKeys);
     }
 
-    // Lock mechanism for preventing concurrent injections
-    async _acquireLock(key) {
-        while (this.injectionLocks.has(key)) {
-            await this.injectionLocks.get(key);
+    // Refresh the bindings that depend on changedKeys. Callers hold the
+    // instance lock, then call _notifyUpdated once they release it.
+    async _patchInstance(instance, changedKeys) {
+        if (!instance.bindings) {
+            await this._renderHydratedInstance(instance);
         }
 
-        let releaseLock;
-        const lockPromise = new Promise((resolve) => {
-            releaseLock = resolve;
+        const { element } = instance;
+        const root = element.shadowRoot || document;
+        const focusedElement = root.activeElement;
+        const scopes = [{ data: instance.data, locals: {} }];
+
+        instance.bindings.forEach((binding) => {
+            if (
+                binding.deps.has('*') ||
+                changedKeys.some((key) => binding.deps.has(key))
+            ) {
+                binding.refresh(scopes, instance.partials);
+            }
         });
 
-        this.injectionLocks.set(key, lockPromise);
-        this._currentReleaseLock = releaseLock;
+        // A re-rendered region may have replaced the focused element
+        if (focusedElement && !focusedElement.isConnected) {
+            this._restoreFocus(element.shadowRoot || element, null);
+        }
     }
 
-    _releaseLock(key) {
-        if (this._currentReleaseLock) {
-            this._currentReleaseLock();
-            this._currentReleaseLock = null;
+    // Run setup again for re-rendered hydrated markup, then the updated hook.
+    // The lock is released, so the hooks may update their own element.
+    async _notifyUpdated(instance, changedKeys) {
+        if (!instance.mounted) return;
+
+        const { componentName, instanceKey, element } = instance;
+        if (instance.needsSetup) {
+            instance.needsSetup = false;
+            await this.initializeComponent(componentName, element, {
+                ...instance.options,
+                data: instance.data,
+            });
         }
-        this.injectionLocks.delete(key);
+
+        await this._runLifecycleHook(instanceKey, 'updated', changedKeys);
+
+        element.dispatchEvent(
+            new CustomEvent('component:updated', {
+                detail: {
+                    componentName: instance.componentName,
+                    instanceKey: instance.instanceKey,
+                    changedKeys,
+                    data: instance.data,
+                },
+                bubbles: true,
+                composed: true,
+            })
+        );
     }
 
-    // Inject with proper script execution
-    async _injectWithDOM(targetElement, html, append, executeScripts) {
-        // Parse HTML and extract scripts
-        const template = document.createElement('template');
-        template.innerHTML = html;
-        const fragment = template.content;
+    // Per-key mutex: holders run one at a time in call order. Resolves with a
+    // release function that frees only this holder; calling it again is a no-op.
+    async _acquireLock(key) {
+        const previous = this.injectionLocks.get(key) || Promise.resolve();
+
+        let releaseLock;
+        const held = new Promise((resolve) => {
+            releaseLock = resolve;
+        });
+        const tail = previous.then(() => held);
+        this.injectionLocks.set(key, tail);
+
+        await previous;
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            releaseLock();
+            // Nobody queued behind this holder
+            if (this.injectionLocks.get(key) === tail) {
+                this.injectionLocks.delete(key);
+            }
+        };
+    }
 
+    // Inject with proper script execution
+    async _injectWithDOM(targetElement, fragment, append, executeScripts) {
+        // Extract scripts from the parsed fragment
         const scripts = executeScripts
             ? Array.from(fragment.querySelectorAll('script'))
             : [];
@@ -257,8 +2444,7 @@ class ComponentLoader {
         if (append) {
             targetElement.appendChild(fragment);
         } else {
-            targetElement.innerHTML = '';
-            targetElement.appendChild(fragment);
+            targetElement.replaceChildren(fragment);
         }
 
         // Execute scripts in order
@@ -270,102 +2456,307 @@ class ComponentLoader {
     }
 
     async _executeScript(oldScript, container) {
+        if (oldScript.src && !this._isAllowedScriptUrl(oldScript.src)) {
+            this._reportViolation('script-origin', {
+                element: container.host || container,
+                source: oldScript.src,
+            });
+            return;
+        }
+        // In strict mode inline scripts run only when marked <script data-trusted>
+        if (
+            !oldScript.src &&
+            this.config.strict &&
+            !oldScript.hasAttribute('data-trusted')
+        ) {
+            this._reportViolation('inline-script', {
+                element: container.host || container,
+                source: oldScript.textContent,
+            });
+            return;
+        }
+
         const newScript = document.createElement('script');
 
-        // Copy attributes
+        // Copy attributes; the source and nonce are set by the loader
         Array.from(oldScript.attributes).forEach((attr) => {
-            newScript.setAttribute(attr.name, attr.value);
+            if (attr.name !== 'src' && attr.name !== 'nonce') {
+                newScript.setAttribute(attr.name, attr.value);
+            }
         });
+        if (this.nonce) newScript.nonce = this.nonce;
 
         if (oldScript.src) {
             // External script - wait for load
             return new Promise((resolve, reject) => {
                 newScript.onload = resolve;
                 newScript.onerror = reject;
-                newScript.src = oldScript.src;
+                newScript.src = this._trustedScriptUrl(oldScript.src);
                 container.appendChild(newScript);
             });
         } else {
             // Inline script
-            newScript.textContent = oldScript.textContent;
+            newScript.textContent = trustedValue(
+                this,
+                oldScript.textContent,
+                'createScript'
+            );
             container.appendChild(newScript);
         }
     }
 
-    async _injectWithShadowDOM(element, html, executeScripts) {
+    // Scripts may load from scriptOrigins; in strict mode the default is this origin
+    _isAllowedScriptUrl(url) {
+        const { scriptOrigins, strict } = this.config;
+        if (!scriptOrigins && !strict) return true;
+
+        const { origin } = new URL(url, document.baseURI);
+        return (scriptOrigins || [window.location.origin]).includes(origin);
+    }
+
+    // Remove scripts, embedded documents, event handlers and script URLs from
+    // HTML that is rendered as markup
+    sanitizeHtml(html) {
+        if (this.config.sanitizer) return this.config.sanitizer(String(html));
+
+        const template = document.createElement('template');
+        template.innerHTML = trustedValue(this, String(html), 'createHTML');
+        const removed = [];
+
+        template.content.querySelectorAll('*').forEach((element) => {
+            const name = element.localName;
+
+            if (SANITIZER_BLOCKED_ELEMENTS.has(name)) {
+                removed.push(name);
+                element.remove();
+                return;
+            }
+
+            Array.from(element.attributes).forEach((attr) => {
+                const attribute = attr.name.toLowerCase();
+                const unsafe =
+                    attribute.startsWith('on') ||
+                    attribute === 'srcdoc' ||
+                    (SANITIZER_URL_ATTRIBUTES.has(attribute) &&
+                        this._isUnsafeUrl(attr.value));
+
+                if (unsafe) {
+                    removed.push(`${name}[${attribute}]`);
+                    element.removeAttribute(attr.name);
+                }
+            });
+        });
+
+        if (removed.length) {
+            this._reportViolation('sanitized', {
+                source: String(html),
+                removed,
+            });
+        }
+
+        return template.innerHTML;
+    }
+
+    // javascript:/vbscript: URLs and data: URLs other than raster images
+    _isUnsafeUrl(value) {
+        // Browsers ignore whitespace and control characters inside the scheme
+        const url = value.replace(/[\s\u0000-\u001F]/g, '').toLowerCase();
+        return (
+            /^(?:javascript|vbscript):/.test(url) ||
+            /^data:(?!image\/(?:png|gif|jpe?g|webp|avif)[;,])/.test(url)
+        );
+    }
+
+    _reportViolation(type, detail) {
+        this._log(
+            'warn',
+            `Blocked by the component security policy (${type}):`,
+            detail
+        );
+        document.dispatchEvent(
+            new CustomEvent('security:violation', {
+                detail: { type, ...detail },
+            })
+        );
+    }
+
+    _trustedScriptUrl(url) {
+        return trustedTypesPolicy(this)?.createScriptURL(url) ?? url;
+    }
+
+    async _injectWithShadowDOM(element, fragment, executeScripts, styles) {
         if (!element.shadowRoot) {
             element.attachShadow({ mode: 'open' });
         }
 
         // For shadow DOM, we need to handle styles and scripts specially
-        const template = document.createElement('template');
-        template.innerHTML = html;
+        const scripts = executeScripts
+            ? Array.from(fragment.querySelectorAll('script'))
+            : [];
+        scripts.forEach((script) => script.remove());
 
-        if (executeScripts) {
-            const scripts = Array.from(
-                template.content.querySelectorAll('script')
-            );
-            scripts.forEach((script) => script.remove());
+        element.shadowRoot.replaceChildren();
+        if ('adoptedStyleSheets' in element.shadowRoot) {
+            element.shadowRoot.adoptedStyleSheets = [];
+        }
+        this._applyStyles(element, styles, true);
+        element.shadowRoot.appendChild(fragment);
+
+        for (const script of scripts) {
+            await this._executeScript(script, element.shadowRoot);
+        }
+    }
+
+    // Swap a target's content through a transition: a function(element,
+    // direction, signal) called with 'out' and 'in', or a name. Names use the View
+    // Transitions API where available, else <name>-leave-* and <name>-enter-*
+    // classes on the target (see css/style.css). Reduced motion swaps instantly,
+    // and a newer injection into the target cuts the transition short.
+    async _runTransition(element, transition, swap) {
+        if (!transition || this._prefersReducedMotion()) {
+            await swap();
+            return;
+        }
 
-            element.shadowRoot.innerHTML = '';
-            element.shadowRoot.appendChild(template.content);
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.activeTransitions.set(element, controller);
 
-            for (const script of scripts) {
-                await this._executeScript(script, element.shadowRoot);
+        try {
+            if (typeof transition === 'function') {
+                await transition(element, 'out', signal);
+                await swap();
+                await transition(element, 'in', signal);
+            } else if (
+                this.config.viewTransitions &&
+                typeof document.startViewTransition === 'function'
+            ) {
+                await this._viewTransition(transition, swap, signal);
+            } else {
+                await this._classTransition(
+                    element,
+                    transition,
+                    'leave',
+                    signal
+                );
+                await swap();
+                await this._classTransition(
+                    element,
+                    transition,
+                    'enter',
+                    signal
+                );
+            }
+        } finally {
+            if (this.activeTransitions.get(element) === controller) {
+                this.activeTransitions.delete(element);
             }
-        } else {
-            element.shadowRoot.innerHTML = html;
         }
     }
 
-    // Transition handling
-    async _applyTransition(element, transition, direction) {
-        if (typeof transition === 'function') {
-            await transition(element, direction);
-            return;
+    _cancelTransition(element) {
+        this.activeTransitions.get(element)?.abort();
+    }
+
+    // The name is exposed as html[data-view-transition] for per-name CSS
+    async _viewTransition(name, swap, signal) {
+        const root = document.documentElement;
+        root.setAttribute('data-view-transition', name);
+
+        const viewTransition = document.startViewTransition(swap);
+        const skip = () => viewTransition.skipTransition();
+        signal.addEventListener('abort', skip, { once: true });
+
+        try {
+            // Rejects when the swap itself failed
+            await viewTransition.updateCallbackDone;
+            await viewTransition.finished;
+        } finally {
+            signal.removeEventListener('abort', skip);
+            root.removeAttribute('data-view-transition');
         }
+    }
+
+    // <name>-<phase>-from and -active, then -to on the next frame until the
+    // CSS transition or animation they start is over
+    async _classTransition(element, name, phase, signal) {
+        if (signal.aborted) return;
 
-        // Built-in transitions
-        switch (transition) {
-            case 'fade':
-                await this._fadeTransition(element, direction);
-                break;
-            case 'slide':
-                await this._slideTransition(element, direction);
-                break;
+        const from = `${name}-${phase}-from`;
+        const active = `${name}-${phase}-active`;
+        const to = `${name}-${phase}-to`;
+
+        element.classList.add(from, active);
+        try {
+            await this._nextFrame();
+            element.classList.remove(from);
+            element.classList.add(to);
+            await this._waitForTransition(element, signal);
+        } finally {
+            element.classList.remove(from, active, to);
         }
     }
 
-    async _fadeTransition(element, direction) {
-        return new Promise((resolve) => {
-            element.style.transition = 'opacity 0.3s ease';
-            element.style.opacity = direction === 'out' ? '0' : '1';
+    _nextFrame() {
+        return new Promise((resolve) =>
+            requestAnimationFrame(() => requestAnimationFrame(resolve))
+        );
+    }
 
-            setTimeout(() => {
-                if (direction === 'in') {
-                    element.style.transition = '';
+    // Resolves when the element's longest transition or animation ends, with a
+    // timer in case no end event fires (e.g. the element is not rendered)
+    _waitForTransition(element, signal) {
+        const { total, duration } = this._getTransitionTiming(element);
+        if (!total || signal.aborted) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const onEnd = (event) => {
+                if (
+                    event.target === element &&
+                    event.elapsedTime * 1000 >= duration - 1
+                ) {
+                    done();
                 }
+            };
+            const done = () => {
+                clearTimeout(timer);
+                element.removeEventListener('transitionend', onEnd);
+                element.removeEventListener('animationend', onEnd);
+                signal.removeEventListener('abort', done);
                 resolve();
-            }, 300);
+            };
+            const timer = setTimeout(done, total + 50);
+
+            element.addEventListener('transitionend', onEnd);
+            element.addEventListener('animationend', onEnd);
+            signal.addEventListener('abort', done);
         });
     }
 
-    async _slideTransition(element, direction) {
-        return new Promise((resolve) => {
-            const height = element.offsetHeight;
-            element.style.transition = 'transform 0.3s ease, opacity 0.3s ease';
-            element.style.transform =
-                direction === 'out' ? 'translateY(-20px)' : 'translateY(0)';
-            element.style.opacity = direction === 'out' ? '0' : '1';
-
-            setTimeout(() => {
-                if (direction === 'in') {
-                    element.style.transition = '';
-                    element.style.transform = '';
+    // { total, duration } in ms of the transition or animation that ends last
+    _getTransitionTiming(element) {
+        const style = getComputedStyle(element);
+        const toMs = (value) =>
+            value.trim().endsWith('ms')
+                ? parseFloat(value)
+                : parseFloat(value) * 1000;
+        let longest = { total: 0, duration: 0 };
+
+        ['transition', 'animation'].forEach((type) => {
+            const durations = (style[`${type}Duration`] || '')
+                .split(',')
+                .map(toMs);
+            const delays = (style[`${type}Delay`] || '').split(',').map(toMs);
+
+            durations.forEach((duration, index) => {
+                const total = duration + (delays[index % delays.length] || 0);
+                if (duration > 0 && total > longest.total) {
+                    longest = { total, duration };
                 }
-                resolve();
-            }, 300);
+            });
         });
+
+        return longest;
     }
 
     // Focus management
@@ -386,13 +2777,20 @@ class ComponentLoader {
         }
     }
 
-    // Component-specific initialization with plugin architecture
+    // Component-specific initialization through registered lifecycle hooks
     async initializeComponent(componentName, element, options = {}) {
         const instanceKey = this._getInstanceKey(componentName, element);
-        const initMethod = `initialize${this._toCamelCase(componentName)}`;
+        const definition = this.registry.get(componentName);
 
-        if (typeof this[initMethod] === 'function') {
-            await this[initMethod](element, options, instanceKey);
+        if (definition) {
+            const context = this._createLifecycleContext(
+                componentName,
+                element,
+                options,
+                instanceKey
+            );
+            this.lifecycles.set(instanceKey, { definition, context });
+            await definition.setup?.(context);
         }
 
         // Emit custom event for external listeners
@@ -405,76 +2803,146 @@ class ComponentLoader {
         );
     }
 
-    _toCamelCase(str) {
-        return str
-            .replace(/-([a-z])/g, (g) => g[1].toUpperCase())
-            .replace(/^[a-z]/, (g) => g.toUpperCase());
+    // Context passed to every lifecycle hook; listen() tracks listeners for teardown
+    _createLifecycleContext(componentName, element, options, instanceKey) {
+        const context = {
+            componentName,
+            instanceKey,
+            element,
+            // Include attributes arrive as data; injectComponent options take precedence
+            options: { ...options.data, ...options },
+            data: options.data || {},
+            state: {},
+            loader: this,
+            // Called with the error when a task given to run() fails, e.g. to
+            // announce the failure in the component's status region
+            onError: null,
+            // Run an async task started from an event handler: a rejection is
+            // logged and handed to onError rather than left unhandled
+            run: (task) =>
+                Promise.resolve(task).catch((error) => {
+                    this._log(
+                        'error',
+                        `Component "${componentName}" failed:`,
+                        error
+                    );
+                    context.onError?.(error);
+                }),
+            listen: (target, event, handler, listenerOptions) => {
+                // A setup still running after its instance was replaced adds nothing
+                if (this.lifecycles.get(instanceKey)?.context !== context) {
+                    return;
+                }
+                target.addEventListener(event, handler, listenerOptions);
+                this._trackEventListener(
+                    instanceKey,
+                    target,
+                    event,
+                    handler,
+                    listenerOptions
+                );
+            },
+        };
+        return context;
+    }
+
+    async _runLifecycleHook(instanceKey, hook, ...args) {
+        const lifecycle = this.lifecycles.get(instanceKey);
+
+        if (lifecycle?.definition[hook]) {
+            await lifecycle.definition[hook](lifecycle.context, ...args);
+        }
     }
 
-    // Navigation initialization with cleanup tracking
-    initializeNavigation(navElement, options = {}, instanceKey) {
-        const mobileToggle = navElement.querySelector('[data-mobile-toggle]');
-        const mobileMenu = navElement.querySelector('[data-mobile-menu]');
+    // Run the destroy hook, then drop listeners, bindings and lifecycle state
+    async _teardownInstance(instanceKey) {
+        try {
+            await this._runLifecycleHook(instanceKey, 'destroy');
+        } finally {
+            this._cleanupEventListeners(instanceKey);
+            this.lifecycles.delete(instanceKey);
 
-        if (mobileToggle && mobileMenu) {
-            const toggleHandler = () => {
-                const isExpanded = mobileMenu.classList.toggle('hidden');
-                mobileToggle.setAttribute('aria-expanded', !isExpanded);
+            const instance = this.instances.get(instanceKey);
+            if (instance) {
+                instance.mounted = false;
+                this.instances.delete(instanceKey);
+            }
+        }
+    }
 
-                // Manage focus
-                if (!isExpanded) {
-                    const firstLink = mobileMenu.querySelector('a, button');
-                    firstLink?.focus();
-                }
-            };
+    // Replacing a target's content ends every instance rendered into it, whichever
+    // component it was, as well as any lifecycle registered under instanceKey
+    async _teardownTarget(element, instanceKey) {
+        const keys = new Set([instanceKey]);
+        this.instances.forEach((instance, key) => {
+            if (instance.element === element) keys.add(key);
+        });
 
-            mobileToggle.addEventListener('click', toggleHandler);
-            this._trackEventListener(
-                instanceKey,
-                mobileToggle,
-                'click',
-                toggleHandler
-            );
+        for (const key of keys) {
+            await this._teardownInstance(key);
+        }
+    }
 
-            // Close menu on Escape
-            const escapeHandler = (e) => {
-                if (
-                    e.key === 'Escape' &&
-                    !mobileMenu.classList.contains('hidden')
-                ) {
-                    mobileMenu.classList.add('hidden');
-                    mobileToggle.setAttribute('aria-expanded', 'false');
-                    mobileToggle.focus();
-                }
-            };
+    // Tear down a single injected instance and remove its markup
+    async destroyComponent(componentName, target) {
+        const targetElement = this._resolveTarget(target);
 
-            document.addEventListener('keydown', escapeHandler);
-            this._trackEventListener(
-                instanceKey,
-                document,
-                'keydown',
-                escapeHandler
-            );
+        if (!targetElement) {
+            throw new Error(`Target element not found: ${target}`);
         }
 
-        // Highlight active navigation
-        this._setActiveNavigation(navElement);
+        const instanceKey = this._getInstanceKey(componentName, targetElement);
+        const release = await this._acquireLock(targetElement);
+
+        try {
+            await this._teardownInstance(instanceKey);
+            this.metrics.delete(instanceKey);
+            this.errors.delete(instanceKey);
+
+            if (targetElement.shadowRoot) {
+                targetElement.shadowRoot.replaceChildren();
+            } else {
+                targetElement.replaceChildren();
+                targetElement.removeAttribute(STYLE_SCOPE_ATTRIBUTE);
+            }
+
+            targetElement.dispatchEvent(
+                new CustomEvent('component:destroyed', {
+                    detail: { componentName, instanceKey },
+                    bubbles: true,
+                    composed: true,
+                })
+            );
+        } finally {
+            release();
+        }
+    }
 
-        // Handle smooth scrolling for anchor links
-        this._initializeSmoothScroll(navElement, instanceKey);
+    // Re-run active link highlighting for every mounted navigation instance
+    updateActiveNavigation() {
+        this.instances.forEach((instance) => {
+            if (instance.componentName === 'navigation' && instance.mounted) {
+                this._setActiveNavigation(instance.element);
+            }
+        });
     }
 
+    // Page links only; links to sections of this page are left to the
+    // scroll-spy, whether or not the sections have rendered yet
     _setActiveNavigation(navElement) {
-        const currentPath = window.location.pathname;
-        const navLinks = navElement.querySelectorAll('a[href]');
+        const currentPath = this._normalizePath(window.location.pathname);
 
-        navLinks.forEach((link) => {
-            const linkPath = link.getAttribute('href');
-            const isActive =
-                currentPath.endsWith(linkPath) ||
-                (currentPath.endsWith('/') && linkPath === 'index.html');
+        navElement.querySelectorAll('a[href]').forEach((link) => {
+            const url = new URL(
+                link.getAttribute('href'),
+                window.location.href
+            );
+            const isCurrentPage =
+                url.origin === window.location.origin &&
+                this._normalizePath(url.pathname) === currentPath;
+            if (isCurrentPage && url.hash) return;
 
-            if (isActive) {
+            if (isCurrentPage) {
                 link.setAttribute('aria-current', 'page');
                 link.classList.add('active');
             } else {
@@ -484,105 +2952,179 @@ class ComponentLoader {
         });
     }
 
-    _initializeSmoothScroll(container, instanceKey) {
-        const anchorLinks = container.querySelectorAll('a[href^="#"]');
+    // "/about.html", "/about/" and "/about" all identify the same page
+    _normalizePath(pathname) {
+        const path = pathname
+            .replace(/\/index\.html$/, '/')
+            .replace(/\.html$/, '')
+            .replace(/\/+$/, '');
+        return path || '/';
+    }
+
+    // The element a link to a section of the current page points at, if any
+    _getAnchorTarget(link) {
+        const href = link.getAttribute('href');
+        if (!href?.includes('#')) return null;
+
+        const url = new URL(href, window.location.href);
+        const samePage =
+            url.origin === window.location.origin &&
+            this._normalizePath(url.pathname) ===
+                this._normalizePath(window.location.pathname);
+
+        return samePage && url.hash
+            ? document.getElementById(decodeURIComponent(url.hash.slice(1)))
+            : null;
+    }
+
+    // Scroll offsets for sticky headers come from scroll-padding-top (see navigation.js)
+    _initializeSmoothScroll(container, listen) {
+        const anchorLinks = container.querySelectorAll('a[href*="#"]');
 
         anchorLinks.forEach((link) => {
             const scrollHandler = (e) => {
-                const targetId = link.getAttribute('href').slice(1);
-                const targetElement = document.getElementById(targetId);
+                const targetElement = this._getAnchorTarget(link);
 
                 if (targetElement) {
                     e.preventDefault();
-                    targetElement.scrollIntoView({ behavior: 'smooth' });
-
-                    // Manage focus for accessibility
-                    targetElement.setAttribute('tabindex', '-1');
-                    targetElement.focus();
+                    targetElement.scrollIntoView({
+                        behavior: this._prefersReducedMotion()
+                            ? 'auto'
+                            : 'smooth',
+                    });
+                    // Record the section without another history entry or jump
+                    history.replaceState(
+                        history.state,
+                        '',
+                        `#${targetElement.id}`
+                    );
+                    this._focusSection(targetElement);
                 }
             };
 
-            link.addEventListener('click', scrollHandler);
-            this._trackEventListener(instanceKey, link, 'click', scrollHandler);
+            listen(link, 'click', scrollHandler);
         });
     }
 
-    // Contact form with validation
-    initializeContactForm(formElement, options = {}, instanceKey) {
-        const form = formElement.querySelector('form');
-        if (!form) return;
-
-        // Set up ARIA live region for validation messages
-        let liveRegion = form.querySelector('[role="alert"]');
-        if (!liveRegion) {
-            liveRegion = document.createElement('div');
-            liveRegion.setAttribute('role', 'alert');
-            liveRegion.setAttribute('aria-live', 'polite');
-            liveRegion.className = 'sr-only'; // Screen reader only
-            form.insertBefore(liveRegion, form.firstChild);
+    // Move focus to a section so reading continues there; a non-focusable
+    // section gets a tabindex only until focus leaves it
+    _focusSection(element) {
+        if (!element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+            element.addEventListener(
+                'blur',
+                () => element.removeAttribute('tabindex'),
+                { once: true }
+            );
         }
+        // The (possibly smooth) scroll is already under way
+        element.focus({ preventScroll: true });
+    }
+
+    _prefersReducedMotion() {
+        return (
+            typeof matchMedia === 'function' &&
+            matchMedia('(prefers-reduced-motion: reduce)').matches
+        );
+    }
+
+    // Contact form with validation
+    initializeContactForm({ element: formElement, options, listen }) {
+        const form = formElement.querySelector('form');
+        if (!form) return;
+
+        const liveRegion = this._ensureLiveRegion(form);
+
+        // Rules come from HTML constraint attributes plus an optional options.validation schema
+        const validator = new FormValidator(form, options.validation, {
+            translate: (rule) => this._translateValidation(rule),
+        });
+
+        let submitting = false;
 
         const submitHandler = async (e) => {
             e.preventDefault();
 
-            const validationResult = this._validateForm(form);
-            if (!validationResult.valid) {
-                liveRegion.textContent = `Form has ${validationResult.errors.length} errors. Please correct them.`;
-                validationResult.errors[0].element.focus();
-                return;
-            }
-
-            const formData = new FormData(form);
-            const data = Object.fromEntries(formData);
+            // Ignore repeat submits while validation or a request is in flight
+            if (submitting) return;
+            submitting = true;
 
             try {
-                await this._submitForm(data, options.endpoint);
-                form.reset();
-                this._showFormMessage(
-                    formElement,
-                    'success',
-                    'Form submitted successfully!'
+                const validationResult = await this._validateForm(
+                    form,
+                    validator
                 );
-                liveRegion.textContent = 'Form submitted successfully';
-            } catch (error) {
-                this._showFormMessage(
+                if (!validationResult.valid) {
+                    liveRegion.textContent = this.t('form.errors', {
+                        count: validationResult.errors.length,
+                    });
+                    validationResult.errors[0].element.focus();
+                    return;
+                }
+
+                const formData = new FormData(form);
+                const data = Object.fromEntries(formData);
+
+                await this._submitWithFeedback(
                     formElement,
-                    'error',
-                    'Submission failed. Please try again.'
+                    form,
+                    liveRegion,
+                    data,
+                    options
                 );
-                liveRegion.textContent = 'Submission failed. Please try again.';
+            } finally {
+                submitting = false;
             }
         };
 
-        form.addEventListener('submit', submitHandler);
-        this._trackEventListener(instanceKey, form, 'submit', submitHandler);
+        listen(form, 'submit', submitHandler);
 
         // Real-time validation on blur
         const inputs = form.querySelectorAll('input, textarea, select');
         inputs.forEach((input) => {
-            const blurHandler = () => this._validateInput(input);
-            input.addEventListener('blur', blurHandler);
-            this._trackEventListener(instanceKey, input, 'blur', blurHandler);
+            const blurHandler = () => this._validateInput(input, validator);
+            listen(input, 'blur', blurHandler);
         });
     }
 
-    _validateInput(input) {
-        let errorMessage = '';
-
-        if (input.hasAttribute('required') && !input.value.trim()) {
-            errorMessage = 'This field is required';
-        } else if (
-            input.type === 'email' &&
-            input.value &&
-            !this._isValidEmail(input.value)
-        ) {
-            errorMessage = 'Please enter a valid email address';
+    // Set up ARIA live region for validation messages
+    _ensureLiveRegion(form) {
+        let liveRegion = form.querySelector('[role="alert"]');
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.setAttribute('role', 'alert');
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.className = 'sr-only'; // Screen reader only
+            form.insertBefore(liveRegion, form.firstChild);
         }
+        return liveRegion;
+    }
+
+    // Validate one field through the rules engine and reflect the result in the UI
+    async _validateInput(input, validator) {
+        const result = await validator.validateField(input);
+        if (!result.stale) this._applyValidationResult(result);
+        return result;
+    }
+
+    // Pass fields to validate a subset, e.g. one step of a multi-step form
+    async _validateForm(form, validator, fields = validator.getFields()) {
+        const result = await validator.validate(fields);
+        fields.forEach((field) =>
+            this._applyValidationResult(
+                result.errors.find((error) => error.element === field) || {
+                    element: field,
+                }
+            )
+        );
+        return result;
+    }
 
-        if (errorMessage) {
+    _applyValidationResult({ element: input, message }) {
+        if (message) {
             input.classList.add('error');
             input.setAttribute('aria-invalid', 'true');
-            this._setInputError(input, errorMessage);
+            this._setInputError(input, message);
         } else {
             input.classList.remove('error');
             input.removeAttribute('aria-invalid');
@@ -590,24 +3132,6 @@ class ComponentLoader {
         }
     }
 
-    _validateForm(form) {
-        const inputs = form.querySelectorAll('[required]');
-        const errors = [];
-
-        inputs.forEach((input) => {
-            this._validateInput(input);
-            if (input.classList.contains('error')) {
-                errors.push({ element: input, message: 'Validation error' });
-            }
-        });
-
-        return { valid: errors.length === 0, errors };
-    }
-
-    _isValidEmail(email) {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-    }
-
     _setInputError(input, message) {
         let errorEl = input.parentElement.querySelector('.error-message');
         if (!errorEl) {
@@ -628,20 +3152,291 @@ class ComponentLoader {
         }
     }
 
-    async _submitForm(data, endpoint) {
-        if (!endpoint) {
-            console.warn('No form endpoint configured');
-            return;
+    // Submit with busy state and user feedback; retryable failures go to the outbox.
+    // Resolves with 'sent', 'queued' or 'failed'.
+    async _submitWithFeedback(
+        formElement,
+        form,
+        liveRegion,
+        data,
+        options = {}
+    ) {
+        this._setFormBusy(form, true);
+
+        try {
+            await this._submitForm(data, options.endpoint, {
+                timeout: options.timeout,
+                retries: options.retries,
+            });
+            form.reset();
+            this._showFormMessage(
+                formElement,
+                'success',
+                this.t('form.submitted')
+            );
+            liveRegion.textContent = this.t('form.submittedStatus');
+            return 'sent';
+        } catch (error) {
+            const fieldNames = Object.keys(error.fieldErrors || {});
+
+            if (fieldNames.length) {
+                this._applyServerErrors(form, error.fieldErrors);
+                liveRegion.textContent = this.t('form.errors', {
+                    count: fieldNames.length,
+                });
+                return 'failed';
+            }
+
+            if (error.retryable && options.queueOffline !== false) {
+                try {
+                    this._queueSubmission(options.endpoint, data);
+                    form.reset();
+                    this._showFormMessage(
+                        formElement,
+                        'success',
+                        this.t('form.queued')
+                    );
+                    liveRegion.textContent = this.t('form.queuedStatus');
+                    return 'queued';
+                } catch (queueError) {
+                    // Storage is full or unavailable; the form keeps its values
+                    this._log(
+                        'error',
+                        'Failed to queue form submission:',
+                        queueError
+                    );
+                }
+            }
+
+            this._showFormMessage(formElement, 'error', this.t('form.failed'));
+            liveRegion.textContent = this.t('form.failed');
+            return 'failed';
+        } finally {
+            this._setFormBusy(form, false);
         }
+    }
+
+    _setFormBusy(form, busy) {
+        form.setAttribute('aria-busy', String(busy));
+        form.querySelectorAll(
+            'button[type="submit"], button:not([type]), input[type="submit"]'
+        ).forEach((button) => {
+            button.disabled = busy;
+        });
+    }
+
+    // Map { field: message } errors returned by the server onto the inputs
+    _applyServerErrors(form, fieldErrors) {
+        let first = null;
 
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data),
+        Object.entries(fieldErrors).forEach(([name, message]) => {
+            let input = form.elements.namedItem(name);
+            if (input && !(input instanceof Element)) input = input[0]; // RadioNodeList
+            if (!input) return;
+
+            this._applyValidationResult({ element: input, message });
+            first = first || input;
         });
 
-        if (!response.ok) throw new Error('Form submission failed');
-        return response.json();
+        first?.focus();
+    }
+
+    // POST as JSON with a timeout, retrying network errors and 5xx with exponential backoff
+    async _submitForm(data, endpoint, options = {}) {
+        if (!endpoint) {
+            throw new SubmissionError('No form endpoint configured');
+        }
+        // No point retrying while the browser knows it is offline
+        if (!navigator.onLine) {
+            throw new SubmissionError('Browser is offline', {
+                retryable: true,
+            });
+        }
+
+        const timeout = options.timeout || this.config.submitTimeout;
+        const retries =
+            options.retries !== undefined
+                ? options.retries
+                : this.config.submitRetries;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._postJson(endpoint, data, timeout);
+            } catch (error) {
+                if (!error.retryable || attempt >= retries) throw error;
+
+                await new Promise((resolve) =>
+                    setTimeout(
+                        resolve,
+                        this.config.submitRetryDelay * 2 ** attempt
+                    )
+                );
+            }
+        }
+    }
+
+    // The timeout covers reading the response body as well as the request
+    async _postJson(endpoint, data, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        let response;
+        let text;
+
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Accept: 'application/json',
+                },
+                body: JSON.stringify(data),
+                signal: controller.signal,
+            });
+            text = await response.text();
+        } catch (error) {
+            throw new SubmissionError(
+                error.name === 'AbortError'
+                    ? `Form submission timed out after ${timeout}ms`
+                    : 'Network error while submitting form',
+                { retryable: true, cause: error }
+            );
+        } finally {
+            clearTimeout(timer);
+        }
+
+        // Empty and non-JSON bodies are allowed
+        let body = null;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            // Keep null
+        }
+
+        if (!response.ok) {
+            throw new SubmissionError(
+                `Form submission failed (HTTP ${response.status})`,
+                {
+                    status: response.status,
+                    retryable: response.status >= 500,
+                    fieldErrors: this._extractFieldErrors(body),
+                }
+            );
+        }
+
+        return body;
+    }
+
+    // Accepts { errors: { field: message | [messages] } } or { errors: [{ field, message }] }
+    _extractFieldErrors(body) {
+        const errors = body?.errors || body?.fieldErrors;
+        const fieldErrors = {};
+
+        if (Array.isArray(errors)) {
+            errors.forEach((error) => {
+                const name = error.field || error.name;
+                if (name) fieldErrors[name] = error.message;
+            });
+        } else if (errors && typeof errors === 'object') {
+            Object.entries(errors).forEach(([name, message]) => {
+                fieldErrors[name] = Array.isArray(message)
+                    ? message[0]
+                    : message;
+            });
+        }
+
+        return fieldErrors;
+    }
+
+    // Offline outbox persisted in localStorage and replayed when the browser reconnects
+    _queueSubmission(endpoint, data) {
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            endpoint,
+            data,
+            queuedAt: new Date().toISOString(),
+        };
+
+        this._writeOutbox([...this._readOutbox(), entry]);
+        document.dispatchEvent(
+            new CustomEvent('form:queued', { detail: { entry } })
+        );
+    }
+
+    async flushOutbox() {
+        if (this._outboxFlush) return this._outboxFlush;
+
+        this._outboxFlush = (async () => {
+            const entries = this._readOutbox();
+            const failed = [];
+
+            for (const entry of entries) {
+                try {
+                    await this._submitForm(entry.data, entry.endpoint);
+                    document.dispatchEvent(
+                        new CustomEvent('form:replayed', {
+                            detail: { entry, success: true },
+                        })
+                    );
+                } catch (error) {
+                    // Rejected submissions are dropped; transient failures stay queued
+                    if (error.retryable) {
+                        failed.push(entry);
+                    } else {
+                        this._log(
+                            'error',
+                            `Dropped queued submission to ${entry.endpoint}:`,
+                            error
+                        );
+                        document.dispatchEvent(
+                            new CustomEvent('form:replayed', {
+                                detail: { entry, success: false, error },
+                            })
+                        );
+                    }
+                }
+            }
+
+            // Keep anything queued while the flush was running
+            const processed = new Set(entries.map((entry) => entry.id));
+            try {
+                this._writeOutbox([
+                    ...failed,
+                    ...this._readOutbox().filter(
+                        (entry) => !processed.has(entry.id)
+                    ),
+                ]);
+            } catch (error) {
+                this._log('error', 'Failed to persist form outbox:', error);
+            }
+        })();
+
+        try {
+            await this._outboxFlush;
+        } finally {
+            this._outboxFlush = null;
+        }
+    }
+
+    _readOutbox() {
+        try {
+            return (
+                JSON.parse(localStorage.getItem(this.config.outboxKey)) || []
+            );
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Throws when storage is full or unavailable, so callers can keep the data
+    _writeOutbox(entries) {
+        if (entries.length) {
+            localStorage.setItem(
+                this.config.outboxKey,
+                JSON.stringify(entries)
+            );
+        } else {
+            localStorage.removeItem(this.config.outboxKey);
+        }
     }
 
     _showFormMessage(container, type, message) {
@@ -658,81 +3453,590 @@ class ComponentLoader {
     }
 
     // Event listener tracking for cleanup
-    _trackEventListener(instanceKey, element, event, handler) {
+    _trackEventListener(instanceKey, element, event, handler, options) {
         if (!this.eventHandlers.has(instanceKey)) {
             this.eventHandlers.set(instanceKey, []);
         }
-        this.eventHandlers.get(instanceKey).push({ element, event, handler });
+        this.eventHandlers
+            .get(instanceKey)
+            .push({ element, event, handler, options });
     }
 
     _cleanupEventListeners(instanceKey) {
         const handlers = this.eventHandlers.get(instanceKey);
         if (handlers) {
-            handlers.forEach(({ element, event, handler }) => {
-                element.removeEventListener(event, handler);
+            handlers.forEach(({ element, event, handler, options }) => {
+                element.removeEventListener(event, handler, options);
             });
             this.eventHandlers.delete(instanceKey);
         }
     }
 
-    // Load multiple components with progress tracking
+    // Load a page's components. Each entry is a target or { target, dependsOn,
+    // priority, lazy: 'visible', ...injectComponent options }. Higher priorities
+    // load first (default 0), dependencies before their dependents, and lazy
+    // entries once their target nears the viewport; an eager entry may not depend
+    // on a lazy one. onProgress(completed, total,
+    // name, result) follows the eager entries. Resolves with the report that
+    // components:ready carries: { [name]: { status, error, duration } }, where
+    // status is loaded, fallback, failed, skipped (a dependency did not load)
+    // or deferred (lazy, not yet visible). initialized is only set when
+    // nothing but loaded or deferred components remain.
     async loadPageComponents(componentsMap, onProgress) {
-        const entries = Object.entries(componentsMap);
-        const total = entries.length;
-        let loaded = 0;
+        const entries = this._planPageComponents(componentsMap);
+        const eager = entries.filter((entry) => !entry.lazy);
+        const results = new Map(); // Result promise per component name
+        const report = {};
+        let completed = 0;
+
+        const load = (entry) => {
+            if (!results.has(entry.name)) {
+                results.set(
+                    entry.name,
+                    this._loadPageEntry(entry, entries, load).then((result) => {
+                        report[entry.name] = result;
+                        return result;
+                    })
+                );
+            }
+            return results.get(entry.name);
+        };
+
+        const tiers = [...new Set(eager.map((entry) => entry.tier))].sort(
+            (a, b) => b - a
+        );
+        for (const tier of tiers) {
+            await Promise.all(
+                eager
+                    .filter((entry) => entry.tier === tier)
+                    .map(async (entry) => {
+                        const result = await load(entry);
+                        completed++;
+                        if (onProgress) {
+                            onProgress(
+                                completed,
+                                eager.length,
+                                entry.name,
+                                result
+                            );
+                        }
+                    })
+            );
+        }
+
+        entries
+            .filter((entry) => entry.lazy && !results.has(entry.name))
+            .forEach((entry) => {
+                report[entry.name] = { status: 'deferred', error: null };
+                const element = this._resolveTarget(entry.target);
+
+                if (element) {
+                    this._whenVisible(element, () => load(entry));
+                } else {
+                    load(entry);
+                }
+            });
+
+        const failed = Object.keys(report).filter((name) =>
+            ['fallback', 'failed', 'skipped'].includes(report[name].status)
+        );
+        this.initialized = failed.length === 0;
+
+        document.dispatchEvent(
+            new CustomEvent('components:ready', {
+                detail: { report, failed },
+            })
+        );
+
+        return report;
+    }
 
-        const loadPromises = entries.map(async ([componentName, config]) => {
-            const target = typeof config === 'string' ? config : config.target;
-            const options = typeof config === 'object' ? { ...config } : {};
-            delete options.target;
+    // Normalize the map and assign each entry a tier: its own priority, lowered
+    // to that of its dependencies so it never loads before them
+    _planPageComponents(componentsMap) {
+        const entries = Object.entries(componentsMap).map(([name, config]) => {
+            const {
+                target,
+                dependsOn = [],
+                priority = 0,
+                lazy = false,
+                ...options
+            } = typeof config === 'string' ? { target: config } : config;
+
+            return {
+                name,
+                target,
+                options,
+                dependsOn: [].concat(dependsOn),
+                priority,
+                lazy: lazy === 'visible',
+            };
+        });
+        const byName = new Map(entries.map((entry) => [entry.name, entry]));
+
+        const assignTier = (entry, path = []) => {
+            if (entry.tier !== undefined) return entry.tier;
+            if (path.includes(entry.name)) {
+                throw new Error(
+                    `Circular component dependency: ${[
+                        ...path,
+                        entry.name,
+                    ].join(' -> ')}`
+                );
+            }
+
+            entry.tier = Math.min(
+                entry.priority,
+                ...entry.dependsOn.map((name) => {
+                    const dependency = byName.get(name);
+                    if (!dependency) {
+                        throw new Error(
+                            `Component "${entry.name}" depends on "${name}", which is not in the page`
+                        );
+                    }
+                    // Loading it early would quietly undo its lazy loading
+                    if (dependency.lazy && !entry.lazy) {
+                        throw new Error(
+                            `Component "${entry.name}" depends on "${name}", which is lazy; make "${entry.name}" lazy too`
+                        );
+                    }
+                    return assignTier(dependency, [...path, entry.name]);
+                })
+            );
+            return entry.tier;
+        };
+        entries.forEach((entry) => assignTier(entry));
+
+        return entries;
+    }
+
+    async _loadPageEntry(entry, entries, load) {
+        const start = performance.now();
+        const dependencies = await Promise.all(
+            entry.dependsOn.map((name) =>
+                load(entries.find((candidate) => candidate.name === name))
+            )
+        );
+        const missing = entry.dependsOn.find(
+            (name, index) => dependencies[index].status !== 'loaded'
+        );
 
+        let result;
+        if (missing) {
+            result = {
+                status: 'skipped',
+                error: new Error(`Dependency "${missing}" did not load`),
+            };
+        } else {
             try {
-                await this.injectComponent(componentName, target, options);
-                loaded++;
-                if (onProgress) onProgress(loaded, total, componentName);
+                const handle = await this.injectComponent(
+                    entry.name,
+                    entry.target,
+                    entry.options
+                );
+                // A null handle means a fallback or error placeholder was rendered
+                result = {
+                    status: handle ? 'loaded' : 'fallback',
+                    error: null,
+                };
             } catch (error) {
-                console.error(`Failed to load ${componentName}:`, error);
+                this._log('error', `Failed to load ${entry.name}:`, error);
+                result = { status: 'failed', error };
             }
-        });
+        }
+
+        result.duration = performance.now() - start;
+        return result;
+    }
+
+    // Run callback once element is within lazyRootMargin of the viewport
+    _whenVisible(element, callback) {
+        if (typeof IntersectionObserver === 'undefined') {
+            callback();
+            return;
+        }
+
+        const observer = new IntersectionObserver(
+            (observed) => {
+                if (!observed.some((entry) => entry.isIntersecting)) return;
+
+                observer.disconnect();
+                this.visibilityObservers.delete(observer);
+                callback();
+            },
+            { rootMargin: this.config.lazyRootMargin }
+        );
+        observer.observe(element);
+        this.visibilityObservers.add(observer);
+    }
+
+    // Declarative includes: resolve existing <ewaste-include name="..."> and
+    // [data-component] elements, then watch for ones added later
+    observeIncludes(root = document.body) {
+        if (!this.includeObserver) {
+            this.includeObserver = new MutationObserver((mutations) => {
+                mutations.forEach((mutation) => {
+                    mutation.addedNodes.forEach((node) => {
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            this.resolveIncludes(node);
+                        }
+                    });
+                });
+            });
+        }
+
+        this.includeObserver.observe(root, { childList: true, subtree: true });
+        return this.resolveIncludes(root);
+    }
+
+    async resolveIncludes(root = document.body) {
+        const hosts = Array.from(root.querySelectorAll(INCLUDE_SELECTOR));
+        if (root.matches?.(INCLUDE_SELECTOR)) hosts.unshift(root);
+
+        await Promise.all(
+            hosts
+                .filter(
+                    (host) =>
+                        !host.hasAttribute('data-component-state') ||
+                        host.getAttribute('data-component-state') ===
+                            'prerendered'
+                )
+                .map((host) => this._resolveInclude(host))
+        );
+    }
+
+    async _resolveInclude(host) {
+        const componentName =
+            host.getAttribute('data-component') || host.getAttribute('name');
+        const prerendered =
+            host.getAttribute('data-component-state') === 'prerendered';
+        host.setAttribute('data-component-state', 'loading');
+
+        try {
+            // Includes nested inside another include must not repeat an ancestor
+            const ancestry = this._getIncludeAncestry(host);
+            if (ancestry.includes(componentName)) {
+                throw new Error(
+                    `Circular component include: ${[
+                        ...ancestry,
+                        componentName,
+                    ].join(' -> ')}`
+                );
+            }
+
+            const options = { data: this._readIncludeData(host) };
+            let handle;
+            if (prerendered) {
+                handle = await this.hydrateComponent(
+                    componentName,
+                    host,
+                    options
+                );
+            } else {
+                handle = await this.injectComponent(
+                    componentName,
+                    host,
+                    options
+                );
+            }
+
+            // A null handle means a fallback or error placeholder was rendered
+            let state = prerendered ? 'hydrated' : 'loaded';
+            if (!handle) state = 'error';
+            host.setAttribute('data-component-state', state);
 
-        await Promise.all(loadPromises);
-        this.initialized = true;
+            // Shadow roots are not seen by the observer, so recurse explicitly
+            await this.resolveIncludes(host.shadowRoot || host);
+        } catch (error) {
+            host.setAttribute('data-component-state', 'error');
+            this._log(
+                'error',
+                `Failed to resolve include "${componentName}":`,
+                error
+            );
+        }
+    }
+
+    _getIncludeAncestry(host) {
+        const ancestry = [];
+        let current = host.parentNode;
+
+        while (current) {
+            if (
+                current.nodeType === Node.ELEMENT_NODE &&
+                current.matches(INCLUDE_SELECTOR)
+            ) {
+                ancestry.unshift(
+                    current.getAttribute('data-component') ||
+                        current.getAttribute('name')
+                );
+            }
+            current = current.parentNode || current.host;
+        }
+
+        return ancestry;
+    }
+
+    // Non-reserved attributes become camelCased data; data-props JSON is merged over them
+    _readIncludeData(host) {
+        const data = {};
+
+        Array.from(host.attributes).forEach(({ name, value }) => {
+            if (INCLUDE_RESERVED_ATTRIBUTES.has(name)) return;
 
-        document.dispatchEvent(new CustomEvent('components:ready'));
+            const key = name
+                .replace(/^data-/, '')
+                .replace(/-([a-z])/g, (g) => g[1].toUpperCase());
+            data[key] = value;
+        });
+
+        const props = host.getAttribute('data-props');
+        return props ? { ...data, ...JSON.parse(props) } : data;
     }
 
-    // Preload components without injecting
+    // Preload components without injecting; with persistentCache this also
+    // precaches them for offline use
     async preloadComponents(componentNames) {
         return Promise.all(
             componentNames.map((name) => this.loadComponent(name))
         );
     }
 
-    // Clear cache
+    // Clear cached HTML, compiled render functions and stylesheets. The memory
+    // caches are cleared before this returns, so callers that only need the next
+    // load to refetch can ignore the returned promise; it resolves once the
+    // persistent cache has been cleared as well and never rejects.
     clearCache(componentName) {
         if (componentName) {
             this.components.delete(componentName);
+            this.styles.delete(componentName);
         } else {
             this.components.clear();
+            this.styles.clear();
+            this.manifest = null;
+        }
+
+        return this._clearPersistentCache(componentName);
+    }
+
+    async _clearPersistentCache(componentName) {
+        const cache = await this._openPersistentCache();
+        if (!cache) return;
+
+        try {
+            if (componentName) {
+                await this._deleteCacheEntries(
+                    cache,
+                    this._getComponentUrl(componentName)
+                );
+            } else {
+                await caches.delete(this.config.cacheName);
+            }
+        } catch (error) {
+            this._log('warn', 'Failed to clear the component cache:', error);
+        }
+    }
+
+    // Send a diagnostic to the configured logger; loggers may leave out levels
+    _log(level, ...args) {
+        const method = this.logger[level] || this.logger.log;
+        method?.apply(this.logger, args);
+    }
+
+    // Structured loader events: fetch-start, fetch-end, cache-hit, cache-miss,
+    // render, inject and initialize. Each is dispatched on document as
+    // component:<type> and passed to config.reporter; durations are in ms.
+    _emit(type, detail) {
+        const event = { type, time: Date.now(), ...detail };
+
+        if (this.config.reporter) {
+            try {
+                this.config.reporter(event);
+            } catch (error) {
+                this._log('error', 'Component reporter failed:', error);
+            }
         }
+        if (this.config.devMode) this._log('debug', `component:${type}`, event);
+
+        document.dispatchEvent(
+            new CustomEvent(`component:${type}`, { detail: event })
+        );
+    }
+
+    // Time a step with performance.mark/measure, so it shows up as ew:<label>
+    // in the browser's performance panel. Call the returned function when the
+    // step ends, from a finally block so failed steps clear their mark too; it
+    // returns the duration in ms. Entries are cleared once read, so long
+    // sessions do not fill the performance timeline buffer.
+    _startTiming(label) {
+        const mark = `ew:${label}:${++this.timingId}`;
+        const startTime = performance.now();
+        performance.mark?.(mark);
+
+        return () => {
+            let duration = performance.now() - startTime;
+            if (performance.measure) {
+                try {
+                    duration =
+                        performance.measure(`ew:${label}`, mark)?.duration ??
+                        duration;
+                } catch (error) {
+                    // The mark was cleared by someone else; keep our own timing
+                }
+                performance.clearMarks?.(mark);
+                performance.clearMeasures?.(`ew:${label}`);
+            }
+            return duration;
+        };
+    }
+
+    // Every known instance with its data, tracked listener count, latest load
+    // timings and failure; the ?debug=components overlay lists these
+    inspectInstances() {
+        const keys = new Set([
+            ...this.instances.keys(),
+            ...this.lifecycles.keys(),
+            ...this.eventHandlers.keys(),
+            ...this.metrics.keys(),
+            ...this.errors.keys(),
+        ]);
+
+        return Array.from(keys, (instanceKey) => {
+            const instance = this.instances.get(instanceKey);
+            const lifecycle = this.lifecycles.get(instanceKey);
+            const metrics = this.metrics.get(instanceKey);
+            const failure = this.errors.get(instanceKey);
+
+            return {
+                instanceKey,
+                componentName: (
+                    instance ||
+                    lifecycle?.context ||
+                    metrics ||
+                    failure
+                )?.componentName,
+                data: instance?.data || lifecycle?.context.data || {},
+                listeners: this.eventHandlers.get(instanceKey)?.length || 0,
+                timings: metrics?.timings || null,
+                error: failure?.error || null,
+            };
+        });
     }
 
     // Cleanup all resources
     destroy() {
+        this.lifecycles.forEach(({ definition, context }) => {
+            const report = (error) =>
+                this._log(
+                    'error',
+                    `Failed to destroy component "${context.componentName}":`,
+                    error
+                );
+            // Hooks start synchronously; an async one that rejects is reported too
+            try {
+                Promise.resolve(definition.destroy?.(context)).catch(report);
+            } catch (error) {
+                report(error);
+            }
+        });
+        this.lifecycles.clear();
         this.eventHandlers.forEach((handlers, instanceKey) => {
             this._cleanupEventListeners(instanceKey);
         });
         this.components.clear();
+        this.styles.clear();
+        this.manifest = null;
+        this.localeBundles.clear();
         this.loadingStates.clear();
         this.injectionLocks.clear();
+        this.pendingInjections = new WeakMap();
+        this.activeTransitions = new WeakMap();
+        this.instances.forEach((instance) => {
+            instance.mounted = false;
+        });
+        this.instances.clear();
+        this.metrics.clear();
+        this.errors.clear();
+        this.includeObserver?.disconnect();
+        this.includeObserver = null;
+        this.visibilityObservers.forEach((observer) => observer.disconnect());
+        this.visibilityObservers.clear();
         this.initialized = false;
     }
 }
 
-// Create global instance
-window.componentLoader = new ComponentLoader({
-    basePath: '/components',
-    cacheEnabled: true,
-    enableShadowDOM: false,
-    executeScripts: true,
-});
+// The site-wide instance, as window.componentLoader, for pages and for the
+// classic scripts that rely on it (navigation.js, router.js, ...). Module
+// consumers may create their own ComponentLoader instead.
+function installGlobal(config = {}) {
+    if (window.componentLoader) return window.componentLoader;
+
+    // Classic scripts refer to these by their global names
+    Object.assign(window, {
+        ComponentLoader,
+        SubmissionError,
+        ComponentLoadError,
+        TemplateError,
+        InjectionCancelledError,
+        PICKUP_PREFILL_KEY,
+    });
+
+    const loader = new ComponentLoader({
+        basePath: '/components',
+        cacheEnabled: true,
+        enableShadowDOM: false,
+        executeScripts: true,
+        errorBoundary: true,
+        strict: true,
+        persistentCache: true,
+        // Built pages name the manifest scripts/prerender.js writes; source
+        // pages have none, so the dev server is not asked for a missing file
+        manifestUrl:
+            document.querySelector('meta[name="component-manifest"]')
+                ?.content || null,
+        ...config,
+    });
+    window.componentLoader = loader;
+
+    // Replay submissions queued on an earlier visit, and on reconnecting
+    window.addEventListener('online', () => loader.flushOutbox());
+    if (navigator.onLine) loader.flushOutbox();
+
+    // Restore the visitor's language choice, and load the bundle used by messages built in JS
+    let savedLocale = null;
+    try {
+        savedLocale = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        // Storage unavailable; keep the document language
+    }
+    loader
+        .setLocale(savedLocale || loader.locale, { persist: false })
+        .catch((error) =>
+            loader._log('error', 'Failed to apply the saved language:', error)
+        );
+
+    // Deferred scripts (navigation.js, main.js) run after this module while the
+    // document is still interactive; hosts are resolved once they have all
+    // registered their components, or hydration would find no definitions
+    if (document.readyState === 'complete') {
+        loader.observeIncludes();
+    } else {
+        document.addEventListener(
+            'DOMContentLoaded',
+            () => loader.observeIncludes(),
+            { once: true }
+        );
+    }
+
+    return loader;
+}
+
+export {
+    ComponentLoader,
+    SubmissionError,
+    ComponentLoadError,
+    TemplateError,
+    InjectionCancelledError,
+    PICKUP_PREFILL_KEY,
+    installGlobal,
+};
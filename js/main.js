@@ -0,0 +1,62 @@
+// Client-side routing between the pages; each page's <main> outlet already
+// includes its own page component, which the router adopts on start
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.querySelector('[data-router-outlet]')) return;
+
+    window.router = new Router(window.componentLoader, {
+        outlet: '[data-router-outlet]',
+        transition: 'fade',
+    })
+        .addRoute('/', 'pages/home', { title: 'MAK e-Waste Lab' })
+        .addRoute('/about', 'pages/about', {
+            title: 'About | MAK e-Waste Lab',
+        })
+        .addRoute('/research', 'pages/research', {
+            title: 'Research | MAK e-Waste Lab',
+        })
+        .addRoute('/contact', 'pages/contact', {
+            title: 'Contact | MAK e-Waste Lab',
+        });
+
+    window.router.start().catch((error) => window.router.reportError(error));
+});
+
+// Language pickers: <select data-locale-switcher> with one option per locale
+// bundle (en, sw, lg); keys a bundle lacks are shown in English
+document.addEventListener('change', (event) => {
+    if (event.target.matches('select[data-locale-switcher]')) {
+        window.componentLoader
+            .setLocale(event.target.value)
+            .catch((error) =>
+                window.componentLoader._log(
+                    'error',
+                    'Failed to switch language:',
+                    error
+                )
+            );
+    }
+});
+
+// Pickers show the active language, including ones rendered after a change
+const syncLocaleSwitchers = () => {
+    document
+        .querySelectorAll('select[data-locale-switcher]')
+        .forEach((select) => {
+            select.value = window.componentLoader.locale;
+        });
+};
+document.addEventListener('locale:changed', syncLocaleSwitchers);
+document.addEventListener('component:loaded', syncLocaleSwitchers);
+
+// Offline support for the site shell (see sw.js)
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            window.componentLoader._log(
+                'error',
+                'Service worker registration failed:',
+                error
+            );
+        });
+    });
+}
@@ -0,0 +1,739 @@
+// Research page: a catalogue of the lab's publications and projects with
+// full-text search, facets, pagination and per-item citations.
+//
+// Items come from options.src or data-src (default /data/research.json),
+// { items: [{ id, type, title, authors: [{ given, family }], year, topics,
+// venue, volume, issue, pages, publisher, number, degree, doi, url, abstract }] }.
+// venue is the journal, proceedings or institution. Search and facet state is
+// kept in the query string (q, year, topic, author, type, page) so a search can
+// be shared; options.syncUrl = false (data-sync-url="false") leaves the URL alone.
+const RESEARCH_FACETS = ['year', 'type', 'topic', 'author'];
+const RESEARCH_TYPES = ['article', 'conference', 'report', 'thesis', 'project'];
+const SEARCH_DEBOUNCE = 200;
+
+const CITATION_FORMATS = {
+    apa: { label: 'APA', extension: 'txt', type: 'text/plain' },
+    bibtex: { label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex' },
+    ris: {
+        label: 'RIS',
+        extension: 'ris',
+        type: 'application/x-research-info-systems',
+    },
+};
+
+// Lowercase without diacritics, so "Ssemwogerere" matches "ssemwogerere"
+// and "é" matches "e"
+function normalizeSearchText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function formatAuthorName({ given, family }) {
+    return given ? `${given} ${family}` : family;
+}
+
+// "Sarah A." -> "S. A.", "Jean-Paul" -> "J.-P."
+function formatInitials(given = '') {
+    return given
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((name) =>
+            name
+                .split('-')
+                .map((part) => `${part[0].toUpperCase()}.`)
+                .join('-')
+        )
+        .join(' ');
+}
+
+// End a citation element with a period unless it already has punctuation
+function endSentence(text) {
+    return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+// APA 7th edition reference
+function formatAPA(item) {
+    const names = item.authors.map((author) =>
+        author.given
+            ? `${author.family}, ${formatInitials(author.given)}`
+            : author.family
+    );
+    let authors;
+    if (names.length <= 1) {
+        authors = names[0] || '';
+    } else if (names.length <= 20) {
+        authors = `${names.slice(0, -1).join(', ')}, & ${names.at(-1)}`;
+    } else {
+        authors = `${names.slice(0, 19).join(', ')}, . . . ${names.at(-1)}`;
+    }
+
+    const pages = item.pages?.replace(/-+/, '–');
+    const parts = [`${endSentence(authors)} (${item.year}).`];
+
+    switch (item.type) {
+        case 'article': {
+            parts.push(endSentence(item.title));
+            let source = item.venue || '';
+            if (item.volume) source += `, ${item.volume}`;
+            if (item.issue) source += `(${item.issue})`;
+            if (pages) source += `, ${pages}`;
+            if (source) parts.push(endSentence(source));
+            break;
+        }
+        case 'conference':
+            parts.push(endSentence(item.title));
+            if (item.venue) {
+                parts.push(
+                    endSentence(
+                        `In ${item.venue}${pages ? ` (pp. ${pages})` : ''}`
+                    )
+                );
+            }
+            if (item.publisher) parts.push(endSentence(item.publisher));
+            break;
+        case 'report':
+            parts.push(
+                endSentence(
+                    item.number
+                        ? `${item.title} (Report No. ${item.number})`
+                        : item.title
+                )
+            );
+            if (item.venue || item.publisher) {
+                parts.push(endSentence(item.venue || item.publisher));
+            }
+            break;
+        case 'thesis': {
+            const degree =
+                item.degree === 'phd'
+                    ? 'Doctoral dissertation'
+                    : "Master's thesis";
+            parts.push(
+                `${item.title} [${degree}${item.venue ? `, ${item.venue}` : ''}].`
+            );
+            break;
+        }
+        default:
+            parts.push(`${item.title} [Project].`);
+            if (item.venue) parts.push(endSentence(item.venue));
+    }
+
+    if (item.doi) {
+        parts.push(`https://doi.org/${item.doi}`);
+    } else if (item.url) {
+        parts.push(item.url);
+    }
+    return parts.join(' ');
+}
+
+// Citation key such as "nakato2025informal": first author, year, first word
+function citationKey(item) {
+    const word = (text) => normalizeSearchText(text).replace(/[^a-z0-9]/g, '');
+    const title = item.title
+        .split(/\s+/)
+        .map(word)
+        .find((part) => part && !/^(a|an|the|on|of|in|for|how)$/.test(part));
+
+    return `${word(item.authors[0]?.family || 'anon')}${item.year}${title || ''}`;
+}
+
+function formatBibTeX(item) {
+    const entryTypes = {
+        article: 'article',
+        conference: 'inproceedings',
+        report: 'techreport',
+        thesis: item.degree === 'phd' ? 'phdthesis' : 'mastersthesis',
+    };
+    const venueFields = {
+        article: 'journal',
+        conference: 'booktitle',
+        report: 'institution',
+        thesis: 'school',
+    };
+    const escape = (value) => value.replace(/([&%$#_{}])/g, '\\$1');
+
+    const fields = [
+        [
+            'author',
+            item.authors
+                .map(({ given, family }) =>
+                    given ? `${family}, ${given}` : family
+                )
+                .join(' and '),
+        ],
+        ['title', item.title],
+        [venueFields[item.type] || 'howpublished', item.venue],
+        ['year', item.year],
+        ['volume', item.volume],
+        ['number', item.issue || item.number],
+        ['pages', item.pages?.replace(/-+/, '--')],
+        ['publisher', item.publisher],
+        ['keywords', item.topics?.join(', ')],
+    ]
+        .filter(([, value]) => value !== undefined && value !== '')
+        .map(([name, value]) => [name, escape(String(value))]);
+
+    // Identifiers are left unescaped for the url and doi packages
+    if (item.doi) fields.push(['doi', item.doi]);
+    if (item.url) fields.push(['url', item.url]);
+
+    return [
+        `@${entryTypes[item.type] || 'misc'}{${citationKey(item)},`,
+        fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n'),
+        '}',
+    ].join('\n');
+}
+
+// RIS tagged format; lines end in CRLF as the format asks
+function formatRIS(item) {
+    const types = {
+        article: 'JOUR',
+        conference: 'CONF',
+        report: 'RPRT',
+        thesis: 'THES',
+    };
+    const [startPage, endPage] = (item.pages || '').split(/-+/);
+    const lines = [['TY', types[item.type] || 'GEN']];
+
+    item.authors.forEach(({ given, family }) =>
+        lines.push(['AU', given ? `${family}, ${given}` : family])
+    );
+    lines.push(['TI', item.title], ['PY', item.year]);
+    // Journals and proceedings are the secondary title; institutions publish
+    if (item.venue) {
+        lines.push([
+            ['article', 'conference'].includes(item.type) ? 'T2' : 'PB',
+            item.venue,
+        ]);
+    }
+    lines.push(
+        ['VL', item.volume],
+        ['IS', item.issue],
+        ['SP', startPage],
+        ['EP', endPage],
+        ['PB', item.publisher],
+        ['M1', item.number],
+        ['DO', item.doi],
+        ['UR', item.url],
+        ...(item.topics || []).map((topic) => ['KW', topic]),
+        ['AB', item.abstract]
+    );
+
+    return [
+        ...lines
+            .filter(([, value]) => value !== undefined && value !== '')
+            .map(([tag, value]) => `${tag}  - ${value}`),
+        'ER  - ',
+    ].join('\r\n');
+}
+
+const CITATION_FORMATTERS = {
+    apa: formatAPA,
+    bibtex: formatBibTeX,
+    ris: formatRIS,
+};
+
+class ResearchCatalogue {
+    constructor(context) {
+        this.context = context;
+        this.loader = context.loader;
+        this.element = context.element;
+        this.options = context.options;
+        // Results that failed to render (e.g. the results template did not
+        // load) are reported in the status region
+        context.onError = () =>
+            this._setStatus(this.loader.t('research.updateFailed'));
+        this.src = this.options.src || '/data/research.json';
+        this.pageSize = Number(this.options.pageSize) || 10;
+        this.syncUrl = String(this.options.syncUrl) !== 'false';
+
+        this.form = this.element.querySelector('[data-research-search]');
+        this.input = this.form.elements.q;
+        this.facets = this.element.querySelector('[data-research-facets]');
+        this.clearButton = this.element.querySelector('[data-research-clear]');
+        this.status = this.element.querySelector('[data-research-status]');
+        this.announcer = this.element.querySelector('[data-research-announce]');
+        this.results = this.element.querySelector('[data-research-results]');
+
+        this.items = []; // Dataset items with their facet values and search text
+        this.itemsById = new Map();
+        this.query = '';
+        this.selected = Object.fromEntries(
+            RESEARCH_FACETS.map((facet) => [facet, new Set()])
+        );
+        this.page = 1;
+        this.resultsHandle = null;
+        this.searchTimer = null;
+        this.loaded = false;
+    }
+
+    start() {
+        const { listen, run } = this.context;
+
+        this._readUrl();
+        this.input.value = this.query;
+
+        listen(this.form, 'submit', (e) => {
+            e.preventDefault();
+            run(this._search(this.input.value));
+        });
+        listen(this.input, 'input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(
+                () => run(this._search(this.input.value)),
+                SEARCH_DEBOUNCE
+            );
+        });
+        listen(this.facets, 'change', (e) => {
+            const { name, value, checked } = e.target;
+            if (!this.selected[name]) return;
+
+            this.selected[name][checked ? 'add' : 'delete'](value);
+            this.page = 1;
+            run(this.render());
+        });
+        listen(this.clearButton, 'click', () => run(this.clear()));
+        listen(this.results, 'click', (e) => this._handleResultsClick(e));
+        listen(document, 'locale:changed', () => {
+            if (this.loaded) run(this.render());
+        });
+
+        return this.load();
+    }
+
+    stop() {
+        clearTimeout(this.searchTimer);
+    }
+
+    async load() {
+        this._setStatus(this.loader.t('research.loading'));
+
+        try {
+            const response = await fetch(this.src);
+            if (!response.ok) {
+                throw new Error(
+                    `HTTP ${response.status}: ${response.statusText}`
+                );
+            }
+            this._readDataset(await response.json());
+        } catch (error) {
+            this.loader._log(
+                'error',
+                `Failed to load research items from ${this.src}:`,
+                error
+            );
+            this._setStatus(this.loader.t('research.loadFailed'));
+            return;
+        }
+
+        this.loaded = true;
+        await this.render();
+    }
+
+    _readDataset({ items = [] }) {
+        this.items = items.map((item) => {
+            const authors = (item.authors || []).map(formatAuthorName);
+            const topics = item.topics || [];
+
+            return {
+                ...item,
+                authors: item.authors || [],
+                topics,
+                values: {
+                    year: [String(item.year)],
+                    type: [item.type],
+                    topic: topics,
+                    author: authors,
+                },
+                search: {
+                    title: normalizeSearchText(item.title),
+                    authors: normalizeSearchText(authors.join(' ')),
+                    other: normalizeSearchText(
+                        [item.abstract, item.venue, item.year, ...topics].join(
+                            ' '
+                        )
+                    ),
+                },
+            };
+        });
+        this.itemsById = new Map(this.items.map((item) => [item.id, item]));
+    }
+
+    clear() {
+        this.query = '';
+        this.input.value = '';
+        RESEARCH_FACETS.forEach((facet) => this.selected[facet].clear());
+        this.page = 1;
+        return this.render();
+    }
+
+    // Filter, rank and page the items, then render the facets and results
+    async render() {
+        const terms = normalizeSearchText(this.query)
+            .split(/\s+/)
+            .filter(Boolean);
+        const scored = this.items
+            .map((item) => ({ item, score: this._score(item, terms) }))
+            .filter(({ score }) => score !== null);
+
+        const matches = scored
+            .filter(({ item }) => this._matchesFacets(item))
+            .sort(
+                (a, b) =>
+                    b.score - a.score ||
+                    b.item.year - a.item.year ||
+                    a.item.title.localeCompare(b.item.title, this.loader.locale)
+            )
+            .map(({ item }) => item);
+
+        this._renderFacets(scored.map(({ item }) => item));
+
+        const pages = Math.max(1, Math.ceil(matches.length / this.pageSize));
+        this.page = Math.min(Math.max(1, this.page), pages);
+        const start = (this.page - 1) * this.pageSize;
+
+        const data = {
+            items: matches
+                .slice(start, start + this.pageSize)
+                .map((item) => this._present(item)),
+            start: start + 1,
+            pagination: pages > 1 ? this._pagination(pages) : null,
+        };
+        if (this.resultsHandle?.element === this.results) {
+            await this.resultsHandle.update(data);
+        } else {
+            this.resultsHandle = await this.loader.injectComponent(
+                'research-results',
+                this.results,
+                { data, preserveFocus: false }
+            );
+        }
+
+        const count = matches.length;
+        this._setStatus(
+            this.query
+                ? this.loader.t('research.resultsFor', {
+                      count,
+                      query: this.query,
+                  })
+                : this.loader.t('research.results', { count })
+        );
+        this.clearButton.hidden = !this._hasFilters();
+        this._writeUrl();
+    }
+
+    // Every term has to match; title hits rank above author hits, then the rest.
+    // null when the item does not match.
+    _score(item, terms) {
+        let score = 0;
+
+        for (const term of terms) {
+            if (item.search.title.includes(term)) {
+                score += 3;
+            } else if (item.search.authors.includes(term)) {
+                score += 2;
+            } else if (item.search.other.includes(term)) {
+                score += 1;
+            } else {
+                return null;
+            }
+        }
+        return score;
+    }
+
+    // Values within a facet are alternatives; facets narrow each other
+    _matchesFacets(item, except = null) {
+        return RESEARCH_FACETS.every((facet) => {
+            const selected = this.selected[facet];
+            return (
+                facet === except ||
+                !selected.size ||
+                item.values[facet].some((value) => selected.has(value))
+            );
+        });
+    }
+
+    _hasFilters() {
+        return (
+            Boolean(this.query) ||
+            RESEARCH_FACETS.some((facet) => this.selected[facet].size)
+        );
+    }
+
+    // One fieldset per facet. Counts are for the items the other facets and the
+    // search leave, so they show what checking a value would add.
+    _renderFacets(items) {
+        const focused = this.facets.contains(document.activeElement)
+            ? document.activeElement
+            : null;
+
+        const fieldsets = RESEARCH_FACETS.map((facet) => {
+            const counts = new Map();
+            items
+                .filter((item) => this._matchesFacets(item, facet))
+                .forEach((item) =>
+                    item.values[facet].forEach((value) =>
+                        counts.set(value, (counts.get(value) || 0) + 1)
+                    )
+                );
+
+            const values = [
+                ...new Set(this.items.flatMap((item) => item.values[facet])),
+            ].sort((a, b) => this._compareFacetValues(facet, a, b));
+
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'research-facet';
+            const legend = document.createElement('legend');
+            legend.textContent = this.loader.t(`research.facets.${facet}`);
+            fieldset.appendChild(legend);
+
+            values.forEach((value) => {
+                const count = counts.get(value) || 0;
+                const checked = this.selected[facet].has(value);
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.name = facet;
+                input.value = value;
+                input.checked = checked;
+                input.disabled = !count && !checked;
+                const total = document.createElement('span');
+                total.className = 'research-facet-count';
+                total.textContent = `(${this.loader.formatNumber(count)})`;
+
+                label.append(
+                    input,
+                    ` ${this._facetLabel(facet, value)} `,
+                    total
+                );
+                fieldset.appendChild(label);
+            });
+            return fieldset;
+        });
+
+        this.facets.replaceChildren(...fieldsets);
+
+        // Keep keyboard users on the checkbox they just toggled
+        if (focused) {
+            Array.from(this.facets.querySelectorAll('input'))
+                .find(
+                    (input) =>
+                        input.name === focused.name &&
+                        input.value === focused.value
+                )
+                ?.focus();
+        }
+    }
+
+    _compareFacetValues(facet, a, b) {
+        if (facet === 'year') return Number(b) - Number(a);
+        if (facet === 'type') {
+            return RESEARCH_TYPES.indexOf(a) - RESEARCH_TYPES.indexOf(b);
+        }
+        return a.localeCompare(b, this.loader.locale);
+    }
+
+    _facetLabel(facet, value) {
+        const key = `research.types.${value}`;
+        return facet === 'type' && this.loader.hasTranslation(key)
+            ? this.loader.t(key)
+            : value;
+    }
+
+    // Values for one entry of the research-results template
+    _present(item) {
+        const authors = item.authors.map(formatAuthorName);
+
+        return {
+            id: item.id,
+            anchor: `research-${item.id}`,
+            title: item.title,
+            url: item.doi ? `https://doi.org/${item.doi}` : item.url || '',
+            typeLabel: this._facetLabel('type', item.type),
+            year: item.year,
+            authors:
+                typeof Intl.ListFormat === 'function'
+                    ? new Intl.ListFormat(this.loader.locale).format(authors)
+                    : authors.join(', '),
+            venue: item.venue || '',
+            abstract: item.abstract || '',
+            topics: item.topics,
+            apa: formatAPA(item),
+        };
+    }
+
+    _pagination(pages) {
+        const link = (page) =>
+            page >= 1 && page <= pages
+                ? { page, href: this._buildUrl({ page }) }
+                : null;
+
+        return {
+            previous: link(this.page - 1),
+            next: link(this.page + 1),
+            label: this.loader.t('research.page', {
+                page: this.page,
+                pages,
+            }),
+        };
+    }
+
+    _search(query) {
+        clearTimeout(this.searchTimer);
+        query = query.trim();
+        if (query === this.query) return;
+
+        this.query = query;
+        this.page = 1;
+        return this.render();
+    }
+
+    _handleResultsClick(e) {
+        const pageLink = e.target.closest('[data-research-page]');
+        if (pageLink) {
+            // Handled here rather than by the router, which would re-render the page
+            e.preventDefault();
+            this.page = Number(pageLink.dataset.researchPage);
+            this.context.run(
+                this.render().then(() => {
+                    const list = this.results.querySelector('.research-list');
+                    if (!list) return;
+                    list.scrollIntoView?.({
+                        behavior: this.loader._prefersReducedMotion()
+                            ? 'auto'
+                            : 'smooth',
+                    });
+                    this.loader._focusSection(list);
+                })
+            );
+            return;
+        }
+
+        const cite = e.target.closest('[data-research-cite]');
+        if (!cite) return;
+        const item = this.itemsById.get(cite.dataset.researchCite);
+        const textarea = cite.querySelector('[data-research-citation]');
+
+        const formatButton = e.target.closest('[data-research-format]');
+        if (formatButton) {
+            cite.querySelectorAll('[data-research-format]').forEach((button) =>
+                button.setAttribute(
+                    'aria-pressed',
+                    String(button === formatButton)
+                )
+            );
+            textarea.value =
+                CITATION_FORMATTERS[formatButton.dataset.researchFormat](item);
+        } else if (e.target.closest('[data-research-copy]')) {
+            this.copyCitation(textarea, this._citationFormat(cite));
+        } else if (e.target.closest('[data-research-download]')) {
+            this.downloadCitation(item, this._citationFormat(cite));
+        }
+    }
+
+    _citationFormat(cite) {
+        return cite.querySelector('[data-research-format][aria-pressed="true"]')
+            .dataset.researchFormat;
+    }
+
+    async copyCitation(textarea, format) {
+        const { label } = CITATION_FORMATS[format];
+
+        try {
+            if (navigator.clipboard?.writeText) {
+                await navigator.clipboard.writeText(textarea.value);
+            } else {
+                // Older browsers and insecure contexts
+                textarea.select();
+                if (!document.execCommand?.('copy')) {
+                    throw new Error('Copy command was not run');
+                }
+            }
+        } catch (error) {
+            this.loader._log('warn', 'Failed to copy the citation:', error);
+            textarea.select();
+            this._announce(this.loader.t('research.copyFailed'));
+            return;
+        }
+
+        this._announce(this.loader.t('research.copied', { format: label }));
+    }
+
+    downloadCitation(item, format) {
+        const { extension, type } = CITATION_FORMATS[format];
+        const url = URL.createObjectURL(
+            new Blob([CITATION_FORMATTERS[format](item)], { type })
+        );
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${item.id}.${extension}`;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url));
+    }
+
+    // Query string parameters: q, page and repeated year/topic/author/type
+    _readUrl() {
+        if (!this.syncUrl) return;
+
+        const params = new URLSearchParams(window.location.search);
+        this.query = (params.get('q') || '').trim();
+        RESEARCH_FACETS.forEach((facet) => {
+            this.selected[facet] = new Set(params.getAll(facet));
+        });
+        this.page = Number(params.get('page')) || 1;
+    }
+
+    _buildUrl({ page = this.page } = {}) {
+        const params = new URLSearchParams(window.location.search);
+        ['q', 'page', ...RESEARCH_FACETS].forEach((name) =>
+            params.delete(name)
+        );
+
+        if (this.query) params.set('q', this.query);
+        RESEARCH_FACETS.forEach((facet) =>
+            this.selected[facet].forEach((value) => params.append(facet, value))
+        );
+        if (page > 1) params.set('page', String(page));
+
+        const search = params.toString();
+        return `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    }
+
+    // replaceState keeps the router's history entry and adds none of its own
+    _writeUrl() {
+        if (!this.syncUrl) return;
+
+        const url = this._buildUrl();
+        const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url !== current) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    _setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    _announce(message) {
+        // Clear first so repeating the same message is announced again
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 50);
+    }
+}
+
+window.componentLoader.register('pages/research', {
+    setup(context) {
+        context.state.catalogue = new ResearchCatalogue(context);
+        return context.state.catalogue.start();
+    },
+    destroy(context) {
+        context.state.catalogue?.stop();
+    },
+});
@@ -0,0 +1,304 @@
+// Build-time pre-rendering: inlines <ewaste-include> and [data-component]
+// hosts into the HTML pages using the same ComponentLoader template engine
+// that runs in the browser.
+//
+//   npm run prerender -- [--out dist] [--locale en] [page.html ...]
+//
+// (utils.js is an ES module, evaluated with node --experimental-vm-modules.)
+//
+// The site's files (SITE_FILES and the root *.html pages) are copied to the
+// output directory and every page (all root *.html files by default) is
+// rendered there. Rendered hosts are marked
+// data-component-state="prerendered", so the runtime hydrates them (runs
+// their lifecycle hooks against the existing markup) instead of fetching
+// and injecting them again.
+//
+// The build also writes components/manifest.json with a content hash per
+// component, which versions the loader's persistent component cache, and
+// names it in each page's <meta name="component-manifest">.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+// What the site serves besides its pages; anything else (tests, tooling,
+// package files) stays out of the build
+const SITE_FILES = [
+    'assets',
+    'components',
+    'css',
+    'data',
+    'js',
+    'locales',
+    'sw.js',
+];
+const MANIFEST_META =
+    '<meta name="component-manifest" content="/components/manifest.json" />';
+
+function parseArgs(argv) {
+    const options = { out: 'dist', locale: 'en', pages: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            options.out = argv[++i];
+        } else if (argv[i] === '--locale') {
+            options.locale = argv[++i];
+        } else {
+            options.pages.push(argv[i]);
+        }
+    }
+
+    if (!options.pages.length) {
+        options.pages = fs
+            .readdirSync(ROOT)
+            .filter((file) => file.endsWith('.html'));
+    }
+
+    return options;
+}
+
+// Serve site files the way the dev server would, for the loader's fetch calls
+async function readSiteFile(url) {
+    const file = path.join(
+        ROOT,
+        decodeURIComponent(new URL(url, 'http://localhost').pathname)
+    );
+
+    try {
+        const body = await fs.promises.readFile(file, 'utf8');
+        return {
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            text: async () => body,
+            json: async () => JSON.parse(body),
+        };
+    } catch (error) {
+        return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+}
+
+// Evaluate js/components/utils.js in a sandbox with just enough of the browser
+// globals for a ComponentLoader; rendering itself needs no DOM.
+async function createLoader(locale) {
+    const noop = () => {};
+    const document = {
+        documentElement: { lang: locale },
+        addEventListener: noop,
+        dispatchEvent: noop,
+    };
+    const sandbox = {
+        document,
+        console,
+        performance,
+        Intl,
+        URL,
+        AbortController,
+        fetch: readSiteFile,
+        setTimeout,
+        clearTimeout,
+        localStorage: { getItem: () => null, setItem: noop },
+        navigator: { onLine: true },
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        },
+        addEventListener: noop,
+    };
+    sandbox.window = sandbox;
+
+    const context = vm.createContext(sandbox);
+    const source = fs.readFileSync(
+        path.join(ROOT, 'js/components/utils.js'),
+        'utf8'
+    );
+    const utils = new vm.SourceTextModule(source, {
+        context,
+        identifier: 'js/components/utils.js',
+    });
+    await utils.link(() => {
+        throw new Error('utils.js is not expected to import anything');
+    });
+    await utils.evaluate();
+
+    return new utils.namespace.ComponentLoader({ basePath: '/components' });
+}
+
+// Opening tag of an include host; the element's content is replaced
+const HOST_PATTERN =
+    /<(ewaste-include)\b([^>]*\bname\s*=[^>]*)>|<([a-zA-Z][\w-]*)\b([^>]*\bdata-component\s*=[^>]*)>/g;
+
+function parseAttributes(source) {
+    const attributes = [];
+    const pattern =
+        /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source))) {
+        attributes.push({
+            name: match[1].toLowerCase(),
+            value: decodeEntities(match[2] ?? match[3] ?? match[4] ?? ''),
+        });
+    }
+
+    return attributes;
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Index just past the closing tag matching the element opened before `from`
+function findClosingTag(html, tagName, from) {
+    const pattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) {
+            return { start: match.index, end: pattern.lastIndex };
+        }
+    }
+
+    throw new Error(`Unclosed <${tagName}> starting at offset ${from}`);
+}
+
+// Render every host in html, recursing into the rendered components
+async function prerenderHtml(loader, html, ancestry = []) {
+    const pattern = new RegExp(HOST_PATTERN.source, 'g');
+    let output = '';
+    let cursor = 0;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        const tagName = match[1] || match[3];
+        const attributeSource = match[2] || match[4];
+        const attributes = parseAttributes(attributeSource);
+        const host = {
+            attributes,
+            getAttribute: (name) =>
+                attributes.find((attribute) => attribute.name === name)
+                    ?.value ?? null,
+        };
+        const componentName =
+            host.getAttribute('data-component') || host.getAttribute('name');
+        const closing = findClosingTag(html, tagName, pattern.lastIndex);
+
+        if (ancestry.includes(componentName)) {
+            throw new Error(
+                `Circular component include: ${[
+                    ...ancestry,
+                    componentName,
+                ].join(' -> ')}`
+            );
+        }
+
+        const template = await loader._loadTemplate(componentName);
+        const rendered = await loader._processTemplate(
+            template,
+            loader._readIncludeData(host)
+        );
+        const inner = await prerenderHtml(loader, rendered, [
+            ...ancestry,
+            componentName,
+        ]);
+        const openTag = `<${tagName}${attributeSource
+            .replace(
+                /\s+data-component-state\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/,
+                ''
+            )
+            .replace(/\s*\/?$/, '')} data-component-state="prerendered">`;
+
+        output += html.slice(cursor, match.index) + openTag + inner;
+        output += html.slice(closing.start, closing.end);
+        cursor = closing.end;
+        pattern.lastIndex = cursor;
+    }
+
+    return output + html.slice(cursor);
+}
+
+function hash(content) {
+    return crypto
+        .createHash('sha256')
+        .update(content)
+        .digest('hex')
+        .slice(0, 12);
+}
+
+// { version, components: { "pages/research": "<hash>", ... } }
+function writeManifest(outDir) {
+    const componentsDir = path.join(outDir, 'components');
+    const components = {};
+
+    const walk = (dir) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(file);
+            } else if (entry.name.endsWith('.html')) {
+                const name = path
+                    .relative(componentsDir, file)
+                    .split(path.sep)
+                    .join('/')
+                    .replace(/\.html$/, '');
+                components[name] = hash(fs.readFileSync(file));
+            }
+        });
+    };
+    walk(componentsDir);
+
+    const manifest = {
+        version: hash(JSON.stringify(components)),
+        components,
+    };
+    fs.writeFileSync(
+        path.join(componentsDir, 'manifest.json'),
+        `${JSON.stringify(manifest, null, 4)}\n`
+    );
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const outDir = path.resolve(ROOT, options.out);
+    const loader = await createLoader(options.locale);
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    [
+        ...SITE_FILES,
+        ...fs.readdirSync(ROOT).filter((file) => file.endsWith('.html')),
+    ]
+        .filter((entry) => fs.existsSync(path.join(ROOT, entry)))
+        .forEach((entry) =>
+            fs.cpSync(path.join(ROOT, entry), path.join(outDir, entry), {
+                recursive: true,
+            })
+        );
+
+    for (const page of options.pages) {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const rendered = await prerenderHtml(loader, html);
+        fs.writeFileSync(
+            path.join(outDir, page),
+            rendered.replace('</head>', `    ${MANIFEST_META}\n    </head>`)
+        );
+        console.log(`Prerendered ${page}`);
+    }
+
+    writeManifest(outDir);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,103 @@
+// Offline support for the site shell: pages, scripts, styles, locales and
+// images are served from the cache and refreshed in the background
+// (stale-while-revalidate). Component markup is cached by ComponentLoader
+// itself (persistentCache), so /components/ requests always reach the network.
+const CACHE_NAME = 'ewaste-shell-v1';
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/about.html',
+    '/research.html',
+    '/contact.html',
+    '/css/style.css',
+    '/css/pages/research.css',
+    '/css/pages/contact.css',
+    '/js/components/global.js',
+    '/js/components/utils.js',
+    '/js/components/navigation.js',
+    '/js/components/form-validation.js',
+    '/js/components/router.js',
+    '/js/components/pickup-wizard.js',
+    '/js/components/locator.js',
+    '/js/components/impact-calculator.js',
+    '/js/pages/research.js',
+    '/js/main.js',
+    '/data/drop-off-sites.geojson',
+    '/data/research.json',
+    '/data/impact-factors.json',
+    '/locales/en.json',
+    '/locales/sw.json',
+    '/locales/lg.json',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then((cache) =>
+            // One missing file must not fail the whole install
+            Promise.allSettled(PRECACHE_URLS.map((url) => cache.add(url)))
+        )
+    );
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((names) =>
+                Promise.all(
+                    names
+                        .filter(
+                            (name) =>
+                                name.startsWith('ewaste-shell-') &&
+                                name !== CACHE_NAME
+                        )
+                        .map((name) => caches.delete(name))
+                )
+            )
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (
+        request.method !== 'GET' ||
+        url.origin !== self.location.origin ||
+        url.pathname.startsWith('/components/') ||
+        url.pathname.startsWith('/api/')
+    ) {
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(event, request));
+});
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request).then((response) => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (error) {
+        // Offline navigation to a page that was never visited
+        if (request.mode === 'navigate') {
+            const fallback = await cache.match('/index.html');
+            if (fallback) return fallback;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,821 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDom, setupLoader } = require('./helpers/dom');
+const { sleep, waitFor } = require('./helpers/wait');
+
+// Components are served from test/fixtures unless files overrides them
+async function setup(files = {}) {
+    const env = await setupLoader({
+        body: '<div id="a"></div><div id="b"></div>',
+        files,
+    });
+
+    const fetched = (name) =>
+        env.requests.filter((url) => url === `/components/${name}.html`).length;
+    return { ...env, fetched };
+}
+
+test('the module has no side effects; the global instance is opt-in', async (t) => {
+    const env = await createDom({
+        html: '<!DOCTYPE html><body><div id="a"></div></body>',
+        global: false,
+    });
+    t.after(env.close);
+
+    assert.strictEqual(env.window.componentLoader, undefined);
+    assert.strictEqual(env.window.ComponentLoader, undefined);
+    assert.deepStrictEqual(env.requests, []);
+
+    const loader = new env.module.ComponentLoader({ fetchRetries: 0 });
+    await loader.injectComponent('greeting', '#a', { data: { name: 'Ada' } });
+    assert.strictEqual(
+        env.document.querySelector('#a .greeting').textContent,
+        'Hello, Ada!'
+    );
+    assert.strictEqual(env.window.componentLoader, undefined);
+
+    const localized = new Promise((resolve) =>
+        env.document.addEventListener('locale:changed', resolve)
+    );
+    const installed = env.module.installGlobal();
+    await localized;
+    assert.strictEqual(env.window.componentLoader, installed);
+    assert.notStrictEqual(installed, loader);
+    assert.strictEqual(env.window.ComponentLoader, env.module.ComponentLoader);
+    assert.strictEqual(env.module.installGlobal(), installed);
+});
+
+test('loadComponent shares in-flight requests and caches the result', async (t) => {
+    const env = await setup({
+        '/components/card.html': { body: '<p>card</p>', delay: 20 },
+    });
+    t.after(env.close);
+
+    const results = await Promise.all([
+        env.loader.loadComponent('card'),
+        env.loader.loadComponent('card'),
+        env.loader.loadComponent('card'),
+    ]);
+    assert.deepStrictEqual(results, [
+        '<p>card</p>',
+        '<p>card</p>',
+        '<p>card</p>',
+    ]);
+    assert.strictEqual(env.fetched('card'), 1);
+
+    await env.loader.loadComponent('card');
+    assert.strictEqual(env.fetched('card'), 1);
+    assert.strictEqual(env.loader.loadingStates.size, 0);
+
+    env.loader.clearCache('card');
+    await env.loader.loadComponent('card');
+    assert.strictEqual(env.fetched('card'), 2);
+});
+
+test('templates are compiled once and rendered for every injection', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const compiled = [];
+    const compile = env.loader._compileTemplate.bind(env.loader);
+    env.loader._compileTemplate = (html) => {
+        compiled.push(html);
+        return compile(html);
+    };
+
+    await env.loader.injectComponent('greeting', '#a', { data: { name: 'A' } });
+    await env.loader.injectComponent('greeting', '#b', { data: { name: 'B' } });
+    await env.loader.injectComponent('greeting', '#a', { data: { name: 'C' } });
+
+    assert.strictEqual(compiled.length, 1);
+    assert.strictEqual(env.fetched('greeting'), 1);
+    assert.deepStrictEqual(
+        Array.from(
+            env.document.querySelectorAll('.greeting'),
+            (p) => p.textContent
+        ),
+        ['Hello, C!', 'Hello, B!']
+    );
+});
+
+test('without the cache every load fetches, concurrent ones still once', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+    env.loader.config.cacheEnabled = false;
+
+    await Promise.all([
+        env.loader.loadComponent('greeting'),
+        env.loader.loadComponent('greeting'),
+    ]);
+    await env.loader.loadComponent('greeting');
+
+    assert.strictEqual(env.fetched('greeting'), 2);
+    assert.strictEqual(env.loader.components.size, 0);
+});
+
+test('failed loads are not cached', async (t) => {
+    let available = false;
+    const env = await setup({
+        '/components/card.html': () =>
+            available ? '<p>card</p>' : { status: 404 },
+    });
+    t.after(env.close);
+    env.window.console.error = () => {};
+
+    await assert.rejects(env.loader.loadComponent('card'), {
+        name: 'ComponentLoadError',
+    });
+    available = true;
+    assert.strictEqual(await env.loader.loadComponent('card'), '<p>card</p>');
+    assert.strictEqual(env.fetched('card'), 2);
+});
+
+// An in-memory Cache API shared by every loader on the page
+function installCaches(window) {
+    const entries = new Map();
+    const href = (request) =>
+        new URL(request.url || request, window.location.href).href;
+    const cache = {
+        match: async (request) => entries.get(href(request)),
+        put: async (request, response) => {
+            entries.set(href(request), response);
+        },
+        delete: async (request) => entries.delete(href(request)),
+        keys: async () => Array.from(entries.keys(), (url) => ({ url })),
+    };
+    window.caches = { open: async () => cache };
+    return entries;
+}
+
+test('the persistent cache serves components offline until their version changes', async (t) => {
+    let version = 'v1';
+    let online = true;
+    let entries;
+    const served = (body) => () => {
+        if (!online) throw new TypeError('Failed to fetch');
+        return body();
+    };
+    const env = await createDom({
+        files: {
+            '/components/manifest.json': served(() =>
+                JSON.stringify({ components: { card: version } })
+            ),
+            '/components/card.html': served(() => `<p>card ${version}</p>`),
+        },
+        prepare(window) {
+            entries = installCaches(window);
+        },
+        global: false,
+    });
+    t.after(env.close);
+    const loader = () =>
+        new env.module.ComponentLoader({
+            persistentCache: true,
+            manifestUrl: '/components/manifest.json',
+            fetchRetries: 0,
+            logger: { error: () => {} },
+        });
+
+    assert.strictEqual(await loader().loadComponent('card'), '<p>card v1</p>');
+    assert.ok(entries.has('http://localhost/components/card.html?v=v1'));
+
+    // A later visit without a network is served from the cache
+    online = false;
+    assert.strictEqual(await loader().loadComponent('card'), '<p>card v1</p>');
+
+    // A deploy that changes the component misses the old entry and replaces it
+    online = true;
+    version = 'v2';
+    assert.strictEqual(await loader().loadComponent('card'), '<p>card v2</p>');
+    assert.deepStrictEqual(
+        Array.from(entries.keys()).filter((url) => url.includes('card')),
+        ['http://localhost/components/card.html?v=v2']
+    );
+});
+
+test('a component the persistent cache cannot store still loads', async (t) => {
+    const warnings = [];
+    const env = await createDom({
+        html: '<!DOCTYPE html><body><div id="a"></div></body>',
+        prepare(window) {
+            const cache = {
+                match: async () => undefined,
+                keys: async () => [],
+                put: async () => {
+                    throw new window.DOMException(
+                        'Quota exceeded',
+                        'QuotaExceededError'
+                    );
+                },
+            };
+            window.caches = { open: async () => cache };
+        },
+    });
+    t.after(env.close);
+    const loader = env.window.componentLoader;
+    loader.config.fetchRetries = 0;
+    loader.logger = { warn: (...args) => warnings.push(args) };
+
+    await loader.injectComponent('greeting', '#a', { data: { name: 'Ada' } });
+    assert.strictEqual(
+        env.document.querySelector('#a .greeting').textContent,
+        'Hello, Ada!'
+    );
+    assert.deepStrictEqual(
+        warnings.map(([message]) => message),
+        ['Failed to cache component "greeting":']
+    );
+    // Source pages name no manifest, so none is requested
+    assert.ok(!env.requests.includes('/components/manifest.json'));
+});
+
+test('transient failures are retried; others fail at once', async (t) => {
+    const failures = { flaky: 2 };
+    const env = await setup({
+        '/components/flaky.html': () =>
+            failures.flaky-- > 0 ? { status: 503 } : '<p>flaky</p>',
+        '/components/slow.html': { body: '<p>slow</p>', delay: 200 },
+    });
+    t.after(env.close);
+    env.loader.logger = { error: () => {} };
+    Object.assign(env.loader.config, {
+        fetchRetries: 2,
+        fetchRetryDelay: 1,
+        fetchTimeout: 20,
+    });
+
+    assert.strictEqual(await env.loader.loadComponent('flaky'), '<p>flaky</p>');
+    assert.strictEqual(env.fetched('flaky'), 3);
+
+    await assert.rejects(env.loader.loadComponent('missing'), {
+        name: 'ComponentLoadError',
+        message: 'HTTP 404: Not Found',
+    });
+    assert.strictEqual(env.fetched('missing'), 1);
+
+    await assert.rejects(env.loader.loadComponent('slow'), {
+        name: 'ComponentLoadError',
+        message: 'Loading /components/slow.html timed out after 20ms',
+    });
+    assert.strictEqual(env.fetched('slow'), 3);
+});
+
+test('failed loads render a fallback or a placeholder that retries', async (t) => {
+    let available = false;
+    const env = await setup({
+        '/components/card.html': () =>
+            available ? '<p>card</p>' : { status: 404 },
+    });
+    t.after(env.close);
+    env.loader.logger = { error: () => {} };
+    env.loader.config.errorBoundary = true;
+    const a = env.document.getElementById('a');
+
+    const handle = await env.loader.injectComponent('card', '#a', {
+        fallbackComponent: 'greeting',
+        data: { name: 'Ada' },
+    });
+    assert.strictEqual(handle.componentName, 'greeting');
+    assert.strictEqual(a.textContent.trim(), 'Hello, Ada!');
+
+    assert.strictEqual(
+        await env.loader.injectComponent('card', '#a', {
+            fallback: '<p class="offline">Offline</p>',
+        }),
+        null
+    );
+    assert.ok(a.querySelector('.offline'));
+
+    assert.strictEqual(await env.loader.injectComponent('card', '#a'), null);
+    const placeholder = a.querySelector('[data-component-error="card"]');
+    assert.strictEqual(
+        placeholder.querySelector('p').textContent,
+        "We couldn't load this section."
+    );
+
+    available = true;
+    placeholder.querySelector('button').click();
+    await waitFor(a, () => a.querySelector('p')?.textContent === 'card');
+    assert.strictEqual(a.querySelector('[data-component-error]'), null);
+});
+
+test('templates support conditionals, loops and partials', async (t) => {
+    const env = await setup({
+        '/components/item.html': '<li>{{ @index }}:{{ item.name }}</li>',
+        '/components/loop-a.html': '{{> loop-b }}',
+        '/components/loop-b.html': '{{> loop-a }}',
+    });
+    t.after(env.close);
+    const render = (template, data) =>
+        env.loader._processTemplate(template, data);
+
+    const status = '{{#if open}}Open{{else}}Closed{{/if}}';
+    assert.strictEqual(await render(status, { open: true }), 'Open');
+    assert.strictEqual(await render(status, { open: [] }), 'Closed');
+
+    assert.strictEqual(
+        await render(
+            '<ul>{{#each items as item}}{{> item }}{{else}}<li>None</li>{{/each}}</ul>',
+            { items: [{ name: 'Phone' }, { name: 'Laptop' }] }
+        ),
+        '<ul><li>0:Phone</li><li>1:Laptop</li></ul>'
+    );
+    assert.strictEqual(
+        await render(
+            '{{#each items as item}}{{> item }}{{else}}<li>None</li>{{/each}}',
+            { items: [] }
+        ),
+        '<li>None</li>'
+    );
+    // Without an alias each item is the context; outer keys still resolve
+    assert.strictEqual(
+        await render(
+            '{{#each items}}{{ name }}{{#if @last}}.{{else}}, {{/if}}{{ unit }}{{/each}}',
+            { unit: 'kg', items: [{ name: 'Copper' }, { name: 'Gold' }] }
+        ),
+        'Copper, kgGold.kg'
+    );
+
+    await assert.rejects(render('{{> loop-a }}'), {
+        message: 'Circular partial reference: loop-a -> loop-b -> loop-a',
+    });
+    await assert.rejects(render('{{#if open}}Open'), {
+        message: 'Unclosed {{#if}} block in template',
+    });
+    await assert.rejects(render('{{#each a b}}{{/each}}'), {
+        message: 'Invalid {{#each}} expression: "each a b"',
+    });
+});
+
+test('template values are escaped unless rendered raw', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+    env.loader.config.strict = false;
+
+    const name = `<img src=x onerror="alert('x')"> & co`;
+    const html = await env.loader._processTemplate(
+        '<p title="{{ name }}">{{ name }}</p><div>{{{ bio }}}</div>',
+        { name, bio: '<em>raw</em>' }
+    );
+    assert.strictEqual(
+        html,
+        '<p title="&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt; &amp; co">' +
+            '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt; &amp; co</p>' +
+            '<div><em>raw</em></div>'
+    );
+
+    await env.loader.injectComponent('greeting', '#a', {
+        data: { name, bio: '<em>raw</em>' },
+    });
+    const target = env.document.getElementById('a');
+    assert.strictEqual(target.querySelector('img'), null);
+    assert.strictEqual(target.querySelector('.greeting').title, name);
+    assert.strictEqual(
+        target.querySelector('.greeting').textContent,
+        `Hello, ${name}!`
+    );
+    assert.strictEqual(target.querySelector('.bio em').textContent, 'raw');
+});
+
+test('only own properties of the data resolve in templates', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const html = await env.loader._processTemplate(
+        '<p>[{{ constructor }}][{{ user.constructor.name }}]' +
+            '[{{ user.__proto__ }}][{{ user.name }}][{{ tags.length }}]</p>',
+        { user: { name: 'Ada' }, tags: ['a', 'b'] }
+    );
+    assert.strictEqual(html, '<p>[][][][Ada][2]</p>');
+});
+
+test('template tags inside <script> or <style> fail to compile', async (t) => {
+    const env = await setup({
+        '/components/tracker.html':
+            '<p>{{ q }}</p><script data-trusted>window.v = "{{ q }}";</script>',
+        '/components/theme.html':
+            '<style>.a { color: {{#if dark}}white{{/if}}; }</style>',
+    });
+    t.after(env.close);
+    env.window.console.error = () => {};
+    env.loader.config.errorBoundary = false;
+
+    const q = '"; window.pwned = true; "';
+    await assert.rejects(
+        env.loader.injectComponent('tracker', '#a', { data: { q } }),
+        {
+            name: 'TemplateError',
+            message: 'Template tags are not allowed inside <script>',
+        }
+    );
+    await assert.rejects(env.loader.injectComponent('theme', '#b'), {
+        name: 'TemplateError',
+        message: 'Template tags are not allowed inside <style>',
+    });
+    assert.strictEqual(env.window.pwned, undefined);
+    assert.strictEqual(env.document.querySelector('script'), null);
+});
+
+test('handles update the bound parts of a component in place', async (t) => {
+    const env = await setup({
+        '/components/counter.html':
+            '<h2>{{ title }}</h2><input name="note">' +
+            '<p class="count">{{ count }} items</p>' +
+            '<ul>{{#each items as item}}<li>{{ item }}</li>{{/each}}</ul>',
+    });
+    t.after(env.close);
+
+    const handle = await env.loader.injectComponent('counter', '#a', {
+        data: { title: 'Cart', count: 1, items: ['Phone'] },
+    });
+    const target = env.document.getElementById('a');
+    const heading = target.querySelector('h2');
+    const input = target.querySelector('input');
+    input.value = 'typed';
+
+    const changes = [];
+    target.addEventListener('component:updated', (event) =>
+        changes.push([...event.detail.changedKeys])
+    );
+
+    await handle.update({ count: 2, items: ['Phone', 'Laptop'] });
+    assert.strictEqual(target.querySelector('h2'), heading);
+    assert.strictEqual(target.querySelector('input'), input);
+    assert.strictEqual(input.value, 'typed');
+    assert.strictEqual(target.querySelector('.count').textContent, '2 items');
+    assert.deepStrictEqual(
+        Array.from(target.querySelectorAll('li'), (li) => li.textContent),
+        ['Phone', 'Laptop']
+    );
+    assert.deepStrictEqual(
+        { ...handle.data },
+        {
+            title: 'Cart',
+            count: 2,
+            items: ['Phone', 'Laptop'],
+        }
+    );
+
+    // Unchanged values are skipped
+    await handle.update({ title: 'Cart', count: 2 });
+    assert.deepStrictEqual(changes, [['count', 'items']]);
+    assert.strictEqual(env.fetched('counter'), 1);
+
+    await env.loader.injectComponent('greeting', '#a', { data: { name: 'b' } });
+    await assert.rejects(handle.update({ count: 3 }), {
+        message: /is no longer mounted$/,
+    });
+});
+
+test('blocks between attributes render into the tag and follow updates', async (t) => {
+    const env = await setup({
+        '/components/toggle.html':
+            '<input type="checkbox" {{#if on}}checked{{/if}} data-x="{{ x }}">' +
+            '<span {{#each flags as flag}}data-{{ flag }} {{/each}}>{{ x }}</span>',
+    });
+    t.after(env.close);
+
+    const handle = await env.loader.injectComponent('toggle', '#a', {
+        data: { on: true, x: 'a"b', flags: ['one', 'two'] },
+    });
+    const target = env.document.getElementById('a');
+    const input = target.querySelector('input');
+    const span = target.querySelector('span');
+    assert.strictEqual(
+        target.innerHTML,
+        '<input type="checkbox" checked="" data-x="a&quot;b">' +
+            '<span data-one="" data-two="">a"b</span>'
+    );
+
+    await handle.update({ on: false, flags: ['two'], x: 'c' });
+    assert.strictEqual(target.querySelector('input'), input);
+    assert.strictEqual(input.hasAttribute('checked'), false);
+    assert.strictEqual(input.dataset.x, 'c');
+    assert.strictEqual(target.querySelector('span'), span);
+    assert.deepStrictEqual(span.getAttributeNames(), ['data-two']);
+    assert.strictEqual(span.textContent, 'c');
+});
+
+test('include elements render their component with attributes as data', async (t) => {
+    const env = await setupLoader({
+        body:
+            '<ewaste-include name="card" item-title="Phone" data-count="2"></ewaste-include>' +
+            '<section data-component="greeting" data-props=\'{"name":"Ada"}\'></section>' +
+            '<ewaste-include name="loop"></ewaste-include>',
+        files: {
+            '/components/card.html':
+                '<p>{{ itemTitle }} x{{ count }}</p>' +
+                '<ewaste-include name="badge" label="New"></ewaste-include>',
+            '/components/badge.html': '<b>{{ label }}</b>',
+            '/components/loop.html':
+                '<ewaste-include name="loop"></ewaste-include>',
+        },
+        logger: { error: () => {} },
+    });
+    t.after(env.close);
+
+    const states = () =>
+        Array.from(
+            env.document.querySelectorAll('ewaste-include, [data-component]'),
+            (host) =>
+                `${host.getAttribute('name') || host.dataset.component}: ${host.dataset.componentState}`
+        );
+    const settled = () =>
+        states().every((state) => /: (loaded|error)$/.test(state));
+    await waitFor(env.document.body, settled);
+
+    assert.deepStrictEqual(states(), [
+        'card: loaded',
+        'badge: loaded',
+        'greeting: loaded',
+        'loop: loaded',
+        'loop: error',
+    ]);
+    const card = env.document.querySelector('[name="card"]');
+    assert.strictEqual(card.querySelector('p').textContent, 'Phone x2');
+    assert.strictEqual(card.querySelector('b').textContent, 'New');
+    assert.strictEqual(
+        env.document.querySelector('.greeting').textContent,
+        'Hello, Ada!'
+    );
+
+    // Includes added later are picked up as well
+    const late = env.document.createElement('ewaste-include');
+    late.setAttribute('name', 'badge');
+    late.setAttribute('label', 'Later');
+    env.document.body.appendChild(late);
+    await waitFor(late, () => late.dataset.componentState === 'loaded');
+    assert.strictEqual(late.textContent, 'Later');
+});
+
+test('component scripts run in document order, waiting for external ones', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    // jsdom does not run scripts here: record each script as it is added and
+    // finish loading external ones a little later
+    const order = [];
+    const target = env.document.getElementById('a');
+    new env.window.MutationObserver((records) => {
+        records.forEach((record) =>
+            record.addedNodes.forEach((node) => {
+                if (node.localName !== 'script') return;
+                if (node.src) {
+                    order.push(`load ${new URL(node.src).pathname}`);
+                    setTimeout(() => {
+                        order.push('loaded');
+                        node.dispatchEvent(new env.window.Event('load'));
+                    }, 20);
+                } else {
+                    order.push(node.textContent);
+                }
+            })
+        );
+    }).observe(target, { childList: true });
+
+    await env.loader.injectComponent('widget', '#a');
+    await sleep(0);
+
+    assert.deepStrictEqual(order, [
+        "window.order.push('first');",
+        'load /js/widget.js',
+        'loaded',
+        "window.order.push('last');",
+    ]);
+    assert.strictEqual(target.querySelector('p').textContent, 'widget');
+});
+
+test('lifecycle hooks run in order and share the instance state', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const calls = [];
+    env.loader.register('greeting', {
+        setup({ element, state, data }) {
+            state.name = data.name;
+            calls.push(`setup ${element.id} ${element.textContent.trim()}`);
+        },
+        mounted: ({ state }) => calls.push(`mounted ${state.name}`),
+        updated: ({ state }, changedKeys) =>
+            calls.push(`updated ${state.name} [${changedKeys}]`),
+        destroy: ({ state }) => calls.push(`destroy ${state.name}`),
+    });
+
+    const handle = await env.loader.injectComponent('greeting', '#a', {
+        data: { name: 'Ada' },
+    });
+    await handle.update({ name: 'Grace' });
+    await env.loader.injectComponent('greeting', '#a', {
+        data: { name: 'Alan' },
+    });
+
+    assert.deepStrictEqual(calls, [
+        'setup a Hello, Ada!',
+        'mounted Ada',
+        'updated Ada [name]',
+        'destroy Ada',
+        'setup a Hello, Alan!',
+        'mounted Alan',
+    ]);
+    assert.throws(() => env.loader.register('greeting', { setup: 'init' }), {
+        name: 'TypeError',
+        message: 'Lifecycle hook "setup" for "greeting" must be a function',
+    });
+});
+
+test('destroyComponent and destroy remove the listeners components added', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const pings = [];
+    const destroyed = [];
+    env.loader.register('greeting', {
+        setup({ element, listen }) {
+            listen(env.document, 'ping', () => pings.push(element.id));
+        },
+        destroy({ element }) {
+            destroyed.push(element.id);
+        },
+    });
+    await env.loader.injectComponent('greeting', '#a', { data: { name: 'a' } });
+    await env.loader.injectComponent('greeting', '#b', { data: { name: 'b' } });
+
+    const ping = () => env.document.dispatchEvent(new env.window.Event('ping'));
+    ping();
+    assert.deepStrictEqual(pings, ['a', 'b']);
+
+    await env.loader.destroyComponent('greeting', '#a');
+    ping();
+    assert.deepStrictEqual(pings, ['a', 'b', 'b']);
+    assert.deepStrictEqual(destroyed, ['a']);
+    assert.strictEqual(env.document.getElementById('a').innerHTML, '');
+
+    env.loader.destroy();
+    ping();
+    assert.deepStrictEqual(pings, ['a', 'b', 'b']);
+    assert.deepStrictEqual(destroyed, ['a', 'b']);
+    assert.strictEqual(env.loader.eventHandlers.size, 0);
+    assert.strictEqual(env.loader.lifecycles.size, 0);
+});
+
+test('destroy reports async destroy hooks that reject', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+    const logged = [];
+    env.loader.logger = { error: (...args) => logged.push(args) };
+
+    env.loader.register('greeting', {
+        destroy: async () => {
+            throw new Error('Cleanup failed');
+        },
+    });
+    await env.loader.injectComponent('greeting', '#a', { data: { name: 'a' } });
+
+    env.loader.destroy();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.deepStrictEqual(
+        logged.map(([message, error]) => [message, error.message]),
+        [['Failed to destroy component "greeting":', 'Cleanup failed']]
+    );
+});
+
+test('the lifecycle context merges data into options and reports failed tasks', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+    const logged = [];
+    env.loader.logger = { error: (...args) => logged.push(args) };
+
+    const failures = [];
+    let context;
+    env.loader.register('greeting', {
+        setup(lifecycle) {
+            context = lifecycle;
+            lifecycle.onError = (error) => failures.push(error.message);
+        },
+    });
+    await env.loader.injectComponent('greeting', '#a', {
+        data: { name: 'a', limit: '5' },
+        limit: 3,
+    });
+
+    assert.strictEqual(context.options.name, 'a');
+    assert.strictEqual(context.options.limit, 3);
+    assert.deepStrictEqual(context.data, { name: 'a', limit: '5' });
+
+    await context.run(Promise.resolve('done'));
+    await context.run(Promise.reject(new Error('Request failed')));
+
+    assert.deepStrictEqual(failures, ['Request failed']);
+    assert.deepStrictEqual(
+        logged.map(([message, error]) => [message, error.message]),
+        [['Component "greeting" failed:', 'Request failed']]
+    );
+});
+
+test('a replacement that fails to render leaves the current instance running', async (t) => {
+    const env = await setup({ '/components/broken.html': '{{#each }}' });
+    t.after(env.close);
+    env.loader.config.errorBoundary = false;
+    env.loader.logger = { error: () => {} };
+
+    const pings = [];
+    const destroyed = [];
+    env.loader.register('greeting', {
+        setup: ({ listen }) =>
+            listen(env.document, 'ping', () => pings.push('ping')),
+        destroy: () => destroyed.push('greeting'),
+    });
+    await env.loader.injectComponent('greeting', '#a', { data: { name: 'a' } });
+
+    await assert.rejects(env.loader.injectComponent('broken', '#a'), {
+        name: 'TemplateError',
+    });
+    env.document.dispatchEvent(new env.window.Event('ping'));
+
+    assert.deepStrictEqual(destroyed, []);
+    assert.deepStrictEqual(pings, ['ping']);
+    assert.ok(env.document.querySelector('#a .greeting'));
+});
+
+test('component styles load once and go into each shadow root', async (t) => {
+    const env = await setup({
+        '/components/badge.html': '<b>{{ label }}</b>',
+        '/css/components/badge.css': 'b { color: green }',
+    });
+    t.after(env.close);
+    env.loader.config.enableShadowDOM = true;
+
+    const inject = (target, label) =>
+        env.loader.injectComponent('badge', target, {
+            shadow: true,
+            styles: true,
+            data: { label },
+        });
+    await Promise.all([inject('#a', 'New'), inject('#b', 'Used')]);
+
+    ['a', 'b'].forEach((id) => {
+        const root = env.document.getElementById(id).shadowRoot;
+        // jsdom lacks adoptedStyleSheets, so each root gets a <style>
+        assert.strictEqual(
+            root.querySelector('style[data-component-style="badge"]')
+                .textContent,
+            'b { color: green }'
+        );
+        assert.ok(root.querySelector('b'));
+    });
+    assert.strictEqual(
+        env.requests.filter((url) => url === '/css/components/badge.css')
+            .length,
+        1
+    );
+    // Nothing leaks into the document
+    assert.strictEqual(
+        env.document.querySelector('head style[data-component-style]'),
+        null
+    );
+
+    // Components without a stylesheet load as before
+    env.document.body.insertAdjacentHTML('beforeend', '<div id="c"></div>');
+    await env.loader.injectComponent('greeting', '#c', {
+        styles: true,
+        data: { name: 'Ada' },
+    });
+    assert.strictEqual(
+        env.document.querySelector('#c .greeting').textContent,
+        'Hello, Ada!'
+    );
+});
+
+test('light DOM styles stop at nested components and reach hydrated hosts', async (t) => {
+    const env = await setup({
+        '/components/outer.html': '<p>outer</p><div id="inner"></div>',
+        '/components/inner.html': '<p>inner</p>',
+        '/css/components/outer.css':
+            'p { color: red } p::before { content: "> " } :host { display: block }',
+    });
+    t.after(env.close);
+    env.loader.config.styles = true;
+
+    await env.loader.injectComponent('outer', '#a');
+    await env.loader.injectComponent('inner', '#inner');
+
+    const [paragraphs, before, host] = Array.from(
+        env.document.querySelector('style[data-component-style="outer"]').sheet
+            .cssRules,
+        (rule) => rule.selectorText
+    );
+    const outer = env.document.querySelector('#a > p');
+    const inner = env.document.querySelector('#inner > p');
+    assert.ok(outer.matches(paragraphs));
+    assert.ok(!inner.matches(paragraphs));
+    assert.match(before, /\)::before$/);
+    assert.ok(env.document.getElementById('a').matches(host));
+
+    // Prerendered markup is hydrated, not rendered, but still styled
+    const prerendered = env.document.getElementById('b');
+    prerendered.innerHTML = '<p>outer</p>';
+    await env.loader.hydrateComponent('outer', prerendered);
+    assert.strictEqual(prerendered.getAttribute('data-ew-scope'), 'outer');
+    assert.ok(prerendered.querySelector('p').matches(paragraphs));
+});
@@ -0,0 +1,566 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createDom, setupLoader, siteFiles } = require('./helpers/dom');
+const { sleep, waitFor, nextEvent } = require('./helpers/wait');
+
+const read = (file) =>
+    fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+
+// The contact-form fixture, set up by the built-in contact-form plugin and
+// posting to /api/contact, which responds with respond(data)
+async function setup(respond = () => ({ body: '{}' }), options = {}) {
+    const posted = [];
+    const env = await createDom({
+        html: '<!DOCTYPE html><body><div id="contact"></div></body>',
+        scripts: ['js/components/form-validation.js'],
+        files: {
+            '/api/contact': (pathname, init) => {
+                const data = JSON.parse(init.body);
+                posted.push(data);
+                return respond(data);
+            },
+        },
+    });
+    const loader = env.window.componentLoader;
+    loader.config.fetchRetries = 0;
+    loader.config.submitRetryDelay = 1;
+
+    await loader.injectComponent('contact-form', '#contact', {
+        endpoint: '/api/contact',
+        retries: 0,
+        ...options,
+    });
+
+    const container = env.document.getElementById('contact');
+    const form = container.querySelector('form');
+    const liveRegion = form.querySelector('[role="alert"]');
+
+    const fill = (values) =>
+        Object.entries(values).forEach(([name, value]) => {
+            form.elements.namedItem(name).value = value;
+        });
+
+    // Submit, then wait for the handler to finish with the form
+    const submit = async () => {
+        const before = liveRegion.textContent;
+        form.dispatchEvent(
+            new env.window.Event('submit', { bubbles: true, cancelable: true })
+        );
+        await waitFor(liveRegion, () => liveRegion.textContent !== before);
+    };
+
+    return {
+        ...env,
+        loader,
+        container,
+        form,
+        liveRegion,
+        posted,
+        fill,
+        submit,
+    };
+}
+
+const VALID = {
+    name: 'Amina',
+    email: 'amina@example.com',
+    message: 'Please collect two old laptops.',
+};
+
+test('FormValidator combines attribute and schema rules with custom messages', async (t) => {
+    const env = await createDom({
+        html:
+            '<!DOCTYPE html><body><form>' +
+            '<input name="email" type="email" required>' +
+            '<input name="confirm" data-match="email" data-msg-match="Emails differ">' +
+            '<input name="age" type="number" min="18">' +
+            '<input type="checkbox" name="items" value="phone">' +
+            '<input type="checkbox" name="items" value="laptop">' +
+            '<input name="code">' +
+            '</form></body>',
+        scripts: ['js/components/form-validation.js'],
+        files: { '/locales/en.json': '{}' },
+    });
+    t.after(env.close);
+
+    const FormValidator = env.global('FormValidator');
+    const form = env.document.querySelector('form');
+    const validator = new FormValidator(
+        form,
+        {
+            items: { required: true, messages: { required: 'Pick an item' } },
+            code: {
+                pattern: '[A-Z]{3}',
+                validate: (value) => value !== 'BAD' || 'Code is taken',
+            },
+        },
+        { translate: (rule) => (rule === 'min' ? 'At least {param}' : null) }
+    );
+
+    form.elements.email.value = 'not-an-email';
+    form.elements.confirm.value = 'other@example.com';
+    form.elements.age.value = '12';
+    form.elements.code.value = 'BAD';
+
+    const messages = async () =>
+        Object.fromEntries(
+            (await validator.validate()).errors.map((error) => [
+                error.name,
+                error.message,
+            ])
+        );
+
+    assert.deepStrictEqual(await messages(), {
+        email: 'Please enter a valid email address',
+        confirm: 'Emails differ',
+        age: 'At least 18',
+        items: 'Pick an item',
+        code: 'Code is taken',
+    });
+
+    form.elements.email.value = ' other@example.com ';
+    form.elements.age.value = '';
+    form.querySelector('[value="laptop"]').checked = true;
+    form.elements.code.value = 'abc';
+    assert.deepStrictEqual(await messages(), {
+        code: 'Please match the requested format',
+    });
+});
+
+test('invalid patterns are ignored and match follows the trim setting', async (t) => {
+    const env = await createDom({
+        html:
+            '<!DOCTYPE html><body><form>' +
+            '<input name="code" pattern="[A-Z">' +
+            '<input name="password">' +
+            '<input name="confirm" data-match="password">' +
+            '</form></body>',
+        scripts: ['js/components/form-validation.js'],
+        files: { '/locales/en.json': '{}' },
+    });
+    t.after(env.close);
+    const warnings = [];
+    env.window.componentLoader.logger = {
+        warn: (...args) => warnings.push(args),
+    };
+
+    const FormValidator = env.global('FormValidator');
+    const form = env.document.querySelector('form');
+    form.elements.code.value = 'anything';
+    form.elements.password.value = 'secret ';
+    form.elements.confirm.value = 'secret';
+
+    const trimmed = new FormValidator(form);
+    assert.strictEqual((await trimmed.validate()).valid, true);
+    await trimmed.validate();
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0][0], /^Ignoring invalid pattern "\[A-Z"/);
+
+    const untrimmed = new FormValidator(form, {}, { trim: false });
+    const { errors } = await untrimmed.validate();
+    assert.deepStrictEqual(
+        Array.from(errors, (error) => error.name),
+        ['confirm']
+    );
+});
+
+test('async results of an older validation are marked stale', async (t) => {
+    const env = await createDom({
+        html: '<!DOCTYPE html><body><form><input name="postcode"></form></body>',
+        scripts: ['js/components/form-validation.js'],
+        files: { '/locales/en.json': '{}' },
+    });
+    t.after(env.close);
+
+    const FormValidator = env.global('FormValidator');
+    const form = env.document.querySelector('form');
+    const field = form.elements.postcode;
+    const validator = new FormValidator(form, {
+        postcode: {
+            validate: async (value) => {
+                await sleep(value === 'slow' ? 30 : 0);
+                return value === 'slow' || 'Outside the pickup area';
+            },
+        },
+    });
+
+    field.value = 'slow';
+    const first = validator.validateField(field);
+    field.value = 'fast';
+    const second = validator.validateField(field);
+
+    assert.strictEqual((await first).stale, true);
+    assert.strictEqual((await second).stale, false);
+    assert.strictEqual((await second).message, 'Outside the pickup area');
+});
+
+test('invalid submissions are not sent and the errors are announced', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    env.fill({ name: 'A', email: 'amina@' });
+    await env.submit();
+
+    assert.deepStrictEqual(env.posted, []);
+    assert.strictEqual(
+        env.liveRegion.textContent,
+        'Form has 3 errors. Please correct them.'
+    );
+
+    const name = env.form.elements.name;
+    assert.strictEqual(env.document.activeElement, name);
+    assert.strictEqual(name.getAttribute('aria-invalid'), 'true');
+    assert.strictEqual(
+        env.document.getElementById(name.getAttribute('aria-describedby'))
+            .textContent,
+        'Please enter at least 2 characters'
+    );
+    // The locale bundle's message for the email rule
+    assert.strictEqual(
+        env.document.getElementById('email-error').textContent,
+        'Enter an email address like name@example.com'
+    );
+
+    // Fixing a field clears its error on blur
+    env.fill({ name: 'Amina' });
+    name.dispatchEvent(new env.window.Event('blur'));
+    await sleep(0);
+    assert.strictEqual(name.hasAttribute('aria-invalid'), false);
+    assert.strictEqual(env.document.getElementById('name-error'), null);
+});
+
+test('valid submissions are posted as JSON and the form is reset', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    env.fill(VALID);
+    await env.submit();
+
+    assert.deepStrictEqual(env.posted, [VALID]);
+    assert.strictEqual(
+        env.liveRegion.textContent,
+        'Form submitted successfully'
+    );
+    assert.strictEqual(
+        env.container.querySelector('.form-message-success').textContent,
+        'Form submitted successfully!'
+    );
+    assert.strictEqual(env.form.elements.name.value, '');
+    assert.strictEqual(env.form.getAttribute('aria-busy'), 'false');
+    assert.strictEqual(env.form.querySelector('button').disabled, false);
+});
+
+test('field errors from the server are shown on their inputs', async (t) => {
+    const env = await setup(() => ({
+        status: 422,
+        body: JSON.stringify({
+            errors: [{ field: 'email', message: 'This address bounced' }],
+        }),
+    }));
+    t.after(env.close);
+
+    env.fill(VALID);
+    await env.submit();
+
+    const email = env.form.elements.email;
+    assert.strictEqual(email.getAttribute('aria-invalid'), 'true');
+    assert.strictEqual(
+        env.document.getElementById('email-error').textContent,
+        'This address bounced'
+    );
+    assert.strictEqual(env.document.activeElement, email);
+    assert.strictEqual(
+        env.liveRegion.textContent,
+        'Form has 1 error. Please correct it.'
+    );
+    assert.strictEqual(env.form.elements.name.value, VALID.name);
+});
+
+test('rejected submissions report a failure without queueing', async (t) => {
+    const env = await setup(() => ({ status: 400 }));
+    t.after(env.close);
+
+    env.fill(VALID);
+    await env.submit();
+
+    assert.strictEqual(
+        env.container.querySelector('.form-message-error').textContent,
+        'Submission failed. Please try again.'
+    );
+    assert.strictEqual(env.loader._readOutbox().length, 0);
+    assert.strictEqual(env.form.elements.name.value, VALID.name);
+});
+
+test('server errors are retried, then queued and replayed once back online', async (t) => {
+    let status = 503;
+    const env = await setup(() => ({ status }), { retries: 1 });
+    t.after(env.close);
+
+    const queued = [];
+    const replayed = [];
+    env.document.addEventListener('form:queued', (event) =>
+        queued.push(event.detail.entry)
+    );
+    env.document.addEventListener('form:replayed', (event) =>
+        replayed.push(event.detail.success)
+    );
+
+    env.fill(VALID);
+    await env.submit();
+
+    assert.strictEqual(env.posted.length, 2);
+    assert.strictEqual(
+        env.liveRegion.textContent,
+        'Submission saved and will be sent when you reconnect'
+    );
+    assert.strictEqual(queued.length, 1);
+    assert.deepStrictEqual(
+        Array.from(env.loader._readOutbox(), (entry) => entry.id),
+        [queued[0].id]
+    );
+    assert.deepStrictEqual({ ...queued[0].data }, VALID);
+
+    status = 200;
+    const replay = nextEvent(env.document, 'form:replayed');
+    env.window.dispatchEvent(new env.window.Event('online'));
+    await replay;
+
+    assert.deepStrictEqual(replayed, [true]);
+    assert.deepStrictEqual(env.posted.slice(-1), [VALID]);
+    assert.strictEqual(env.loader._readOutbox().length, 0);
+});
+
+test('a submission that cannot be queued keeps the form values', async (t) => {
+    const env = await setup(() => ({ status: 503 }), { retries: 0 });
+    t.after(env.close);
+    env.loader.logger = { error: () => {} };
+    env.window.Storage.prototype.setItem = () => {
+        throw new env.window.DOMException(
+            'Quota exceeded',
+            'QuotaExceededError'
+        );
+    };
+
+    env.fill(VALID);
+    await env.submit();
+
+    assert.strictEqual(
+        env.container.querySelector('.form-message-error').textContent,
+        'Submission failed. Please try again.'
+    );
+    assert.strictEqual(env.form.elements.name.value, VALID.name);
+});
+
+test('offline submissions without an endpoint fail instead of queueing', async (t) => {
+    const env = await setup(undefined, { endpoint: undefined });
+    t.after(env.close);
+    Object.defineProperty(env.window.navigator, 'onLine', { value: false });
+
+    env.fill(VALID);
+    await env.submit();
+
+    assert.strictEqual(
+        env.liveRegion.textContent,
+        'Submission failed. Please try again.'
+    );
+    assert.strictEqual(env.loader._readOutbox().length, 0);
+});
+
+test('a response body that does not arrive in time is a timeout', async (t) => {
+    const env = await setup(undefined, { timeout: 20 });
+    t.after(env.close);
+    env.window.fetch = async (url, init) => ({
+        ok: true,
+        status: 200,
+        text: () =>
+            new Promise((resolve, reject) =>
+                init.signal.addEventListener('abort', () => {
+                    const error = new Error('The operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                })
+            ),
+    });
+
+    env.fill(VALID);
+    await env.submit();
+
+    assert.strictEqual(
+        env.liveRegion.textContent,
+        'Submission saved and will be sent when you reconnect'
+    );
+    assert.strictEqual(env.loader._readOutbox().length, 1);
+});
+
+test('submissions queued on an earlier visit are sent on startup', async (t) => {
+    const posted = [];
+    let replayed;
+    const env = await createDom({
+        files: {
+            '/api/contact': (pathname, init) => {
+                posted.push(JSON.parse(init.body));
+                return { body: '{}' };
+            },
+        },
+        prepare(window) {
+            window.localStorage.setItem(
+                'ewaste:form-outbox',
+                JSON.stringify([
+                    { id: '1', endpoint: '/api/contact', data: VALID },
+                ])
+            );
+            replayed = new Promise((resolve) =>
+                window.document.addEventListener('form:replayed', resolve)
+            );
+        },
+    });
+    t.after(env.close);
+
+    const { detail } = await replayed;
+    assert.strictEqual(detail.success, true);
+    assert.deepStrictEqual(posted, [VALID]);
+});
+
+test('the pickup wizard checks each step before moving on', async (t) => {
+    const env = await setupLoader({
+        body: '<div id="wizard"></div>',
+        scripts: [
+            'js/components/form-validation.js',
+            'js/components/pickup-wizard.js',
+        ],
+        site: ['locales/en.json', 'components/pickup-wizard.html'],
+        inject: { name: 'pickup-wizard', target: '#wizard' },
+        status: '[role="alert"]',
+    });
+    t.after(env.close);
+
+    const form = env.root.querySelector('form');
+    const status = () => form.querySelector('[role="alert"]').textContent;
+    const shown = () =>
+        Array.from(
+            form.querySelectorAll('[data-step]:not([hidden])'),
+            (step) => step.dataset.step
+        );
+    const click = async (selector) => {
+        const done = env.updated();
+        form.querySelector(selector).click();
+        await done;
+    };
+
+    assert.deepStrictEqual(shown(), ['items']);
+    assert.strictEqual(form.querySelector('[data-wizard-back]').hidden, true);
+
+    await click('[data-wizard-next]');
+    assert.deepStrictEqual(shown(), ['items']);
+    assert.strictEqual(status(), 'This step has 1 error. Please correct it.');
+    assert.strictEqual(env.document.activeElement, form.elements.items[0]);
+
+    form.querySelector('[name="items"][value="laptops"]').click();
+    await click('[data-wizard-next]');
+    assert.deepStrictEqual(shown(), ['condition']);
+    assert.match(status(), /^Step 2 of 5: /);
+    assert.strictEqual(
+        env.root
+            .querySelector('[data-step-indicator][aria-current="step"]')
+            .textContent.trim(),
+        'Condition'
+    );
+    // Progress survives a reload
+    const saved = JSON.parse(
+        env.window.sessionStorage.getItem('ewaste:pickup-wizard')
+    );
+    assert.strictEqual(saved.step, 1);
+    assert.deepStrictEqual(saved.values.items, ['laptops']);
+
+    await click('[data-wizard-back]');
+    assert.deepStrictEqual(shown(), ['items']);
+    assert.ok(form.querySelector('[value="laptops"]').checked);
+});
+
+test('a pickup wizard step that fails to render is announced', async (t) => {
+    const env = await createDom({
+        html: '<!DOCTYPE html><body><div id="wizard"></div></body>',
+        scripts: [
+            'js/components/form-validation.js',
+            'js/components/pickup-wizard.js',
+        ],
+        files: {
+            '/locales/en.json': read('locales/en.json'),
+            '/components/pickup-wizard.html': read(
+                'components/pickup-wizard.html'
+            ),
+            '/components/pickup-summary.html': { status: 404 },
+        },
+        prepare(window) {
+            // Saved progress resumes on the review step
+            window.sessionStorage.setItem(
+                'ewaste:pickup-wizard',
+                JSON.stringify({ step: 4, values: {} })
+            );
+        },
+    });
+    t.after(env.close);
+    const loader = env.window.componentLoader;
+    loader.config.fetchRetries = 0;
+    loader.config.errorBoundary = false;
+    const logged = [];
+    loader.logger = {
+        ...env.window.console,
+        error: (...args) => logged.push(args),
+    };
+
+    await loader.injectComponent('pickup-wizard', '#wizard');
+    const alert = env.document.querySelector('#wizard [role="alert"]');
+    await waitFor(
+        alert,
+        () =>
+            alert.textContent ===
+            'Something went wrong on this step. Please try again.'
+    );
+    assert.ok(
+        logged.some(
+            ([message]) => message === 'Component "pickup-wizard" failed:'
+        )
+    );
+});
+
+test('the contact page mounts the pickup wizard with its endpoint', async (t) => {
+    let mounted;
+    const env = await createDom({
+        html: read('contact.html'),
+        scripts: [
+            'js/components/form-validation.js',
+            'js/components/pickup-wizard.js',
+        ],
+        files: siteFiles(
+            'locales/en.json',
+            'components/header.html',
+            'components/navigation.html',
+            'components/footer.html',
+            'components/pages/contact.html',
+            'components/pickup-wizard.html',
+            'components/locator.html'
+        ),
+        prepare(window) {
+            // The page's other components report in as well
+            mounted = new Promise((resolve) =>
+                window.document.addEventListener('component:loaded', (e) => {
+                    if (e.detail.componentName === 'pickup-wizard') resolve(e);
+                })
+            );
+        },
+    });
+    t.after(env.close);
+
+    const { detail } = await mounted;
+    const { context } = env.window.componentLoader.lifecycles.get(
+        detail.instanceKey
+    );
+    assert.strictEqual(
+        context.state.wizard.options.endpoint,
+        '/api/pickup-requests'
+    );
+    assert.ok(env.document.querySelector('#pickup form [data-step]'));
+});
@@ -0,0 +1,205 @@
+// Loads js/components/utils.js (an ES module, hence node
+// --experimental-vm-modules) and the given classic scripts into a jsdom window.
+// fetch is served from an in-memory map of URL paths to response bodies, then
+// from test/fixtures.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { nextChange } = require('./wait');
+
+const ROOT = path.resolve(__dirname, '../..');
+const FIXTURES = path.resolve(__dirname, '../fixtures');
+
+function readFixture(pathname) {
+    const file = path.join(FIXTURES, pathname);
+    if (!file.startsWith(FIXTURES) || !fs.existsSync(file)) return null;
+    return fs.statSync(file).isFile() ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// files: e.g. { '/components/card.html': '<p>{{ x }}</p>' }. A function body
+// is called per request; { body, delay, status } objects control the response.
+// global: false leaves window.componentLoader uninstalled; env.module has
+// the exports either way. prepare(window) runs before any script.
+async function createDom({
+    html = '<!DOCTYPE html><html lang="en"><body></body></html>',
+    scripts = [],
+    files = {},
+    global = true,
+    prepare = () => {},
+} = {}) {
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+    });
+    const { window } = dom;
+    const requests = [];
+
+    window.fetch = async (input, init = {}) => {
+        const { pathname } = new URL(String(input), window.location.href);
+        requests.push(pathname);
+
+        let entry = files[pathname] ?? readFixture(pathname);
+        if (typeof entry === 'function') entry = entry(pathname, init);
+        if (typeof entry === 'string') entry = { body: entry };
+        if (!entry) entry = { status: 404 };
+
+        if (entry.delay) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, entry.delay);
+                init.signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    const error = new Error('The operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            });
+        }
+
+        const status = entry.status || 200;
+        const body = entry.body || '';
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: status === 404 ? 'Not Found' : 'OK',
+            text: async () => body,
+            json: async () => JSON.parse(body),
+            clone() {
+                return this;
+            },
+        };
+    };
+
+    prepare(window);
+
+    const context = dom.getInternalVMContext();
+    const utils = new vm.SourceTextModule(
+        fs.readFileSync(path.join(ROOT, 'js/components/utils.js'), 'utf8'),
+        { context, identifier: 'js/components/utils.js' }
+    );
+    await utils.link(() => {
+        throw new Error('utils.js is not expected to import anything');
+    });
+    await utils.evaluate();
+    if (global) utils.namespace.installGlobal();
+
+    scripts.forEach((file) => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        new vm.Script(source, { filename: file }).runInContext(context);
+    });
+
+    // Other ES modules of the site; their imports of utils.js get the one above
+    const importModule = async (file) => {
+        const module = new vm.SourceTextModule(
+            fs.readFileSync(path.join(ROOT, file), 'utf8'),
+            { context, identifier: file }
+        );
+        await module.link((specifier) => {
+            if (specifier === './utils.js') return utils;
+            throw new Error(`Unexpected import "${specifier}" in ${file}`);
+        });
+        await module.evaluate();
+        return module.namespace;
+    };
+
+    return {
+        window,
+        document: window.document,
+        requests,
+        module: utils.namespace,
+        importModule,
+        // Classic-script globals such as class declarations are not window properties
+        global: (name) => new vm.Script(name).runInContext(context),
+        close: () => window.close(),
+    };
+}
+
+// Files of the site served at their URL paths, e.g. siteFiles('locales/en.json')
+// is { '/locales/en.json': <its content> }
+function siteFiles(...files) {
+    return Object.fromEntries(
+        files.map((file) => [
+            `/${file}`,
+            fs.readFileSync(path.join(ROOT, file), 'utf8'),
+        ])
+    );
+}
+
+// A page with the global loader and fetch retries off, so failures surface at
+// once. body is the page's <body> markup; other options are createDom's, plus:
+// - site: files of the site to serve (see siteFiles), e.g. 'locales/en.json'
+// - url: the page's location while its scripts run
+// - logger: stands in for the console in the loader's reports
+// - inject: { name, target, options } is injected once the locale has loaded;
+//   env.root is then the target
+// - status: selector of the region inside root that the component rewrites
+//   once it has settled. env.updated() resolves on its next change; submit and
+//   toggle dispatch a form's submit or a checkbox's change and wait for it.
+async function setupLoader({
+    body = '',
+    html = `<!DOCTYPE html><body>${body}</body>`,
+    site = [],
+    files = {},
+    url,
+    logger,
+    inject,
+    status,
+    prepare = () => {},
+    ...options
+} = {}) {
+    let localized;
+    const env = await createDom({
+        html,
+        files: { ...siteFiles(...site), ...files },
+        prepare(window) {
+            if (url) window.history.replaceState(null, '', url);
+            localized = new Promise((resolve) =>
+                window.document.addEventListener('locale:changed', resolve)
+            );
+            prepare(window);
+        },
+        ...options,
+    });
+    const loader = env.window.componentLoader;
+    loader.config.fetchRetries = 0;
+    if (logger) loader.logger = logger;
+    if (!inject) return { ...env, loader };
+
+    await localized;
+    await loader.injectComponent(inject.name, inject.target, inject.options);
+    const root = loader._resolveTarget(inject.target);
+
+    const updated = () => nextChange(root.querySelector(status));
+    const settle = async (action) => {
+        const done = updated();
+        action();
+        await done;
+    };
+    // fields sets form controls by name before submitting
+    const submit = (selector, fields = {}) =>
+        settle(() => {
+            const form = root.querySelector(selector);
+            Object.entries(fields).forEach(([name, value]) => {
+                form.elements[name].value = String(value);
+            });
+            form.dispatchEvent(
+                new env.window.Event('submit', {
+                    bubbles: true,
+                    cancelable: true,
+                })
+            );
+        });
+    const toggle = (selector) =>
+        settle(() => {
+            const box = root.querySelector(selector);
+            box.checked = !box.checked;
+            box.dispatchEvent(
+                new env.window.Event('change', { bubbles: true })
+            );
+        });
+
+    return { ...env, loader, root, updated, submit, toggle };
+}
+
+module.exports = { createDom, setupLoader, siteFiles };
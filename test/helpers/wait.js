@@ -0,0 +1,52 @@
+// Waiting on what the page does rather than on fixed delays. Each wait fails
+// after timeout ms instead of hanging the suite.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves on the next change to element or its subtree (content, text or
+// attributes), e.g. a status region a component rewrites once it has updated
+function nextChange(element, timeout = 1000) {
+    const { MutationObserver } = element.ownerDocument.defaultView;
+
+    return new Promise((resolve, reject) => {
+        const observer = new MutationObserver(() => {
+            clearTimeout(timer);
+            observer.disconnect();
+            resolve();
+        });
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            reject(new Error(`<${element.localName}> did not change`));
+        }, timeout);
+        observer.observe(element, {
+            subtree: true,
+            childList: true,
+            characterData: true,
+            attributes: true,
+        });
+    });
+}
+
+// Resolves once check() holds, checking again whenever element changes
+async function waitFor(element, check, timeout = 1000) {
+    while (!check()) await nextChange(element, timeout);
+}
+
+// Resolves with the next type event on target that matches
+function nextEvent(target, type, matches = () => true, timeout = 1000) {
+    return new Promise((resolve, reject) => {
+        const listener = (event) => {
+            if (!matches(event)) return;
+            clearTimeout(timer);
+            target.removeEventListener(type, listener);
+            resolve(event);
+        };
+        const timer = setTimeout(() => {
+            target.removeEventListener(type, listener);
+            reject(new Error(`No ${type} event`));
+        }, timeout);
+        target.addEventListener(type, listener);
+    });
+}
+
+module.exports = { sleep, nextChange, waitFor, nextEvent };
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader, siteFiles } = require('./helpers/dom');
+const { nextEvent, waitFor } = require('./helpers/wait');
+
+const LOCALES = siteFiles(
+    'locales/en.json',
+    'locales/sw.json',
+    'locales/lg.json'
+);
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Dotted paths of every message in a bundle; plural forms count as one
+function messageKeys(bundle, prefix = '') {
+    return Object.entries(bundle).flatMap(([key, value]) =>
+        typeof value === 'object' &&
+        !Object.keys(value).every((name) => PLURAL_CATEGORIES.includes(name))
+            ? messageKeys(value, `${prefix}${key}.`)
+            : [`${prefix}${key}`]
+    );
+}
+
+test('English and Swahili are complete; Luganda only translates known keys', () => {
+    const [en, sw, lg] = Object.values(LOCALES).map((body) =>
+        messageKeys(JSON.parse(body))
+    );
+
+    assert.deepStrictEqual([...sw].sort(), [...en].sort());
+    assert.ok(lg.length > 0);
+    assert.deepStrictEqual(
+        lg.filter((key) => !en.includes(key)),
+        []
+    );
+});
+
+test('templates translate with parameters and plurals and follow the language', async (t) => {
+    const env = await setupLoader({
+        body: '<div id="cart"></div>',
+        files: {
+            '/components/cart.html':
+                "<h2>{{t 'cart.title' name=name}}</h2>" +
+                "<p>{{t 'cart.items' count=count}}</p><span>{{number total}}</span>",
+            '/locales/en.json': JSON.stringify({
+                cart: {
+                    title: "{name}'s cart",
+                    items: { one: '{count} item', other: '{count} items' },
+                },
+            }),
+            '/locales/sw.json': JSON.stringify({
+                cart: {
+                    title: 'Kikapu cha {name}',
+                    items: { one: 'kifaa {count}', other: 'vifaa {count}' },
+                },
+            }),
+        },
+    });
+    t.after(env.close);
+
+    const handle = await env.loader.injectComponent('cart', '#cart', {
+        data: { name: 'Amina', count: 1, total: 1234.5 },
+    });
+    const cart = env.document.getElementById('cart');
+    const heading = cart.querySelector('h2');
+    const text = () => Array.from(cart.children, (child) => child.textContent);
+    assert.deepStrictEqual(text(), ["Amina's cart", '1 item', '1,234.5']);
+
+    await handle.update({ count: 1200 });
+    assert.deepStrictEqual(text(), ["Amina's cart", '1,200 items', '1,234.5']);
+
+    // Switching language re-renders in place
+    await env.loader.setLocale('sw');
+    assert.strictEqual(cart.querySelector('h2'), heading);
+    const sw = new Intl.NumberFormat('sw');
+    assert.deepStrictEqual(text(), [
+        'Kikapu cha Amina',
+        `vifaa ${sw.format(1200)}`,
+        sw.format(1234.5),
+    ]);
+    assert.strictEqual(env.window.localStorage.getItem('ewaste:locale'), 'sw');
+});
+
+test('keys missing from the Luganda bundle fall back to English', async (t) => {
+    const env = await setupLoader({ files: LOCALES });
+    t.after(env.close);
+
+    await env.loader.setLocale('lg');
+
+    assert.strictEqual(env.document.documentElement.lang, 'lg');
+    assert.strictEqual(
+        env.loader.t('pickup.title'),
+        "Saba tukunonere kasasiro w'ebyuma"
+    );
+    assert.strictEqual(env.loader.t('research.title'), 'Research');
+    assert.strictEqual(
+        env.loader.t('form.errors', { count: 2 }),
+        'Foomu erina ensobi 2. Zitereeze.'
+    );
+});
+
+test('the footer language picker switches the page and follows changes', async (t) => {
+    const env = await setupLoader({
+        body: '<footer data-component="footer"></footer>',
+        scripts: ['js/main.js'],
+        files: {
+            ...LOCALES,
+            ...siteFiles('components/footer.html'),
+        },
+    });
+    t.after(env.close);
+
+    const footer = env.document.querySelector('footer');
+    const select = () => footer.querySelector('select[data-locale-switcher]');
+    await waitFor(footer, () => select());
+    assert.deepStrictEqual(
+        Array.from(select().options, (option) => option.value),
+        ['en', 'sw', 'lg']
+    );
+    assert.strictEqual(select().value, 'en');
+
+    const changed = nextEvent(env.document, 'locale:changed');
+    select().value = 'sw';
+    select().dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    await changed;
+    assert.match(footer.textContent, /Lugha/);
+
+    // Switching from elsewhere updates the picker
+    await env.loader.setLocale('lg');
+    assert.strictEqual(select().value, 'lg');
+    assert.match(footer.textContent, /Language/);
+});
@@ -0,0 +1,270 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+
+const FACTORS = {
+    version: 'test-1',
+    updated: '2026-01-01',
+    materials: ['copper', 'gold', 'plastics'],
+    hazardous: ['lead', 'mercury'],
+    devices: [
+        {
+            id: 'phone',
+            unit: 'device',
+            pickupCategory: 'phones',
+            weightKg: 0.2,
+            co2eKg: 2,
+            materials: { copper: 10, gold: 0.03, plastics: 50 },
+            hazardous: { lead: 0.5, mercury: 0 },
+        },
+        {
+            id: 'laptop',
+            unit: 'device',
+            pickupCategory: 'laptops',
+            weightKg: 2,
+            co2eKg: 20,
+            materials: { copper: 150, gold: 0.2, plastics: 700 },
+            hazardous: { lead: 3, mercury: 0.1 },
+        },
+        {
+            id: 'batteries',
+            unit: 'kg',
+            pickupCategory: 'batteries',
+            weightKg: 1,
+            co2eKg: 4,
+            materials: { copper: 80, plastics: 150 },
+            hazardous: { lead: 200, mercury: 0.5 },
+        },
+    ],
+};
+
+// The calculator (and, with wizard, the pickup wizard's scripts) with the real
+// templates and English bundle, at url; prepare(window) runs before any script
+async function setup({ url = '/', wizard = false, prepare } = {}) {
+    const env = await setupLoader({
+        body: '<div id="calculator"></div><div id="wizard"></div>',
+        scripts: [
+            ...(wizard
+                ? [
+                      'js/components/form-validation.js',
+                      'js/components/pickup-wizard.js',
+                  ]
+                : []),
+            'js/components/impact-calculator.js',
+        ],
+        site: [
+            'locales/en.json',
+            'components/impact-calculator.html',
+            'components/impact-results.html',
+            'components/pickup-wizard.html',
+            'components/pickup-summary.html',
+        ],
+        files: { '/data/impact-factors.json': JSON.stringify(FACTORS) },
+        url,
+        prepare,
+        inject: { name: 'impact-calculator', target: '#calculator' },
+        status: '[data-impact-status]',
+    });
+
+    const add = (device, quantity) =>
+        env.submit('[data-impact-add]', { device, quantity });
+    const text = (selector) =>
+        Array.from(env.root.querySelectorAll(selector), (node) =>
+            node.textContent.trim()
+        );
+
+    return { ...env, add, text };
+}
+
+test('listed devices add up to materials, CO2e and hazardous substances', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    assert.match(env.text('.impact-empty')[0], /^Add devices/);
+    assert.strictEqual(
+        env.root.querySelector('[data-impact-share]').disabled,
+        true
+    );
+    assert.strictEqual(
+        env.root.querySelector('[data-impact-pickup]').hidden,
+        true
+    );
+    assert.deepStrictEqual(env.text('#impact-device option'), [
+        'Mobile phone',
+        'Laptop',
+        'Batteries (kg)',
+    ]);
+
+    await env.add('phone', 3);
+    await env.add('laptop', 1);
+    await env.add('phone', 2);
+
+    assert.deepStrictEqual(env.text('.impact-devices label'), [
+        'Mobile phone',
+        'Laptop',
+    ]);
+    assert.deepStrictEqual(
+        Array.from(
+            env.root.querySelectorAll('.impact-devices input'),
+            (input) => input.value
+        ),
+        ['5', '1']
+    );
+    assert.deepStrictEqual(env.text('.impact-summary'), [
+        '6 items, about 3 kg',
+    ]);
+    assert.deepStrictEqual(env.text('.impact-headline dd'), ['30 kg', '5.6 g']);
+    assert.deepStrictEqual(
+        Array.from(
+            env.root.querySelectorAll('.impact-materials tbody tr'),
+            (row) => [row.cells[0].textContent, row.cells[1].textContent]
+        ),
+        [
+            ['Copper', '200 g'],
+            ['Gold', '350 mg'],
+            ['Plastics', '950 g'],
+        ]
+    );
+    assert.deepStrictEqual(env.text('.impact-hazardous li'), [
+        'Lead: 5.5 g',
+        'Mercury: 100 mg',
+    ]);
+    assert.match(
+        env.text('.impact-note')[0],
+        /^Estimates from impact factors version test-1 \(updated 2026-01-01\)/
+    );
+    assert.strictEqual(
+        env.window.location.search,
+        '?devices=phone.5&devices=laptop.1'
+    );
+
+    const laptop = env.root.querySelector('[data-impact-quantity="laptop"]');
+    laptop.value = '4';
+    let done = env.updated();
+    laptop.dispatchEvent(new env.window.Event('input', { bubbles: true }));
+    await done;
+    assert.deepStrictEqual(env.text('.impact-headline dd'), ['90 kg', '15 g']);
+    assert.strictEqual(
+        env.text('[data-impact-status]')[0],
+        'Estimate updated: 90 kg CO₂e avoided'
+    );
+
+    done = env.updated();
+    env.root.querySelector('[data-impact-remove="phone"]').click();
+    await done;
+    assert.deepStrictEqual(env.text('.impact-devices label'), ['Laptop']);
+    assert.strictEqual(
+        env.document.activeElement,
+        env.root.querySelector('[data-impact-remove="laptop"]')
+    );
+    assert.strictEqual(env.window.location.search, '?devices=laptop.4');
+});
+
+test('a shared link restores the devices; results can be copied and printed', async (t) => {
+    const copied = [];
+    const printed = [];
+    const env = await setup({
+        url: '/?devices=batteries.2&devices=bogus.3&devices=phone.0#impact',
+        prepare(window) {
+            Object.defineProperty(window.navigator, 'clipboard', {
+                value: { writeText: async (text) => copied.push(text) },
+            });
+            window.print = () =>
+                printed.push(window.document.documentElement.className);
+        },
+    });
+    t.after(env.close);
+
+    assert.deepStrictEqual(env.text('.impact-devices label'), [
+        'Batteries (kg)',
+    ]);
+    assert.deepStrictEqual(env.text('.impact-summary'), [
+        '2 items, about 2 kg',
+    ]);
+    assert.strictEqual(
+        env.window.location.href,
+        'http://localhost/?devices=batteries.2#impact'
+    );
+
+    const done = env.updated();
+    env.root.querySelector('[data-impact-share]').click();
+    await done;
+    assert.deepStrictEqual(copied, [
+        'http://localhost/?devices=batteries.2#impact',
+    ]);
+    assert.strictEqual(
+        env.text('[data-impact-status]')[0],
+        'Link to these results copied'
+    );
+
+    env.root.querySelector('[data-impact-print]').click();
+    assert.deepStrictEqual(printed, ['impact-printing']);
+    env.window.dispatchEvent(new env.window.Event('afterprint'));
+    assert.strictEqual(env.document.documentElement.className, '');
+});
+
+test('a pickup request prefills the wizard on the same page', async (t) => {
+    const env = await setup({ wizard: true });
+    t.after(env.close);
+
+    await env.loader.injectComponent('pickup-wizard', '#wizard');
+    await env.add('phone', 2);
+    await env.add('laptop', 1);
+    await env.add('batteries', 3);
+
+    const link = env.root.querySelector('[data-impact-pickup]');
+    assert.strictEqual(link.hidden, false);
+    const click = new env.window.MouseEvent('click', {
+        bubbles: true,
+        cancelable: true,
+    });
+    link.dispatchEvent(click);
+
+    assert.strictEqual(click.defaultPrevented, true);
+    const form = env.document.querySelector('#wizard form');
+    assert.deepStrictEqual(
+        Array.from(
+            form.querySelectorAll('[name="items"]:checked'),
+            (input) => input.value
+        ),
+        ['phones', 'laptops', 'batteries']
+    );
+    assert.strictEqual(form.elements['quantity-phones'].value, '2');
+    assert.strictEqual(form.elements['quantity-batteries'].value, '3');
+    assert.strictEqual(
+        form.elements.notes.value,
+        'From the impact calculator: 2 × Mobile phone, 1 × Laptop, 3 × Batteries (kg)'
+    );
+    assert.strictEqual(
+        env.window.sessionStorage.getItem('ewaste:pickup-prefill'),
+        null
+    );
+});
+
+test('a pickup request is handed to the wizard on the next page', async (t) => {
+    const env = await setup({ wizard: true, url: '/?devices=laptop.60' });
+    t.after(env.close);
+
+    // Stand in for following the link
+    let followed = null;
+    env.document.addEventListener('click', (e) => {
+        if (!e.defaultPrevented) followed = e.target.getAttribute('href');
+        e.preventDefault();
+    });
+    env.root.querySelector('[data-impact-pickup]').click();
+    assert.strictEqual(followed, 'contact.html#pickup');
+
+    await env.loader.injectComponent('pickup-wizard', '#wizard');
+    const form = env.document.querySelector('#wizard form');
+    assert.strictEqual(form.querySelector('[value="laptops"]').checked, true);
+    // Quantities are capped at the wizard's maximum; the notes keep the full count
+    assert.strictEqual(form.elements['quantity-laptops'].value, '50');
+    assert.strictEqual(
+        form.elements.notes.value,
+        'From the impact calculator: 60 × Laptop'
+    );
+    assert.strictEqual(
+        env.window.sessionStorage.getItem('ewaste:pickup-prefill'),
+        null
+    );
+});
@@ -0,0 +1,257 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+const { sleep } = require('./helpers/wait');
+
+const setup = (files) =>
+    setupLoader({
+        body: '<div id="a"></div><div id="b"></div>',
+        files: { '/locales/en.json': '{}', ...files },
+    });
+
+test('overlapping injections into different targets both complete', async (t) => {
+    const env = await setup({
+        '/components/slow.html': { body: '<p>slow</p>', delay: 40 },
+        '/components/fast.html': { body: '<p>fast</p>', delay: 5 },
+    });
+    t.after(env.close);
+
+    const results = await Promise.race([
+        Promise.all([
+            env.loader.injectComponent('slow', '#a'),
+            env.loader.injectComponent('fast', '#b'),
+        ]),
+        sleep(1000).then(() => 'timed out'),
+    ]);
+
+    assert.notStrictEqual(results, 'timed out');
+    assert.strictEqual(
+        env.document.getElementById('a').innerHTML,
+        '<p>slow</p>'
+    );
+    assert.strictEqual(
+        env.document.getElementById('b').innerHTML,
+        '<p>fast</p>'
+    );
+    assert.strictEqual(env.loader.injectionLocks.size, 0);
+});
+
+test('loadPageComponents resolves with overlapping loads', async (t) => {
+    const env = await setup({
+        '/components/one.html': { body: '<p>1</p>', delay: 30 },
+        '/components/two.html': { body: '<p>2</p>', delay: 10 },
+    });
+    t.after(env.close);
+
+    await Promise.race([
+        env.loader.loadPageComponents({ one: '#a', two: '#b' }),
+        sleep(1000).then(() => assert.fail('loadPageComponents hung')),
+    ]);
+
+    assert.strictEqual(env.document.getElementById('a').textContent, '1');
+    assert.strictEqual(env.document.getElementById('b').textContent, '2');
+});
+
+test('a newer injection to the same target supersedes a pending one', async (t) => {
+    const env = await setup({
+        '/components/old.html': { body: '<p>old</p>', delay: 40 },
+        '/components/new.html': { body: '<p>new</p>', delay: 5 },
+    });
+    t.after(env.close);
+
+    const target = env.document.getElementById('a');
+    const rendered = [];
+    target.addEventListener('component:loaded', (event) =>
+        rendered.push(event.detail.componentName)
+    );
+
+    const older = env.loader.injectComponent('old', target);
+    const newer = env.loader.injectComponent('new', target);
+
+    await assert.rejects(older, { name: 'InjectionCancelledError' });
+    await newer;
+
+    assert.strictEqual(target.innerHTML, '<p>new</p>');
+    assert.deepStrictEqual(rendered, ['new']);
+});
+
+test('the latest of several queued injections wins', async (t) => {
+    const env = await setup({
+        '/components/card.html': { body: '<p>{{ n }}</p>', delay: 10 },
+    });
+    t.after(env.close);
+
+    const calls = [1, 2, 3].map((n) =>
+        env.loader.injectComponent('card', '#a', { data: { n } })
+    );
+    const outcomes = await Promise.allSettled(calls);
+
+    assert.deepStrictEqual(
+        outcomes.map((outcome) => outcome.status),
+        ['rejected', 'rejected', 'fulfilled']
+    );
+    assert.strictEqual(env.document.getElementById('a').innerHTML, '<p>3</p>');
+});
+
+test('appended injections are queued, not superseded', async (t) => {
+    const env = await setup({
+        '/components/row.html': { body: '<p>{{ n }}</p>', delay: 5 },
+    });
+    t.after(env.close);
+
+    await Promise.all(
+        [1, 2, 3].map((n) =>
+            env.loader.injectComponent('row', '#a', {
+                data: { n },
+                append: true,
+            })
+        )
+    );
+
+    assert.strictEqual(
+        env.document.getElementById('a').innerHTML,
+        '<p>1</p><p>2</p><p>3</p>'
+    );
+});
+
+test('an aborted signal cancels a pending injection', async (t) => {
+    const env = await setup({
+        '/components/card.html': { body: '<p>card</p>', delay: 20 },
+    });
+    t.after(env.close);
+
+    const controller = new env.window.AbortController();
+    const pending = env.loader.injectComponent('card', '#a', {
+        signal: controller.signal,
+    });
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'InjectionCancelledError' });
+    assert.strictEqual(env.document.getElementById('a').innerHTML, '');
+});
+
+test('releasing one lock does not release another key', async (t) => {
+    const env = await setup({});
+    t.after(env.close);
+
+    const releaseA = await env.loader._acquireLock('a');
+    await env.loader._acquireLock('b');
+
+    let acquiredB = false;
+    env.loader._acquireLock('b').then(() => {
+        acquiredB = true;
+    });
+
+    releaseA();
+    releaseA(); // Releasing twice is a no-op
+    await sleep(10);
+
+    assert.strictEqual(acquiredB, false);
+    assert.ok(!env.loader.injectionLocks.has('a'));
+});
+
+test('holders of one lock run one at a time in call order', async (t) => {
+    const env = await setup({});
+    t.after(env.close);
+
+    const log = [];
+    const hold = (name, ms) =>
+        env.loader._acquireLock('a').then(async (release) => {
+            log.push(`${name} in`);
+            await sleep(ms);
+            log.push(`${name} out`);
+            release();
+        });
+
+    await Promise.all([hold('first', 20), hold('second', 0), hold('third', 5)]);
+
+    assert.deepStrictEqual(log, [
+        'first in',
+        'first out',
+        'second in',
+        'second out',
+        'third in',
+        'third out',
+    ]);
+    assert.strictEqual(env.loader.injectionLocks.size, 0);
+});
+
+test('updates wait for an in-flight injection to the same target', async (t) => {
+    const env = await setup({
+        '/components/card.html': '<p>{{ n }}</p>',
+        '/components/slow.html': { body: '<i>slow</i>', delay: 30 },
+    });
+    t.after(env.close);
+
+    const handle = await env.loader.injectComponent('card', '#a', {
+        data: { n: 1 },
+    });
+    const injection = env.loader.injectComponent('slow', '#a');
+    const update = handle.update({ n: 2 });
+
+    await injection;
+    // The card instance was torn down by the time the update could run
+    await assert.rejects(update, /no longer mounted/);
+    assert.strictEqual(
+        env.document.getElementById('a').innerHTML,
+        '<i>slow</i>'
+    );
+});
+
+test('a fallback does not overwrite a newer injection', async (t) => {
+    const env = await setup({
+        '/components/card.html': '<p>card</p>',
+        '/components/broken.html': { status: 404 },
+        '/components/new.html': '<p>new</p>',
+    });
+    t.after(env.close);
+    env.window.console.error = () => {};
+
+    // The placeholder waits for the card's slow teardown
+    env.loader.register('card', { destroy: () => sleep(30) });
+    await env.loader.injectComponent('card', '#a');
+
+    const failing = env.loader.injectComponent('broken', '#a');
+    await sleep(10);
+    const newer = env.loader.injectComponent('new', '#a');
+
+    await assert.rejects(failing, { name: 'ComponentLoadError' });
+    await newer;
+    assert.strictEqual(
+        env.document.getElementById('a').innerHTML,
+        '<p>new</p>'
+    );
+});
+
+test('hooks may update and inject into their own element', async (t) => {
+    const env = await setup({
+        '/components/card.html': '<p>{{ n }}</p>',
+        '/components/row.html': '<i>{{ n }}</i>',
+    });
+    t.after(env.close);
+
+    const inject = (context, n) =>
+        context.loader.injectComponent('row', context.element, {
+            data: { n },
+            append: true,
+        });
+    env.loader.register('card', {
+        setup: (context) => inject(context, 'setup'),
+        mounted: (context) => inject(context, 'mounted'),
+        updated: (context) => inject(context, 'updated'),
+    });
+
+    const handle = await Promise.race([
+        env.loader.injectComponent('card', '#a', { data: { n: 1 } }),
+        sleep(1000).then(() => assert.fail('injectComponent deadlocked')),
+    ]);
+    await Promise.race([
+        handle.update({ n: 2 }),
+        sleep(1000).then(() => assert.fail('update deadlocked')),
+    ]);
+
+    assert.strictEqual(
+        env.document.getElementById('a').innerHTML,
+        '<p>2</p><i>setup</i><i>mounted</i><i>updated</i>'
+    );
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+
+const setup = (
+    files,
+    body = '<main id="main"></main><footer id="footer"></footer>'
+) => setupLoader({ body, files: { '/locales/en.json': '{}', ...files } });
+
+test('dependencies load before their dependents', async (t) => {
+    const env = await setup({
+        '/components/main.html': { body: '<p>main</p>', delay: 30 },
+        '/components/footer.html': '<p>footer</p>',
+    });
+    t.after(env.close);
+
+    const report = await env.loader.loadPageComponents({
+        footer: { target: '#footer', dependsOn: 'main' },
+        main: '#main',
+    });
+
+    assert.deepStrictEqual(env.requests.slice(-2), [
+        '/components/main.html',
+        '/components/footer.html',
+    ]);
+    assert.strictEqual(report.main.status, 'loaded');
+    assert.strictEqual(report.footer.status, 'loaded');
+    assert.strictEqual(env.loader.initialized, true);
+});
+
+test('higher priorities load first', async (t) => {
+    const env = await setup({
+        '/components/main.html': { body: '<p>main</p>', delay: 20 },
+        '/components/footer.html': '<p>footer</p>',
+    });
+    t.after(env.close);
+
+    const progress = [];
+    await env.loader.loadPageComponents(
+        {
+            footer: { target: '#footer', priority: -1 },
+            main: { target: '#main', priority: 1 },
+        },
+        (completed, total, name) => progress.push([completed, total, name])
+    );
+
+    assert.deepStrictEqual(progress, [
+        [1, 2, 'main'],
+        [2, 2, 'footer'],
+    ]);
+});
+
+test('failures are reported and skip dependents', async (t) => {
+    const env = await setup({
+        '/components/footer.html': '<p>footer</p>',
+    });
+    t.after(env.close);
+
+    let ready;
+    env.document.addEventListener('components:ready', (event) => {
+        ready = event.detail;
+    });
+    await env.loader.loadPageComponents({
+        main: '#main',
+        footer: { target: '#footer', dependsOn: ['main'] },
+    });
+
+    // The global loader renders an error placeholder in place of main
+    assert.strictEqual(ready.report.main.status, 'fallback');
+    assert.strictEqual(ready.report.footer.status, 'skipped');
+    assert.ok(ready.report.footer.duration >= 0);
+    assert.deepStrictEqual([...ready.failed], ['main', 'footer']);
+    assert.ok(!env.requests.includes('/components/footer.html'));
+    assert.strictEqual(env.loader.initialized, false);
+});
+
+test('failures without a fallback carry their error', async (t) => {
+    const env = await setup({});
+    t.after(env.close);
+    env.loader.config.errorBoundary = false;
+
+    const report = await env.loader.loadPageComponents({ main: '#main' });
+
+    assert.strictEqual(report.main.status, 'failed');
+    assert.strictEqual(report.main.error.name, 'ComponentLoadError');
+    assert.strictEqual(env.loader.initialized, false);
+});
+
+test('unknown and circular dependencies are rejected', async (t) => {
+    const env = await setup({});
+    t.after(env.close);
+
+    await assert.rejects(
+        env.loader.loadPageComponents({
+            footer: { target: '#footer', dependsOn: 'sidebar' },
+        }),
+        /depends on "sidebar"/
+    );
+    await assert.rejects(
+        env.loader.loadPageComponents({
+            main: { target: '#main', dependsOn: 'footer' },
+            footer: { target: '#footer', dependsOn: 'main' },
+        }),
+        /Circular component dependency: main -> footer -> main/
+    );
+});
+
+test('eager components may not depend on lazy ones', async (t) => {
+    const env = await setup({
+        '/components/main.html': '<p>main</p>',
+        '/components/footer.html': '<p>footer</p>',
+    });
+    t.after(env.close);
+
+    await assert.rejects(
+        env.loader.loadPageComponents({
+            main: { target: '#main', dependsOn: 'footer' },
+            footer: { target: '#footer', lazy: 'visible' },
+        }),
+        /"main" depends on "footer", which is lazy/
+    );
+    assert.ok(!env.requests.includes('/components/footer.html'));
+});
+
+test('lazy components load when their target becomes visible', async (t) => {
+    const env = await setup({
+        '/components/main.html': '<p>main</p>',
+        '/components/footer.html': '<p>footer</p>',
+    });
+    t.after(env.close);
+
+    const observers = [];
+    env.window.IntersectionObserver = class {
+        constructor(callback, options) {
+            this.callback = callback;
+            this.options = options;
+            this.elements = [];
+            observers.push(this);
+        }
+        observe(element) {
+            this.elements.push(element);
+        }
+        disconnect() {
+            this.disconnected = true;
+        }
+    };
+
+    const report = await env.loader.loadPageComponents({
+        main: '#main',
+        footer: { target: '#footer', lazy: 'visible' },
+    });
+
+    assert.strictEqual(report.footer.status, 'deferred');
+    assert.strictEqual(env.loader.initialized, true);
+    assert.ok(!env.requests.includes('/components/footer.html'));
+    assert.strictEqual(observers.length, 1);
+    assert.strictEqual(observers[0].options.rootMargin, '200px');
+    assert.strictEqual(
+        observers[0].elements[0],
+        env.document.getElementById('footer')
+    );
+
+    const loaded = new Promise((resolve) =>
+        env.document.addEventListener('component:loaded', resolve)
+    );
+    observers[0].callback([{ isIntersecting: true }]);
+    await loaded;
+
+    assert.strictEqual(
+        env.document.getElementById('footer').textContent,
+        'footer'
+    );
+    assert.strictEqual(observers[0].disconnected, true);
+    assert.strictEqual(env.loader.visibilityObservers.size, 0);
+});
+
+test('lazy components load immediately without IntersectionObserver', async (t) => {
+    const env = await setup({
+        '/components/footer.html': '<p>footer</p>',
+    });
+    t.after(env.close);
+    delete env.window.IntersectionObserver;
+
+    const loaded = new Promise((resolve) =>
+        env.document.addEventListener('component:loaded', resolve)
+    );
+    await env.loader.loadPageComponents({
+        footer: { target: '#footer', lazy: 'visible' },
+    });
+    await loaded;
+
+    assert.strictEqual(
+        env.document.getElementById('footer').textContent,
+        'footer'
+    );
+});
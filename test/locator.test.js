@@ -0,0 +1,286 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+const { waitFor } = require('./helpers/wait');
+
+const site = (id, lat, accepts) => ({
+    type: 'Feature',
+    id,
+    geometry: { type: 'Point', coordinates: [32.6, lat] },
+    properties: { name: id, address: `${id} Road`, accepts },
+});
+
+// Three sites on one meridian, 0.05° (about 5.6 km) apart
+const DATASET = {
+    type: 'FeatureCollection',
+    places: [{ name: 'Northtown', coordinates: [32.6, 0.41] }],
+    features: [
+        site('Charlie', 0.4, ['batteries']),
+        site('Alpha', 0.3, ['phones', 'batteries']),
+        site('Bravo', 0.35, ['phones', 'laptops', 'crt']),
+    ],
+};
+
+// The locator with the real templates and English bundle; geolocation(success,
+// error) stands in for navigator.geolocation.getCurrentPosition
+async function setup({
+    dataset = JSON.stringify(DATASET),
+    geolocation,
+    logger,
+} = {}) {
+    const env = await setupLoader({
+        body: '<div id="locator"></div>',
+        scripts: ['js/components/locator.js'],
+        site: [
+            'locales/en.json',
+            'components/locator.html',
+            'components/locator-results.html',
+        ],
+        files: { '/data/drop-off-sites.geojson': dataset },
+        prepare(window) {
+            if (geolocation) {
+                Object.defineProperty(window.navigator, 'geolocation', {
+                    value: { getCurrentPosition: geolocation },
+                });
+            }
+        },
+        logger,
+        inject: { name: 'locator', target: '#locator' },
+        status: '[data-locator-status]',
+    });
+
+    const names = () =>
+        Array.from(
+            env.root.querySelectorAll('.locator-site h3'),
+            (h) => h.textContent
+        );
+    const status = () =>
+        env.root.querySelector('[data-locator-status]').textContent;
+    const search = (query) =>
+        env.submit('.locator-search', { location: query });
+    const toggle = (type) => env.toggle(`[name="accepts"][value="${type}"]`);
+
+    return { ...env, names, status, search, toggle };
+}
+
+test('sites are listed by name and filtered by the items they accept', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    assert.deepStrictEqual(env.names(), ['Alpha', 'Bravo', 'Charlie']);
+    assert.strictEqual(env.status(), '3 drop-off points');
+    assert.deepStrictEqual(
+        Array.from(
+            env.root.querySelectorAll('[data-locator-filters] label'),
+            (label) => label.textContent.trim()
+        ),
+        [
+            'Batteries',
+            'Mobile phones & tablets',
+            'Laptops',
+            'CRT monitors & TVs',
+        ]
+    );
+    assert.strictEqual(
+        env.root.querySelector('#locator-site-Bravo .locator-accepts')
+            .textContent,
+        'Accepts: Mobile phones & tablets, Laptops, CRT monitors & TVs'
+    );
+    assert.deepStrictEqual(
+        Array.from(
+            env.root.querySelectorAll('#locator-places option'),
+            (option) => option.value
+        ),
+        ['Northtown', 'Charlie', 'Alpha', 'Bravo']
+    );
+
+    await env.toggle('batteries');
+    assert.deepStrictEqual(env.names(), ['Alpha', 'Charlie']);
+
+    await env.toggle('phones');
+    assert.deepStrictEqual(env.names(), ['Alpha']);
+    assert.strictEqual(env.status(), '1 drop-off point');
+
+    await env.toggle('crt');
+    assert.deepStrictEqual(env.names(), []);
+    assert.match(
+        env.root.querySelector('.locator-empty').textContent,
+        /^No drop-off point accepts/
+    );
+});
+
+test('a place name or coordinates sorts the sites by distance', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    await env.search('north');
+    assert.deepStrictEqual(env.names(), ['Charlie', 'Bravo', 'Alpha']);
+    assert.strictEqual(
+        env.status(),
+        '3 drop-off points, nearest to Northtown first'
+    );
+    assert.deepStrictEqual(
+        Array.from(
+            env.root.querySelectorAll('.locator-distance'),
+            (p) => p.textContent
+        ),
+        ['1.1 km away', '6.7 km away', '12 km away']
+    );
+
+    await env.search('0.3, 32.6');
+    assert.deepStrictEqual(env.names(), ['Alpha', 'Bravo', 'Charlie']);
+
+    // Unknown places keep the current order and say so
+    await env.search('Atlantis');
+    assert.deepStrictEqual(env.names(), ['Alpha', 'Bravo', 'Charlie']);
+    assert.match(env.status(), /^No place called “Atlantis” was found/);
+
+    await env.search('');
+    assert.strictEqual(env.root.querySelector('.locator-distance'), null);
+});
+
+test('the visitor location comes from the Geolocation API', async (t) => {
+    let respond;
+    const env = await setup({
+        geolocation: (success, error, options) => {
+            assert.strictEqual(options.timeout, 10000);
+            respond(success, error);
+        },
+    });
+    t.after(env.close);
+    const button = env.root.querySelector('[data-locator-geolocate]');
+    assert.strictEqual(button.hidden, false);
+
+    respond = (success) =>
+        success({ coords: { latitude: 0.34, longitude: 32.6 } });
+    // Locating is announced first, then the outcome
+    const located = () =>
+        waitFor(
+            env.root.querySelector('[data-locator-status]'),
+            () => env.status() !== 'Finding your location…'
+        );
+    button.click();
+    await located();
+    assert.deepStrictEqual(env.names(), ['Bravo', 'Alpha', 'Charlie']);
+    assert.strictEqual(
+        env.status(),
+        '3 drop-off points, nearest to your location first'
+    );
+
+    respond = (success, error) => error({ code: 1 });
+    button.click();
+    await located();
+    assert.match(env.status(), /^Location access was denied/);
+    assert.deepStrictEqual(env.names(), ['Bravo', 'Alpha', 'Charlie']);
+});
+
+test('the map draws numbered markers that link to the list', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const button = env.root.querySelector('[data-locator-map-toggle]');
+    const map = env.root.querySelector('[data-locator-map]');
+    assert.strictEqual(button.textContent, 'Show map');
+    assert.strictEqual(map.hidden, true);
+
+    button.click();
+    assert.strictEqual(button.getAttribute('aria-expanded'), 'true');
+    assert.strictEqual(button.textContent, 'Hide map');
+    assert.strictEqual(map.hidden, false);
+
+    const markers = () =>
+        Array.from(map.querySelectorAll('a'), (a) => [
+            a.getAttribute('href'),
+            a.querySelector('text').textContent,
+        ]);
+    assert.deepStrictEqual(markers(), [
+        ['#locator-site-Alpha', '1'],
+        ['#locator-site-Bravo', '2'],
+        ['#locator-site-Charlie', '3'],
+    ]);
+
+    // Markers follow the list and show the search origin
+    await env.search('Northtown');
+    assert.deepStrictEqual(
+        markers().map(([href]) => href),
+        ['#locator-site-Charlie', '#locator-site-Bravo', '#locator-site-Alpha']
+    );
+    assert.ok(map.querySelector('.locator-map-origin'));
+
+    map.querySelector('a').dispatchEvent(
+        new env.window.MouseEvent('click', { bubbles: true, cancelable: true })
+    );
+    assert.strictEqual(
+        env.document.activeElement,
+        env.document.getElementById('locator-site-Charlie')
+    );
+
+    button.click();
+    assert.strictEqual(map.hidden, true);
+    assert.strictEqual(map.children.length, 0);
+});
+
+test('a dataset that fails to load is reported', async (t) => {
+    const logged = [];
+    const env = await setup({
+        dataset: { status: 500 },
+        logger: { error: (message) => logged.push(message) },
+    });
+    t.after(env.close);
+
+    assert.deepStrictEqual(logged, [
+        'Failed to load drop-off sites from /data/drop-off-sites.geojson:',
+    ]);
+    assert.match(env.status(), /^Drop-off points could not be loaded/);
+    assert.strictEqual(env.root.querySelector('.locator-site'), null);
+});
+
+test('a second locator on the page gets its own element ids', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const second = env.document.createElement('div');
+    env.document.body.appendChild(second);
+    await env.loader.injectComponent('locator', second);
+
+    const ids = (root) =>
+        Array.from(root.querySelectorAll('[id]'), (element) => element.id);
+    const allIds = ids(env.document.body);
+    assert.strictEqual(new Set(allIds).size, allIds.length);
+    assert.ok(ids(second).includes('locator-2-site-Alpha'));
+
+    const input = second.querySelector('[name="location"]');
+    assert.strictEqual(input.id, 'locator-2-location');
+    assert.strictEqual(input.getAttribute('list'), 'locator-2-places');
+    assert.strictEqual(input.labels[0].closest('div'), input.parentElement);
+    assert.strictEqual(
+        second
+            .querySelector('[data-locator-map-toggle]')
+            .getAttribute('aria-controls'),
+        'locator-2-map'
+    );
+});
+
+test('sites that fail to update are reported in the status', async (t) => {
+    const logged = [];
+    const env = await setup({
+        logger: { error: (...args) => logged.push(args) },
+    });
+    t.after(env.close);
+
+    const [{ context }] = [...env.loader.lifecycles.values()].filter(
+        ({ context }) => context.componentName === 'locator'
+    );
+    context.state.locator.resultsHandle.update = async () => {
+        throw new Error('Template failed');
+    };
+
+    await env.toggle('phones');
+    assert.strictEqual(
+        env.status(),
+        'The drop-off sites could not be updated. Please try again.'
+    );
+    assert.ok(
+        logged.some(([message]) => message === 'Component "locator" failed:')
+    );
+});
@@ -0,0 +1,443 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createDom, siteFiles } = require('./helpers/dom');
+const { sleep, waitFor } = require('./helpers/wait');
+
+const INDEX_HTML = fs.readFileSync(
+    path.join(__dirname, '../index.html'),
+    'utf8'
+);
+
+function stubIntersectionObserver(window, observers) {
+    window.IntersectionObserver = class {
+        constructor(callback, options) {
+            Object.assign(this, { callback, options, targets: [] });
+            observers.push(this);
+        }
+        observe(target) {
+            this.targets.push(target);
+        }
+        disconnect() {
+            this.disconnected = true;
+        }
+    };
+}
+
+// The components index.html includes: the header (with the navigation), the
+// home page and its impact calculator, and the footer
+const SITE_FILES = siteFiles(
+    'components/header.html',
+    'components/navigation.html',
+    'components/footer.html',
+    'components/pages/home.html',
+    'components/impact-calculator.html',
+    'locales/en.json'
+);
+
+// The navigation once every include on the page, nested ones too, has loaded
+async function loadedNavigation(document) {
+    const settled = () => {
+        const hosts = Array.from(
+            document.querySelectorAll('ewaste-include[name], [data-component]')
+        );
+        return (
+            hosts.length > 0 &&
+            hosts.every((host) =>
+                ['loaded', 'error'].includes(
+                    host.getAttribute('data-component-state')
+                )
+            )
+        );
+    };
+    await waitFor(document.body, settled);
+    return document.querySelector('[data-component="navigation"]');
+}
+
+// index.html as the browser loads it; prepare(window) runs before any
+// component sets itself up, and files replace the site's own
+async function setup(prepare = () => {}, files = {}) {
+    const env = await createDom({
+        html: INDEX_HTML,
+        scripts: [
+            'js/components/navigation.js',
+            'node_modules/axe-core/axe.min.js',
+        ],
+        files: { ...SITE_FILES, ...files },
+        prepare,
+    });
+    const nav = await loadedNavigation(env.document);
+
+    const key = (target, name, init = {}) =>
+        target.dispatchEvent(
+            new env.window.KeyboardEvent('keydown', {
+                key: name,
+                bubbles: true,
+                cancelable: true,
+                ...init,
+            })
+        );
+
+    return {
+        ...env,
+        nav,
+        key,
+        toggle: env.document.getElementById('menu-toggle'),
+        menu: env.document.getElementById('nav-links'),
+        links: Array.from(nav.querySelectorAll('.nav-links a')),
+    };
+}
+
+// axe-core checks; colour contrast needs layout, which jsdom lacks
+async function axeViolations(env, context) {
+    const results = await env.window.axe.run(context, {
+        rules: { 'color-contrast': { enabled: false } },
+    });
+    return Array.from(
+        results.violations,
+        (violation) => `${violation.id}: ${violation.help}`
+    );
+}
+
+// The home page arriving after the navigation has set itself up
+const LATE_PAGE = {
+    '/components/pages/home.html': {
+        body: SITE_FILES['/components/pages/home.html'],
+        delay: 50,
+    },
+};
+
+// What the site's stylesheet would do: keep the header on screen
+function stickyHeader(window) {
+    window.document.querySelector('header').style.position = 'sticky';
+    window.HTMLElement.prototype.getBoundingClientRect = function () {
+        return { top: 0, height: this.localName === 'header' ? 64 : 400 };
+    };
+}
+
+test('every section link on the home page has its section', async (t) => {
+    const env = await setup(() => {}, LATE_PAGE);
+    t.after(env.close);
+
+    const loader = env.window.componentLoader;
+    const sectionLinks = env.links.filter((link) =>
+        link.getAttribute('href').includes('#')
+    );
+    assert.deepStrictEqual(
+        sectionLinks.map((link) => loader._getAnchorTarget(link)?.id),
+        ['home', 'about', 'team', 'contact']
+    );
+    // They are left to the scroll-spy, not marked as the current page
+    assert.deepStrictEqual(
+        env.links.filter((link) => link.hasAttribute('aria-current')),
+        []
+    );
+});
+
+test('the home page navigation passes axe checks, open and closed', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    assert.strictEqual(env.toggle.getAttribute('aria-expanded'), 'false');
+    assert.ok(env.menu.classList.contains('hidden'));
+    assert.deepStrictEqual(await axeViolations(env, env.nav), []);
+
+    env.toggle.click();
+    assert.strictEqual(env.toggle.getAttribute('aria-expanded'), 'true');
+    assert.deepStrictEqual(await axeViolations(env, env.nav), []);
+});
+
+test('opening focuses the current item and Escape returns to the toggle', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    env.toggle.click();
+    assert.ok(!env.menu.classList.contains('hidden'));
+    assert.strictEqual(env.document.activeElement, env.links[0]);
+
+    env.key(env.links[0], 'Escape');
+    assert.ok(env.menu.classList.contains('hidden'));
+    assert.strictEqual(env.toggle.getAttribute('aria-expanded'), 'false');
+    assert.strictEqual(env.document.activeElement, env.toggle);
+});
+
+test('arrow keys move a roving tabindex between links', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const tabStops = () =>
+        env.links.filter((link) => link.getAttribute('tabindex') === '0');
+    assert.deepStrictEqual(tabStops(), [env.links[0]]);
+
+    env.toggle.click();
+    env.key(env.links[0], 'ArrowRight');
+    assert.strictEqual(env.document.activeElement, env.links[1]);
+    assert.deepStrictEqual(tabStops(), [env.links[1]]);
+
+    env.key(env.links[1], 'End');
+    assert.strictEqual(env.document.activeElement, env.links[4]);
+    env.key(env.links[4], 'ArrowDown');
+    assert.strictEqual(env.document.activeElement, env.links[0]);
+    env.key(env.links[0], 'ArrowLeft');
+    assert.strictEqual(env.document.activeElement, env.links[4]);
+    env.key(env.links[4], 'Home');
+    assert.strictEqual(env.document.activeElement, env.links[0]);
+});
+
+test('Tab is trapped in the open menu', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    env.toggle.click();
+    // Every link in turn, then the toggle (last in the markup), then around
+    [1, 2, 3, 4].forEach((i) => {
+        env.key(env.document.activeElement, 'Tab');
+        assert.strictEqual(env.document.activeElement, env.links[i]);
+    });
+    env.key(env.links[4], 'Tab');
+    assert.strictEqual(env.document.activeElement, env.toggle);
+    env.key(env.toggle, 'Tab');
+    assert.strictEqual(env.document.activeElement, env.links[0]);
+    env.key(env.links[0], 'Tab', { shiftKey: true });
+    assert.strictEqual(env.document.activeElement, env.toggle);
+    env.key(env.toggle, 'Tab', { shiftKey: true });
+    assert.strictEqual(env.document.activeElement, env.links[4]);
+});
+
+test('Tab follows the markup when the toggle comes first', async (t) => {
+    const markup = SITE_FILES['/components/navigation.html'];
+    const toggleAt = markup.indexOf('<button');
+    const env = await setup(undefined, {
+        '/components/navigation.html':
+            markup.slice(toggleAt) + markup.slice(0, toggleAt),
+    });
+    t.after(env.close);
+
+    env.toggle.click();
+    env.key(env.links[0], 'Tab', { shiftKey: true });
+    assert.strictEqual(env.document.activeElement, env.toggle);
+    env.key(env.toggle, 'Tab', { shiftKey: true });
+    assert.strictEqual(env.document.activeElement, env.links[4]);
+    env.key(env.links[4], 'Tab');
+    assert.strictEqual(env.document.activeElement, env.toggle);
+    env.key(env.toggle, 'Tab');
+    assert.strictEqual(env.document.activeElement, env.links[0]);
+});
+
+test('clicking outside or following a link closes the menu', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    env.toggle.click();
+    env.document.getElementById('main').click();
+    assert.strictEqual(env.toggle.getAttribute('aria-expanded'), 'false');
+    assert.ok(env.menu.classList.contains('hidden'));
+
+    env.toggle.click();
+    env.links[1].click();
+    assert.strictEqual(env.toggle.getAttribute('aria-expanded'), 'false');
+});
+
+test('wide layouts show the links and reset the menu', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    env.toggle.click();
+    env.toggle.style.display = 'none';
+    env.window.dispatchEvent(new env.window.Event('resize'));
+
+    assert.strictEqual(env.toggle.getAttribute('aria-expanded'), 'false');
+    assert.ok(!env.menu.classList.contains('hidden'));
+
+    env.toggle.style.display = '';
+    env.window.dispatchEvent(new env.window.Event('resize'));
+    assert.ok(env.menu.classList.contains('hidden'));
+});
+
+test('a non-button toggle gets button semantics', async (t) => {
+    const env = await setup(() => {}, {
+        '/components/navigation.html': SITE_FILES[
+            '/components/navigation.html'
+        ].replace(
+            /<button[^>]*id="menu-toggle"[\s\S]*?<\/button>/,
+            '<div class="menu-toggle" id="menu-toggle"><i class="fi fi-br-menu-burger"></i></div>'
+        ),
+    });
+    t.after(env.close);
+
+    assert.strictEqual(env.toggle.getAttribute('role'), 'button');
+    assert.strictEqual(env.toggle.getAttribute('tabindex'), '0');
+    assert.strictEqual(env.toggle.getAttribute('aria-label'), 'Menu');
+    assert.strictEqual(env.toggle.getAttribute('aria-controls'), 'nav-links');
+
+    env.key(env.toggle, 'Enter');
+    assert.strictEqual(env.toggle.getAttribute('aria-expanded'), 'true');
+    assert.deepStrictEqual(await axeViolations(env, env.nav), []);
+});
+
+test('anchor scrolling is instant when reduced motion is preferred', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const target = env.document.getElementById('about');
+    const calls = [];
+    target.scrollIntoView = (options) => calls.push(options.behavior);
+
+    env.window.matchMedia = (query) => ({
+        matches: query === '(prefers-reduced-motion: reduce)',
+    });
+    env.links[1].click();
+    env.window.matchMedia = () => ({ matches: false });
+    env.links[1].click();
+
+    assert.deepStrictEqual(calls, ['auto', 'smooth']);
+    assert.strictEqual(env.document.activeElement, target);
+});
+
+test('section links are left to the scroll-spy, which follows the section in view', async (t) => {
+    const observers = [];
+    const env = await setup((window) => {
+        stubIntersectionObserver(window, observers);
+        stickyHeader(window);
+    }, LATE_PAGE);
+    t.after(env.close);
+
+    // Rebuilt as the page's components loaded; the last one is in use
+    const observer = observers.at(-1);
+    assert.ok(observers.slice(0, -1).every((spy) => spy.disconnected));
+    const section = (id) => env.document.getElementById(id);
+    const current = () =>
+        env.links
+            .filter((link) => link.getAttribute('aria-current') === 'location')
+            .map((link) => link.getAttribute('href'));
+
+    assert.strictEqual(observer.options.rootMargin, '-64px 0px -60% 0px');
+    assert.strictEqual(
+        env.document.documentElement.style.scrollPaddingTop,
+        '64px'
+    );
+    assert.strictEqual(observer.targets.length, 4);
+    assert.deepStrictEqual(current(), []);
+
+    const scrolls = [];
+    env.window.scrollTo = () => scrolls.push('scrollTo');
+    observer.callback([
+        { target: section('home'), isIntersecting: true },
+        { target: section('about'), isIntersecting: true },
+    ]);
+    assert.deepStrictEqual(current(), ['index.html#home']);
+
+    observer.callback([{ target: section('home'), isIntersecting: false }]);
+    assert.deepStrictEqual(current(), ['index.html#about']);
+    // Scrolling past sections does not rewrite the URL
+    assert.strictEqual(env.window.location.hash, '');
+    assert.strictEqual(env.links[1].getAttribute('tabindex'), '0');
+    assert.deepStrictEqual(scrolls, []);
+});
+
+test('resizes rebuild the scroll-spy once; destroy restores the scroll padding', async (t) => {
+    const observers = [];
+    const env = await setup((window) => {
+        window.document.documentElement.style.scrollPaddingTop = '1rem';
+        stubIntersectionObserver(window, observers);
+        stickyHeader(window);
+    });
+    t.after(env.close);
+
+    const root = env.document.documentElement;
+    assert.strictEqual(root.style.scrollPaddingTop, '64px');
+
+    const built = observers.length;
+    for (let i = 0; i < 5; i++) {
+        env.window.dispatchEvent(new env.window.Event('resize'));
+    }
+    assert.strictEqual(observers.length, built);
+    await sleep(200);
+    assert.strictEqual(observers.length, built + 1);
+    assert.ok(observers[built - 1].disconnected);
+
+    env.window.dispatchEvent(new env.window.Event('resize'));
+    env.window.componentLoader.destroy();
+    await sleep(200);
+    assert.strictEqual(observers.length, built + 1);
+    assert.ok(observers[built].disconnected);
+    assert.strictEqual(root.style.scrollPaddingTop, '1rem');
+});
+
+test('clicking a section link marks it current and ignores sections passed on the way', async (t) => {
+    const observers = [];
+    const env = await setup((window) => {
+        stubIntersectionObserver(window, observers);
+        window.HTMLElement.prototype.scrollIntoView = () => {};
+    });
+    t.after(env.close);
+
+    const spy = observers.at(-1);
+    const section = (id) => env.document.getElementById(id);
+    env.links[4].click();
+    assert.strictEqual(env.links[4].getAttribute('aria-current'), 'location');
+    assert.strictEqual(env.window.location.hash, '#contact');
+
+    // Sections scrolled past on the way to #contact do not take over
+    spy.callback([{ target: section('about'), isIntersecting: true }]);
+    assert.strictEqual(env.links[4].getAttribute('aria-current'), 'location');
+
+    spy.callback([
+        { target: section('about'), isIntersecting: false },
+        { target: section('contact'), isIntersecting: true },
+    ]);
+    spy.callback([{ target: section('team'), isIntersecting: true }]);
+    assert.strictEqual(env.links[2].getAttribute('aria-current'), 'location');
+});
+
+test('focused sections only keep a tabindex while focused', async (t) => {
+    const env = await setup((window) => {
+        window.HTMLElement.prototype.scrollIntoView = () => {};
+    });
+    t.after(env.close);
+
+    // A section that is focusable of its own accord keeps its tabindex
+    env.document.getElementById('team').setAttribute('tabindex', '0');
+    const about = env.document.getElementById('about');
+    env.links[1].click();
+    assert.strictEqual(env.document.activeElement, about);
+    assert.strictEqual(about.getAttribute('tabindex'), '-1');
+
+    env.links[2].click();
+    assert.strictEqual(about.hasAttribute('tabindex'), false);
+    assert.strictEqual(
+        env.document.getElementById('team').getAttribute('tabindex'),
+        '0'
+    );
+});
+
+test('navigation registered by a deferred script after the loader still sets up', async (t) => {
+    // As in the browser: global.js (a module) installs the loader while the
+    // document is interactive, and navigation.js runs as a later deferred script
+    const env = await createDom({
+        html: INDEX_HTML,
+        files: SITE_FILES,
+        global: false,
+    });
+    t.after(env.close);
+    Object.defineProperty(env.document, 'readyState', {
+        value: 'interactive',
+        configurable: true,
+    });
+
+    env.module.installGlobal();
+    await sleep(0);
+    env.global(
+        fs.readFileSync(
+            path.join(__dirname, '../js/components/navigation.js'),
+            'utf8'
+        )
+    );
+    env.document.dispatchEvent(new env.window.Event('DOMContentLoaded'));
+
+    await loadedNavigation(env.document);
+    const toggle = env.document.getElementById('menu-toggle');
+    toggle.click();
+    assert.strictEqual(toggle.getAttribute('aria-expanded'), 'true');
+});
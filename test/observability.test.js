@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+const { waitFor } = require('./helpers/wait');
+
+// Components are served from test/fixtures; events collects what the reporter gets
+async function setup(files = {}) {
+    const env = await setupLoader({
+        body: '<div id="a"></div><div id="b"></div>',
+        files: { '/locales/en.json': '{}', ...files },
+    });
+
+    const events = [];
+    env.loader.config.reporter = (event) => events.push(event);
+    const types = (componentName) =>
+        events
+            .filter((event) => event.componentName === componentName)
+            .map((event) =>
+                event.source ? `${event.type} (${event.source})` : event.type
+            );
+
+    return { ...env, events, types };
+}
+
+test('loads report fetch, cache, render, inject and initialize events', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const fetched = [];
+    env.document.addEventListener('component:fetch-end', (event) =>
+        fetched.push(event.detail)
+    );
+
+    await env.loader.injectComponent('greeting', '#a', { data: { name: 'a' } });
+    await env.loader.injectComponent('greeting', '#b', { data: { name: 'b' } });
+
+    assert.deepStrictEqual(env.types('greeting'), [
+        'cache-miss (memory)',
+        'fetch-start',
+        'fetch-end',
+        'render',
+        'inject',
+        'initialize',
+        'cache-hit (memory)',
+        'render',
+        'inject',
+        'initialize',
+    ]);
+
+    assert.strictEqual(fetched.length, 1);
+    assert.strictEqual(fetched[0].url, '/components/greeting.html');
+    assert.strictEqual(fetched[0].status, 200);
+    assert.strictEqual(fetched[0].attempts, 1);
+    assert.ok(fetched[0].duration >= 0);
+
+    const inject = env.events.find((event) => event.type === 'inject');
+    assert.strictEqual(inject.instanceKey, 'greeting:a');
+    assert.strictEqual(inject.append, false);
+    assert.ok(inject.time > 0);
+});
+
+test('durations come from performance.measure where available', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const measures = [];
+    const marks = new Set();
+    const buffered = new Set();
+    Object.assign(env.window.performance, {
+        mark: (name) => marks.add(name),
+        measure: (name, start) => {
+            assert.ok(marks.has(start));
+            measures.push(name);
+            buffered.add(name);
+            return { duration: 42 };
+        },
+        clearMarks: (name) => marks.delete(name),
+        clearMeasures: (name) => buffered.delete(name),
+    });
+
+    await env.loader.injectComponent('greeting', '#a');
+    assert.strictEqual(buffered.size, 0);
+
+    assert.deepStrictEqual(measures, [
+        'ew:fetch:greeting',
+        'ew:load:greeting:a',
+        'ew:render:greeting:a',
+        'ew:inject:greeting:a',
+        'ew:initialize:greeting:a',
+    ]);
+    assert.strictEqual(marks.size, 0);
+    assert.deepStrictEqual(
+        env.events
+            .filter((event) => 'duration' in event)
+            .map((event) => event.duration),
+        [42, 42, 42, 42]
+    );
+    assert.strictEqual(env.loader.metrics.get('greeting:a').timings.load, 42);
+});
+
+test('failures go to the configured logger and are kept for inspection', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const logged = [];
+    env.loader.logger = { error: (...args) => logged.push(args[0]) };
+    env.window.console.error = () => assert.fail('console.error was used');
+
+    await env.loader.injectComponent('missing', '#a');
+
+    assert.deepStrictEqual(logged, [
+        'Failed to load component "missing" from /components/missing.html:',
+        'Failed to inject component "missing":',
+    ]);
+
+    const fetchEnd = env.events.find((event) => event.type === 'fetch-end');
+    assert.strictEqual(fetchEnd.status, 404);
+    assert.strictEqual(fetchEnd.error.name, 'ComponentLoadError');
+
+    const [row] = env.loader.inspectInstances();
+    assert.strictEqual(row.instanceKey, 'missing:a');
+    assert.strictEqual(row.componentName, 'missing');
+    assert.strictEqual(row.error.name, 'ComponentLoadError');
+    assert.strictEqual(row.timings, null);
+});
+
+test('inspectInstances lists data, listener counts and timings', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    env.loader.register('greeting', {
+        setup({ element, listen }) {
+            listen(element, 'click', () => {});
+            listen(env.document, 'keydown', () => {});
+        },
+    });
+    await env.loader.injectComponent('greeting', '#a', {
+        data: { name: 'Ada' },
+    });
+
+    const [row] = env.loader.inspectInstances();
+    assert.strictEqual(row.instanceKey, 'greeting:a');
+    assert.strictEqual(row.componentName, 'greeting');
+    assert.deepStrictEqual({ ...row.data }, { name: 'Ada' });
+    assert.strictEqual(row.listeners, 2);
+    assert.deepStrictEqual(Object.keys(row.timings), [
+        'load',
+        'render',
+        'inject',
+        'initialize',
+        'total',
+    ]);
+    assert.ok(row.timings.total >= row.timings.load);
+    assert.strictEqual(row.error, null);
+
+    await env.loader.destroyComponent('greeting', '#a');
+    assert.strictEqual(env.loader.inspectInstances().length, 0);
+});
+
+test('the debug overlay lists instances and follows loads', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const { ComponentDebugOverlay } = await env.importModule(
+        'js/components/debug-overlay.js'
+    );
+    env.window.console.error = () => {};
+    const debug = new ComponentDebugOverlay(env.loader).mount();
+    const rows = () =>
+        Array.from(env.document.querySelectorAll('.ew-debug-overlay tbody tr'));
+
+    assert.strictEqual(rows().length, 0);
+
+    await env.loader.injectComponent('greeting', '#a', {
+        data: { name: 'Ada' },
+    });
+    await env.loader.injectComponent('missing', '#b');
+    await waitFor(debug.element, () => rows().length === 2);
+
+    assert.deepStrictEqual(
+        rows().map((row) => row.querySelector('th').textContent),
+        ['greeting:a', 'missing:b']
+    );
+    const cells = rows()[0].querySelectorAll('td');
+    assert.strictEqual(cells[0].textContent, '{"name":"Ada"}');
+    assert.strictEqual(cells[1].textContent, '0');
+    assert.match(cells[2].textContent, /^\d+\.\d ms$/);
+    assert.strictEqual(cells[7].textContent, 'ok');
+    assert.strictEqual(rows()[1].className, 'ew-debug-error');
+    assert.match(
+        rows()[1].lastChild.textContent,
+        /^ComponentLoadError: HTTP 404/
+    );
+
+    env.document.querySelector('.ew-debug-overlay button').click();
+    assert.strictEqual(env.document.querySelector('.ew-debug-overlay'), null);
+    assert.strictEqual(debug.element, null);
+});
+
+test('steps that fail still clear their performance marks', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+    env.loader.logger = { error: () => {} };
+
+    const marks = new Set();
+    Object.assign(env.window.performance, {
+        mark: (name) => marks.add(name),
+        measure: () => ({ duration: 1 }),
+        clearMarks: (name) => marks.delete(name),
+        clearMeasures: () => {},
+    });
+    env.loader.register('greeting', {
+        setup: () => {
+            throw new Error('Setup failed');
+        },
+    });
+
+    await env.loader.injectComponent('missing', '#a');
+    await env.loader.injectComponent('greeting', '#a').catch(() => {});
+
+    assert.strictEqual(marks.size, 0);
+});
+
+test('a failed service worker registration goes to the logger', async (t) => {
+    let reported;
+    const logged = new Promise((resolve) => {
+        reported = resolve;
+    });
+    const env = await setupLoader({
+        scripts: ['js/main.js'],
+        files: { '/locales/en.json': '{}' },
+        prepare(window) {
+            window.console.error = () => assert.fail('console.error was used');
+            Object.defineProperty(window.navigator, 'serviceWorker', {
+                value: {
+                    register: async () => {
+                        throw new Error('Registration refused');
+                    },
+                },
+            });
+        },
+        // Registration starts on the window's load event
+        logger: { error: (...args) => reported(args) },
+    });
+    t.after(env.close);
+
+    const [message, error] = await logged;
+    assert.strictEqual(message, 'Service worker registration failed:');
+    assert.strictEqual(error.message, 'Registration refused');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES = ['index.html', 'about.html', 'research.html', 'contact.html'];
+
+test('the build inlines every page with its header, navigation and footer', (t) => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'ewaste-prerender-'));
+    t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+
+    execFileSync(
+        process.execPath,
+        [
+            '--experimental-vm-modules',
+            '--disable-warning=ExperimentalWarning',
+            'scripts/prerender.js',
+            '--out',
+            out,
+        ],
+        { cwd: ROOT, stdio: 'pipe' }
+    );
+
+    PAGES.forEach((page) => {
+        // Pages only name their components; none is written out by hand
+        assert.doesNotMatch(
+            fs.readFileSync(path.join(ROOT, page), 'utf8'),
+            /data-component-state/,
+            page
+        );
+
+        const { document } = new JSDOM(
+            fs.readFileSync(path.join(out, page), 'utf8')
+        ).window;
+        const hosts = Array.from(
+            document.querySelectorAll('ewaste-include[name], [data-component]')
+        );
+
+        assert.deepStrictEqual(
+            hosts
+                .filter(
+                    (host) =>
+                        host.getAttribute('data-component-state') !==
+                        'prerendered'
+                )
+                .map((host) => host.getAttribute('data-component')),
+            [],
+            `${page} has hosts left to render`
+        );
+        assert.ok(document.querySelector('header .logo img'), `${page} header`);
+        assert.strictEqual(
+            document.querySelectorAll('nav[data-component="navigation"] li a')
+                .length,
+            5,
+            `${page} navigation`
+        );
+        assert.ok(
+            document.querySelector('footer .footer-links a'),
+            `${page} footer`
+        );
+        assert.ok(document.querySelector('main h1'), `${page} page heading`);
+    });
+});
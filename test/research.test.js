@@ -0,0 +1,356 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+const { waitFor } = require('./helpers/wait');
+
+const ITEMS = [
+    {
+        id: 'copper',
+        type: 'article',
+        title: 'Recovering copper from cables',
+        authors: [
+            { given: 'Sarah A.', family: 'Nakato' },
+            { given: 'John', family: 'Okello' },
+        ],
+        year: 2024,
+        topics: ['Material recovery'],
+        venue: 'Journal of Recycling',
+        volume: '3',
+        issue: '2',
+        pages: '10-20',
+        doi: '10.1234/jr.2024.3',
+        abstract: 'Stripping and sorting cable scrap.',
+    },
+    {
+        id: 'kampala',
+        type: 'report',
+        title: 'Collection in Kampala',
+        authors: [{ given: 'Grace', family: 'Atim' }],
+        year: 2023,
+        topics: ['Collection'],
+        venue: 'e-Waste Lab & Partners',
+        number: 'TR-1',
+        abstract: 'Copper prices and what collectors earn.',
+    },
+    {
+        id: 'schools',
+        type: 'project',
+        title: 'Schools programme',
+        authors: [{ given: 'John', family: 'Okello' }],
+        year: 2025,
+        topics: ['Awareness', 'Collection'],
+        venue: 'e-Waste Lab',
+    },
+    {
+        id: 'phones',
+        type: 'thesis',
+        title: 'Phone lifetimes',
+        authors: [{ given: 'Brian', family: 'Kato' }],
+        year: 2023,
+        topics: ['Refurbishment'],
+        venue: 'Makerere University',
+        degree: 'phd',
+    },
+];
+
+// The research page component rendered at url with the real templates and
+// English bundle; prepare(window) runs before any script
+async function setup({ url = '/research', options = {}, prepare } = {}) {
+    const env = await setupLoader({
+        body: '<main id="outlet"></main>',
+        scripts: ['js/pages/research.js'],
+        site: [
+            'locales/en.json',
+            'components/pages/research.html',
+            'components/research-results.html',
+        ],
+        files: { '/data/research.json': JSON.stringify({ items: ITEMS }) },
+        url,
+        prepare,
+        inject: { name: 'pages/research', target: '#outlet', options },
+        status: '[data-research-status]',
+    });
+
+    const ids = () =>
+        Array.from(env.root.querySelectorAll('.research-item'), (item) =>
+            item.id.replace('research-', '')
+        );
+    const status = () =>
+        env.root.querySelector('[data-research-status]').textContent;
+    const facet = (name) =>
+        Array.from(
+            env.root.querySelectorAll(
+                `[data-research-facets] [name="${name}"]`
+            ),
+            (input) => input.parentElement.textContent.trim()
+        );
+    const search = (query) =>
+        env.submit('[data-research-search]', { q: query });
+    const toggle = (name, value) =>
+        env.toggle(`[data-research-facets] [name="${name}"][value="${value}"]`);
+
+    return { ...env, ids, status, facet, search, toggle };
+}
+
+test('items are listed newest first and narrowed by search and facets', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    assert.deepStrictEqual(env.ids(), [
+        'schools',
+        'copper',
+        'kampala',
+        'phones',
+    ]);
+    assert.strictEqual(env.status(), '4 items');
+    assert.deepStrictEqual(env.facet('year'), [
+        '2025 (1)',
+        '2024 (1)',
+        '2023 (2)',
+    ]);
+    assert.deepStrictEqual(env.facet('type'), [
+        'Journal article (1)',
+        'Report (1)',
+        'Thesis (1)',
+        'Project (1)',
+    ]);
+    assert.strictEqual(
+        env.root.querySelector('#research-copper .research-authors')
+            .textContent,
+        'Sarah A. Nakato and John Okello'
+    );
+
+    // Title matches rank above matches in the abstract
+    await env.search('COPPER');
+    assert.deepStrictEqual(env.ids(), ['copper', 'kampala']);
+    assert.strictEqual(env.status(), '2 items matching “COPPER”');
+    assert.strictEqual(env.window.location.search, '?q=COPPER');
+
+    // Every word has to match somewhere
+    await env.search('copper okello');
+    assert.deepStrictEqual(env.ids(), ['copper']);
+
+    await env.search('copper');
+    await env.toggle('type', 'report');
+    assert.deepStrictEqual(env.ids(), ['kampala']);
+    assert.strictEqual(env.window.location.search, '?q=copper&type=report');
+
+    // Counts show what each value would add; values that add nothing are disabled
+    assert.deepStrictEqual(env.facet('type'), [
+        'Journal article (1)',
+        'Report (1)',
+        'Thesis (0)',
+        'Project (0)',
+    ]);
+    assert.strictEqual(
+        env.root.querySelector('[name="type"][value="project"]').disabled,
+        true
+    );
+
+    const clear = env.root.querySelector('[data-research-clear]');
+    assert.strictEqual(clear.hidden, false);
+    const done = env.updated();
+    clear.click();
+    await done;
+    assert.strictEqual(env.ids().length, 4);
+    assert.strictEqual(env.window.location.search, '');
+    assert.strictEqual(clear.hidden, true);
+
+    await env.search('recycling robots');
+    assert.deepStrictEqual(env.ids(), []);
+    assert.match(
+        env.root.querySelector('.research-empty').textContent,
+        /^Nothing matches your search/
+    );
+});
+
+test('a shared URL restores the search and pages through the results', async (t) => {
+    const env = await setup({
+        url: '/research?topic=Collection&page=2#top',
+        options: { pageSize: 1 },
+    });
+    t.after(env.close);
+
+    assert.deepStrictEqual(env.ids(), ['kampala']);
+    assert.strictEqual(
+        env.root.querySelector('[name="topic"][value="Collection"]').checked,
+        true
+    );
+    assert.strictEqual(
+        env.root.querySelector('.research-list').getAttribute('start'),
+        '2'
+    );
+
+    const pagination = env.root.querySelector('.research-pagination');
+    assert.strictEqual(
+        pagination.querySelector('span').textContent,
+        'Page 2 of 2'
+    );
+    assert.strictEqual(pagination.querySelector('[rel="next"]'), null);
+
+    const previous = pagination.querySelector('[rel="prev"]');
+    assert.strictEqual(
+        previous.getAttribute('href'),
+        '/research?topic=Collection#top'
+    );
+    const done = env.updated();
+    previous.click();
+    await done;
+
+    assert.deepStrictEqual(env.ids(), ['schools']);
+    assert.strictEqual(env.window.location.search, '?topic=Collection');
+    assert.strictEqual(
+        env.document.activeElement,
+        env.root.querySelector('.research-list')
+    );
+});
+
+test('citations are formatted as APA, BibTeX and RIS', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const [copper, kampala, , phones] = ITEMS;
+    const apa = env.global('formatAPA');
+
+    assert.strictEqual(
+        apa(copper),
+        'Nakato, S. A., & Okello, J. (2024). Recovering copper from cables. ' +
+            'Journal of Recycling, 3(2), 10–20. https://doi.org/10.1234/jr.2024.3'
+    );
+    assert.strictEqual(
+        apa(kampala),
+        'Atim, G. (2023). Collection in Kampala (Report No. TR-1). e-Waste Lab & Partners.'
+    );
+    assert.strictEqual(
+        apa(phones),
+        'Kato, B. (2023). Phone lifetimes [Doctoral dissertation, Makerere University].'
+    );
+
+    assert.strictEqual(
+        env.global('formatBibTeX')(copper),
+        [
+            '@article{nakato2024recovering,',
+            '  author = {Nakato, Sarah A. and Okello, John},',
+            '  title = {Recovering copper from cables},',
+            '  journal = {Journal of Recycling},',
+            '  year = {2024},',
+            '  volume = {3},',
+            '  number = {2},',
+            '  pages = {10--20},',
+            '  keywords = {Material recovery},',
+            '  doi = {10.1234/jr.2024.3}',
+            '}',
+        ].join('\n')
+    );
+    assert.match(
+        env.global('formatBibTeX')(kampala),
+        /^@techreport\{atim2023collection,[\s\S]*institution = \{e-Waste Lab \\& Partners\}/
+    );
+
+    assert.deepStrictEqual(env.global('formatRIS')(copper).split('\r\n'), [
+        'TY  - JOUR',
+        'AU  - Nakato, Sarah A.',
+        'AU  - Okello, John',
+        'TI  - Recovering copper from cables',
+        'PY  - 2024',
+        'T2  - Journal of Recycling',
+        'VL  - 3',
+        'IS  - 2',
+        'SP  - 10',
+        'EP  - 20',
+        'DO  - 10.1234/jr.2024.3',
+        'KW  - Material recovery',
+        'AB  - Stripping and sorting cable scrap.',
+        'ER  - ',
+    ]);
+});
+
+test('each item can switch citation format, copy it and download it', async (t) => {
+    const copied = [];
+    const blobs = [];
+    const env = await setup({
+        prepare(window) {
+            Object.defineProperty(window.navigator, 'clipboard', {
+                value: { writeText: async (text) => copied.push(text) },
+            });
+            window.URL.createObjectURL = (blob) => {
+                blobs.push(blob);
+                return 'blob:citation';
+            };
+            window.URL.revokeObjectURL = () => {};
+        },
+    });
+    t.after(env.close);
+
+    // Stand in for the browser's download
+    const downloads = [];
+    env.document.addEventListener('click', (e) => {
+        if (e.target.download) {
+            e.preventDefault();
+            downloads.push([e.target.download, e.target.href]);
+        }
+    });
+
+    const cite = env.root.querySelector('[data-research-cite="copper"]');
+    const textarea = cite.querySelector('textarea');
+    assert.strictEqual(textarea.value, env.global('formatAPA')(ITEMS[0]));
+
+    const bibtex = cite.querySelector('[data-research-format="bibtex"]');
+    bibtex.click();
+    assert.strictEqual(bibtex.getAttribute('aria-pressed'), 'true');
+    assert.strictEqual(
+        cite
+            .querySelector('[data-research-format="apa"]')
+            .getAttribute('aria-pressed'),
+        'false'
+    );
+    assert.match(textarea.value, /^@article\{nakato2024recovering,/);
+
+    cite.querySelector('[data-research-copy]').click();
+    const announcer = env.root.querySelector('[data-research-announce]');
+    await waitFor(
+        announcer,
+        () => announcer.textContent === 'BibTeX citation copied'
+    );
+    assert.deepStrictEqual(copied, [textarea.value]);
+
+    cite.querySelector('[data-research-format="ris"]').click();
+    cite.querySelector('[data-research-download]').click();
+    assert.deepStrictEqual(downloads, [['copper.ris', 'blob:citation']]);
+    assert.strictEqual(blobs[0].type, 'application/x-research-info-systems');
+
+    // jsdom's Blob has no text()
+    const reader = new env.window.FileReader();
+    const loaded = new Promise((resolve) => (reader.onload = resolve));
+    reader.readAsText(blobs[0]);
+    await loaded;
+    assert.strictEqual(reader.result, env.global('formatRIS')(ITEMS[0]));
+});
+
+test('results that fail to update are reported in the status', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+    const logged = [];
+    env.loader.logger = {
+        ...env.window.console,
+        error: (...args) => logged.push(args),
+    };
+
+    const [{ context }] = [...env.loader.lifecycles.values()].filter(
+        ({ context }) => context.componentName === 'pages/research'
+    );
+    context.state.catalogue.resultsHandle.update = async () => {
+        throw new Error('Template failed');
+    };
+
+    await env.search('plastics');
+    assert.strictEqual(
+        env.status(),
+        'The results could not be updated. Please try again.'
+    );
+    assert.ok(
+        logged.some(
+            ([message]) => message === 'Component "pages/research" failed:'
+        )
+    );
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+const { nextEvent } = require('./helpers/wait');
+
+async function setup(
+    files,
+    {
+        body = '<a href="/broken">Broken</a><main data-router-outlet></main>',
+        prepare = () => {},
+    } = {}
+) {
+    const env = await setupLoader({
+        body,
+        scripts: ['js/components/router.js'],
+        files: {
+            '/locales/en.json': '{}',
+            '/components/not-found.html': '<h1>Not found: {{ path }}</h1>',
+            ...files,
+        },
+        prepare(window) {
+            window.scrollTo = () => {};
+            prepare(window);
+        },
+    });
+    const logged = [];
+    env.loader.logger = {
+        debug() {},
+        info() {},
+        warn() {},
+        error: (...args) => logged.push(args),
+    };
+
+    const Router = env.global('Router');
+    const router = new Router(env.loader, { transition: null });
+    return { ...env, router, logged };
+}
+
+test('links and history entries render their route with its params', async (t) => {
+    const env = await setup(
+        {
+            '/components/pages/home.html': '<h1>Home</h1>',
+            '/components/pages/item.html':
+                '<h1>Item {{ params.id }}</h1><p>{{ query.tab }}</p>',
+        },
+        {
+            body:
+                '<a href="/items/42?tab=specs">Item</a>' +
+                '<a href="#top">Top</a><main data-router-outlet></main>',
+        }
+    );
+    t.after(env.close);
+
+    env.router
+        .addRoute('/', 'pages/home', { title: 'Home' })
+        .addRoute('/items/:id', 'pages/item', { title: 'Item' });
+    await env.router.start();
+    const outlet = env.document.querySelector('[data-router-outlet]');
+    const [itemLink, anchorLink] = env.document.querySelectorAll('a');
+
+    // Same-page anchors are left to the browser
+    const anchorClick = new env.window.MouseEvent('click', {
+        bubbles: true,
+        cancelable: true,
+    });
+    anchorLink.dispatchEvent(anchorClick);
+    assert.strictEqual(anchorClick.defaultPrevented, false);
+
+    let changed = nextEvent(env.document, 'route:changed');
+    itemLink.click();
+    const { detail } = await changed;
+    assert.strictEqual(env.window.location.pathname, '/items/42');
+    assert.strictEqual(detail.params.id, '42');
+    assert.strictEqual(outlet.querySelector('h1').textContent, 'Item 42');
+    assert.strictEqual(outlet.querySelector('p').textContent, 'specs');
+    assert.strictEqual(env.document.title, 'Item');
+    assert.strictEqual(env.document.activeElement, outlet.querySelector('h1'));
+
+    changed = nextEvent(env.document, 'route:changed');
+    env.window.history.back();
+    await changed;
+    assert.strictEqual(env.window.location.pathname, '/');
+    assert.strictEqual(outlet.textContent, 'Home');
+    assert.strictEqual(env.document.title, 'Home');
+});
+
+test('a page that fails to set up is replaced by the not-found page', async (t) => {
+    const env = await setup({
+        '/components/pages/home.html': '<h1>Home</h1>',
+        '/components/pages/broken.html': '<h1>Broken</h1>',
+    });
+    t.after(env.close);
+
+    env.loader.register('pages/broken', {
+        setup() {
+            throw new Error('setup failed');
+        },
+    });
+    env.router.addRoute('/', 'pages/home').addRoute('/broken', 'pages/broken');
+    await env.router.start();
+
+    const outlet = env.document.querySelector('[data-router-outlet]');
+    assert.strictEqual(outlet.textContent, 'Home');
+
+    const changed = new Promise((resolve) =>
+        env.document.addEventListener('route:changed', (event) =>
+            resolve(event.detail)
+        )
+    );
+    env.document.querySelector('a').click();
+    const detail = await changed;
+
+    assert.strictEqual(env.window.location.pathname, '/broken');
+    assert.strictEqual(outlet.textContent, 'Not found: /broken');
+    assert.strictEqual(detail.component, 'not-found');
+    assert.strictEqual(detail.notFound, true);
+    assert.ok(
+        env.logged.some(
+            ([message, error]) =>
+                message === 'Navigation failed:' &&
+                error.message === 'setup failed'
+        )
+    );
+});
+
+test('the page component already in the outlet is adopted on start', async (t) => {
+    const loaded = [];
+    const env = await setup(
+        {
+            '/components/pages/home.html': '<h1>Home</h1>',
+            '/components/pages/about.html': '<h1>About</h1>',
+        },
+        {
+            body:
+                '<a href="/about">About</a>' +
+                '<main data-router-outlet data-component="pages/home"></main>',
+            prepare(window) {
+                window.document.addEventListener('component:loaded', (e) =>
+                    loaded.push(e.detail.componentName)
+                );
+            },
+        }
+    );
+    t.after(env.close);
+
+    env.router.addRoute('/', 'pages/home').addRoute('/about', 'pages/about');
+    await env.router.start();
+
+    const outlet = env.document.querySelector('[data-router-outlet]');
+    assert.strictEqual(outlet.getAttribute('data-component-state'), 'loaded');
+    assert.strictEqual(outlet.textContent, 'Home');
+    assert.deepStrictEqual(loaded, ['pages/home']);
+
+    // The outlet then names whichever page the router rendered into it
+    const changed = nextEvent(env.document, 'route:changed');
+    env.document.querySelector('a').click();
+    await changed;
+    assert.strictEqual(outlet.textContent, 'About');
+    assert.strictEqual(outlet.getAttribute('data-component'), 'pages/about');
+});
+
+test('the focused page heading loses its tabindex on blur', async (t) => {
+    const env = await setup({
+        '/components/pages/home.html': '<h1>Home</h1>',
+        '/components/pages/about.html': '<h1>About</h1>',
+    });
+    t.after(env.close);
+
+    env.router.addRoute('/', 'pages/home').addRoute('/about', 'pages/about');
+    await env.router.start();
+    await env.router.navigate('/about');
+
+    const heading = env.document.querySelector('h1');
+    assert.strictEqual(env.document.activeElement, heading);
+    assert.strictEqual(heading.getAttribute('tabindex'), '-1');
+
+    env.document.querySelector('a').focus();
+    assert.strictEqual(heading.hasAttribute('tabindex'), false);
+});
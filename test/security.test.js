@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+
+async function setup(files) {
+    const env = await setupLoader({
+        body: '<div id="a"></div>',
+        files: { '/locales/en.json': '{}', ...files },
+    });
+
+    const violations = [];
+    env.document.addEventListener('security:violation', (event) =>
+        violations.push(event.detail)
+    );
+    env.window.console.warn = () => {};
+    return { ...env, violations };
+}
+
+test('sanitizeHtml strips scripts, handlers and script URLs', async (t) => {
+    const env = await setup({});
+    t.after(env.close);
+    await env.loader._ensureLocale();
+
+    const html = env.loader.sanitizeHtml(
+        '<p onclick="steal()">Hi <b>there</b></p><script>steal()</script>' +
+            '<a href=" javascript:steal()">x</a><img src="data:image/png;base64,AA">' +
+            '<iframe srcdoc="<script></script>"></iframe>'
+    );
+
+    assert.strictEqual(
+        html,
+        '<p>Hi <b>there</b></p><a>x</a><img src="data:image/png;base64,AA">'
+    );
+    assert.strictEqual(env.violations.length, 1);
+    assert.strictEqual(env.violations[0].type, 'sanitized');
+    assert.deepStrictEqual(
+        [...env.violations[0].removed],
+        ['p[onclick]', 'script', 'a[href]', 'iframe']
+    );
+});
+
+test('strict mode sanitizes raw template values', async (t) => {
+    const env = await setup({
+        '/components/bio.html': '<div>{{{ bio }}}</div><span>{{ bio }}</span>',
+    });
+    t.after(env.close);
+
+    const bio = '<em>Engineer</em><img src="x" onerror="steal()">';
+    await env.loader.injectComponent('bio', '#a', { data: { bio } });
+
+    const target = env.document.getElementById('a');
+    assert.strictEqual(target.querySelector('div em').textContent, 'Engineer');
+    assert.strictEqual(
+        target.querySelector('div img').hasAttribute('onerror'),
+        false
+    );
+    assert.strictEqual(target.querySelector('span').textContent, bio);
+
+    env.loader.config.strict = false;
+    assert.strictEqual(
+        await env.loader._processTemplate('{{{ bio }}}', { bio }),
+        bio
+    );
+});
+
+test('strict mode runs only inline scripts marked data-trusted, with the CSP nonce', async (t) => {
+    const env = await setup({
+        '/components/widget.html':
+            '<p>widget</p><script nonce="forged">window.ran = true;</script>' +
+            '<script data-trusted nonce="forged">window.trusted = true;</script>',
+    });
+    t.after(env.close);
+    env.loader.nonce = 'r4nd0m';
+
+    await env.loader.injectComponent('widget', '#a');
+
+    const scripts = env.document.querySelectorAll('#a script');
+    assert.strictEqual(scripts.length, 1);
+    assert.strictEqual(scripts[0].nonce, 'r4nd0m');
+    assert.strictEqual(scripts[0].textContent, 'window.trusted = true;');
+    assert.deepStrictEqual(
+        env.violations.map(({ type, source }) => [type, source]),
+        [['inline-script', 'window.ran = true;']]
+    );
+});
+
+test('scripts from origins outside the allowlist are reported, not run', async (t) => {
+    const env = await setup({
+        '/components/widget.html':
+            '<p>widget</p><script src="https://cdn.example.com/widget.js"></script>',
+    });
+    t.after(env.close);
+
+    await env.loader.injectComponent('widget', '#a');
+
+    assert.strictEqual(env.document.querySelector('#a script'), null);
+    assert.strictEqual(env.violations.length, 1);
+    assert.strictEqual(env.violations[0].type, 'script-origin');
+    assert.strictEqual(
+        env.violations[0].source,
+        'https://cdn.example.com/widget.js'
+    );
+    assert.strictEqual(
+        env.violations[0].element,
+        env.document.getElementById('a')
+    );
+
+    env.loader.config.scriptOrigins = ['https://cdn.example.com'];
+    assert.strictEqual(
+        env.loader._isAllowedScriptUrl('https://cdn.example.com/widget.js'),
+        true
+    );
+    assert.strictEqual(env.loader._isAllowedScriptUrl('/js/main.js'), false);
+});
+
+test('HTML sinks go through the Trusted Types policy', async (t) => {
+    const env = await setup({
+        '/components/card.html': '<p>{{ title }}</p>',
+    });
+    t.after(env.close);
+
+    const created = [];
+    env.window.trustedTypes = {
+        createPolicy(name, rules) {
+            created.push(name);
+            return {
+                createHTML: (html) => {
+                    const value = rules.createHTML(html);
+                    return { toString: () => value };
+                },
+                createScript: rules.createScript,
+                createScriptURL: rules.createScriptURL,
+            };
+        },
+    };
+
+    await env.loader.injectComponent('card', '#a', { data: { title: 'Hi' } });
+
+    assert.deepStrictEqual(created, ['ewaste-components']);
+    assert.strictEqual(env.document.getElementById('a').textContent, 'Hi');
+    assert.throws(
+        () => env.loader._trustedScriptUrl('https://evil.example/x.js'),
+        /Script URL is not allowed/
+    );
+});
+
+test('the Trusted Types policy sanitizes HTML and mints scripts only for the loader', async (t) => {
+    const env = await setup({
+        '/components/widget.html':
+            '<p onclick="steal()">widget</p><script data-trusted>window.ran = true;</script>',
+    });
+    t.after(env.close);
+
+    let rules;
+    env.window.trustedTypes = {
+        createPolicy(name, policyRules) {
+            rules = policyRules;
+            return policyRules;
+        },
+    };
+
+    await env.loader.injectComponent('widget', '#a');
+
+    // The loader's own markup and scripts pass through unchanged
+    const target = env.document.getElementById('a');
+    assert.strictEqual(target.querySelector('p').hasAttribute('onclick'), true);
+    assert.strictEqual(
+        target.querySelector('script').textContent,
+        'window.ran = true;'
+    );
+
+    // Other callers get sanitized HTML and no scripts; the policy is not exposed
+    assert.strictEqual(
+        rules.createHTML('<img src="x" onerror="steal()">'),
+        '<img src="x">'
+    );
+    assert.throws(
+        () => rules.createScript('steal()'),
+        /only be created by the component loader/
+    );
+    assert.strictEqual(env.loader.trustedTypes, undefined);
+});
+
+test('strict mode fails closed when the Trusted Types policy is refused', async (t) => {
+    const env = await setup({ '/components/card.html': '<p>{{ title }}</p>' });
+    t.after(env.close);
+    env.window.console.error = () => {};
+    env.loader.config.errorBoundary = false;
+
+    env.window.trustedTypes = {
+        createPolicy() {
+            throw new TypeError('Policy "ewaste-components" disallowed.');
+        },
+    };
+
+    await assert.rejects(
+        env.loader.injectComponent('card', '#a', { data: { title: 'Hi' } }),
+        /disallowed/
+    );
+    assert.strictEqual(env.violations[0].type, 'trusted-types');
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupLoader } = require('./helpers/dom');
+const { sleep } = require('./helpers/wait');
+
+async function setup(css = '') {
+    const env = await setupLoader({
+        html: `<!DOCTYPE html><head><style>${css}</style></head><body><div id="a"><p>old</p></div></body>`,
+        files: {
+            '/locales/en.json': '{}',
+            '/components/card.html': '<p>{{ label }}</p>',
+        },
+    });
+
+    // Class names of the target each time they change, in order
+    const classes = [];
+    const target = env.document.getElementById('a');
+    new env.window.MutationObserver(() => {
+        if (classes[classes.length - 1] !== target.className) {
+            classes.push(target.className);
+        }
+    }).observe(target, { attributeFilter: ['class'] });
+
+    return { ...env, target, classes };
+}
+
+test('named transitions run enter/leave classes for the computed duration', async (t) => {
+    const env = await setup(
+        '.fade-enter-active, .fade-leave-active { transition: opacity 30ms ease; }'
+    );
+    t.after(env.close);
+
+    const start = Date.now();
+    await env.loader.injectComponent('card', '#a', {
+        data: { label: 'new' },
+        transition: 'fade',
+    });
+    await sleep(0);
+
+    assert.ok(Date.now() - start >= 60, 'waited for leave and enter');
+    assert.deepStrictEqual(env.classes, [
+        'fade-leave-from fade-leave-active',
+        'fade-leave-active fade-leave-to',
+        '',
+        'fade-enter-from fade-enter-active',
+        'fade-enter-active fade-enter-to',
+        '',
+    ]);
+    assert.strictEqual(env.target.textContent, 'new');
+    assert.strictEqual(env.target.getAttribute('style'), null);
+});
+
+test('transitions end on transitionend rather than a fixed delay', async (t) => {
+    const env = await setup(
+        '.fade-leave-active { transition: opacity 2s ease; }'
+    );
+    t.after(env.close);
+
+    const start = Date.now();
+    const injected = env.loader.injectComponent('card', '#a', {
+        data: { label: 'new' },
+        transition: 'fade',
+    });
+    await sleep(50);
+
+    const end = new env.window.Event('transitionend');
+    end.elapsedTime = 2;
+    env.target.dispatchEvent(end);
+    await injected;
+
+    assert.ok(Date.now() - start < 1000, 'ended with the transitionend event');
+    assert.strictEqual(env.target.textContent, 'new');
+});
+
+test('reduced motion swaps instantly', async (t) => {
+    const env = await setup(
+        '.fade-enter-active, .fade-leave-active { transition: opacity 2s ease; }'
+    );
+    t.after(env.close);
+    env.window.matchMedia = (query) => ({
+        matches: query === '(prefers-reduced-motion: reduce)',
+    });
+
+    let called = false;
+    await env.loader.injectComponent('card', '#a', {
+        data: { label: 'new' },
+        transition: () => {
+            called = true;
+        },
+    });
+    await env.loader.injectComponent('card', '#a', {
+        data: { label: 'newer' },
+        transition: 'fade',
+    });
+
+    assert.strictEqual(called, false);
+    assert.deepStrictEqual(env.classes, []);
+    assert.strictEqual(env.target.textContent, 'newer');
+});
+
+test('the View Transitions API is used when available', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const seen = [];
+    env.document.startViewTransition = (update) => {
+        seen.push(
+            env.document.documentElement.getAttribute('data-view-transition')
+        );
+        const updateCallbackDone = Promise.resolve().then(update);
+        return {
+            updateCallbackDone,
+            finished: updateCallbackDone,
+            skipTransition() {},
+        };
+    };
+
+    await env.loader.injectComponent('card', '#a', {
+        data: { label: 'new' },
+        transition: 'slide',
+    });
+
+    assert.deepStrictEqual(seen, ['slide']);
+    assert.strictEqual(env.target.textContent, 'new');
+    assert.strictEqual(
+        env.document.documentElement.hasAttribute('data-view-transition'),
+        false
+    );
+    assert.deepStrictEqual(env.classes, []);
+
+    env.loader.config.viewTransitions = false;
+    await env.loader.injectComponent('card', '#a', {
+        data: { label: 'newer' },
+        transition: 'slide',
+    });
+    assert.deepStrictEqual(seen, ['slide']);
+});
+
+test('a newer injection cuts an in-flight transition short', async (t) => {
+    const env = await setup(
+        '.fade-enter-active, .fade-leave-active { transition: opacity 5s ease; }'
+    );
+    t.after(env.close);
+
+    const start = Date.now();
+    const first = env.loader.injectComponent('card', '#a', {
+        data: { label: 'first' },
+        transition: 'fade',
+    });
+    await sleep(50);
+    const second = env.loader.injectComponent('card', '#a', {
+        data: { label: 'second' },
+    });
+
+    await Promise.all([first, second]);
+
+    assert.ok(Date.now() - start < 1000, 'did not wait for the 5s transition');
+    assert.strictEqual(env.target.textContent, 'second');
+    assert.strictEqual(env.target.className, '');
+});
+
+test('transition functions get the direction and a cancellation signal', async (t) => {
+    const env = await setup();
+    t.after(env.close);
+
+    const calls = [];
+    await env.loader.injectComponent('card', '#a', {
+        data: { label: 'new' },
+        transition: (element, direction, signal) => {
+            calls.push([element.textContent, direction, signal.aborted]);
+        },
+    });
+
+    assert.deepStrictEqual(calls, [
+        ['old', 'out', false],
+        ['new', 'in', false],
+    ]);
+});